@@ -0,0 +1,389 @@
+#!/usr/bin/env node
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as utils from '../lib/utils.js';
+import * as zcap from '../lib/index.js';
+import {
+  Ed25519Signature2020, suiteContext
+} from '@digitalbazaar/ed25519-signature-2020';
+import jsigs from 'jsonld-signatures';
+import {parseArgs} from 'node:util';
+import {readFile} from 'node:fs/promises';
+
+import {
+  Ed25519VerificationKey2020
+} from '@digitalbazaar/ed25519-verification-key-2020';
+
+/* Note: Every command writes its result to stdout: JSON for `create-root`,
+`delegate`, `invoke`, and `verify` and a readable listing for `inspect`.
+Input documents are read from files; the document to invoke is read from
+stdin if no file is given. A command that fails writes its error to stderr
+and exits with a non-zero code; `verify` also exits with `1` when
+verification fails. */
+const USAGE = `Usage: zcap <command> [options]
+
+Commands:
+  create-root  Create a root capability.
+    --controller <id>       The controller of the root capability.
+    --target <url>          The invocation target.
+
+  delegate     Delegate a capability.
+    --key <file>            The Ed25519 key file to sign with.
+    --parent <file|id>      The parent capability file or root capability ID.
+    --controller <id>       The controller of the new capability.
+    --target <url>          The invocation target (default: the parent's).
+    --action <action>       An allowed action (repeatable, default: the
+                            parent's).
+    --expires <date>        The expiration date (default: the parent's).
+    --allow-target-attenuation
+                            Allow a target that is more restrictive than
+                            the parent's.
+
+  invoke       Attach a capability invocation proof to a JSON document.
+    --key <file>            The Ed25519 key file to sign with.
+    --capability <file|id>  The capability file or root capability ID.
+    --action <action>       The capability action to invoke.
+    --target <url>          The invocation target (default: the
+                            capability's).
+    --allow-target-attenuation
+                            Allow a target that is more restrictive than
+                            the capability's.
+    [<document file>]       The document to invoke (default: stdin).
+
+  verify       Verify a capability invocation or delegated capability.
+    --root <id>             The expected root capability ID (repeatable).
+    --action <action>       The expected action (invocations only).
+    --target <url>          The expected target (invocations only,
+                            repeatable).
+    --allow-target-attenuation
+                            Allow invocation targets in the chain that are
+                            more restrictive than their parent's.
+    --date <date>           The date to verify at (default: now).
+    --trace                 Include a trace of every check.
+    <file>                  The invoked document or delegated capability.
+
+  inspect      Print the capability chain of a capability.
+    <file>                  The capability.
+
+Common options:
+  --document <file>         A document to load by its ID, e.g., a root
+                            capability or a controller document with its
+                            verification methods (repeatable).
+  --help                    Show this help.
+`;
+
+const DOCUMENT_OPTION = {type: 'string', multiple: true, default: []};
+const COMMANDS = {
+  'create-root': {
+    options: {
+      controller: {type: 'string'},
+      target: {type: 'string'}
+    },
+    run: _createRoot
+  },
+  delegate: {
+    options: {
+      key: {type: 'string'},
+      parent: {type: 'string'},
+      controller: {type: 'string'},
+      target: {type: 'string'},
+      action: {type: 'string', multiple: true},
+      expires: {type: 'string'},
+      'allow-target-attenuation': {type: 'boolean', default: false},
+      document: DOCUMENT_OPTION
+    },
+    run: _delegate
+  },
+  invoke: {
+    options: {
+      key: {type: 'string'},
+      capability: {type: 'string'},
+      action: {type: 'string'},
+      target: {type: 'string'},
+      'allow-target-attenuation': {type: 'boolean', default: false},
+      document: DOCUMENT_OPTION
+    },
+    positionals: 1,
+    run: _invoke
+  },
+  verify: {
+    options: {
+      root: {type: 'string', multiple: true},
+      action: {type: 'string'},
+      target: {type: 'string', multiple: true},
+      'allow-target-attenuation': {type: 'boolean', default: false},
+      date: {type: 'string'},
+      trace: {type: 'boolean', default: false},
+      document: DOCUMENT_OPTION
+    },
+    positionals: 1,
+    run: _verify
+  },
+  inspect: {
+    options: {
+      document: DOCUMENT_OPTION
+    },
+    positionals: 1,
+    run: _inspect
+  }
+};
+
+class UsageError extends Error {}
+
+await main(process.argv.slice(2));
+
+async function main(args) {
+  const [command, ...commandArgs] = args;
+  if(command === undefined || command === '--help' || command === '-h') {
+    process.stdout.write(USAGE);
+    return;
+  }
+  try {
+    if(!Object.hasOwn(COMMANDS, command)) {
+      throw new UsageError(`Unknown command "${command}".`);
+    }
+    const {options, positionals: maxPositionals = 0, run} = COMMANDS[command];
+    let parsed;
+    try {
+      parsed = parseArgs({
+        args: commandArgs,
+        options: {...options, help: {type: 'boolean', short: 'h'}},
+        allowPositionals: maxPositionals > 0
+      });
+    } catch(e) {
+      throw new UsageError(e.message);
+    }
+    const {values, positionals} = parsed;
+    if(values.help) {
+      process.stdout.write(USAGE);
+      return;
+    }
+    if(positionals.length > maxPositionals) {
+      throw new UsageError(
+        `Unexpected argument "${positionals[maxPositionals]}".`);
+    }
+    process.exitCode = await run({values, positionals}) ?? 0;
+  } catch(e) {
+    process.stderr.write(`zcap: ${e.message}\n`);
+    if(e instanceof UsageError) {
+      process.stderr.write('Run "zcap --help" for usage.\n');
+      process.exitCode = 2;
+    } else {
+      if(e instanceof zcap.ZcapError) {
+        process.stderr.write(`${_stringify(_serializeError(e))}\n`);
+      }
+      process.exitCode = 1;
+    }
+  }
+}
+
+async function _createRoot({values: {controller, target}}) {
+  _require({controller, target});
+  _write(zcap.createRootCapability({controller, invocationTarget: target}));
+}
+
+async function _delegate({values}) {
+  const {key, parent, controller, target, action, expires} = values;
+  _require({key, parent, controller});
+  _write(await zcap.delegate({
+    parentCapability: await _readCapability(parent),
+    controller,
+    invocationTarget: target,
+    allowTargetAttenuation: values['allow-target-attenuation'],
+    allowedAction: action?.length === 1 ? action[0] : action,
+    expires,
+    signer: await _readSigner(key),
+    suite: Ed25519Signature2020,
+    documentLoader: await _createDocumentLoader(values)
+  }));
+}
+
+async function _invoke({values, positionals: [path]}) {
+  const {key, capability, action, target} = values;
+  _require({key, capability, action});
+  const document = path === undefined ?
+    JSON.parse(await _readStdin()) : await _readJson(path);
+  _write(await zcap.invoke({
+    document,
+    capability: await _readCapability(capability),
+    capabilityAction: action,
+    invocationTarget: target,
+    allowTargetAttenuation: values['allow-target-attenuation'],
+    signer: await _readSigner(key),
+    suite: Ed25519Signature2020,
+    documentLoader: await _createDocumentLoader(values)
+  }));
+}
+
+async function _verify({values, positionals: [path]}) {
+  const {root, action, target, date, trace} = values;
+  _require({root, file: path});
+  const document = await _readJson(path);
+  const options = {
+    expectedRootCapability: root.length === 1 ? root[0] : root,
+    suite: new Ed25519Signature2020(),
+    documentLoader: await _createDocumentLoader(values),
+    allowTargetAttenuation: values['allow-target-attenuation'],
+    date,
+    trace
+  };
+  const proofs = [].concat(document.proof ?? []);
+  let result;
+  if(proofs.some(p => p?.proofPurpose === 'capabilityInvocation')) {
+    _require({action, target});
+    result = await zcap.verifyInvocation({
+      ...options,
+      document,
+      expectedAction: action,
+      expectedTarget: target.length === 1 ? target[0] : target
+    });
+  } else {
+    result = await zcap.verifyDelegation({...options, capability: document});
+  }
+  if(result.error) {
+    result.error = _serializeError(result.error);
+  }
+  _write(result);
+  return result.authorized || result.verified ? 0 : 1;
+}
+
+async function _inspect({values, positionals: [path]}) {
+  _require({file: path});
+  const documentLoader = await _createDocumentLoader(values);
+
+  // walk the embedded chain from the capability to the root
+  const chain = [];
+  let next = await _readJson(path);
+  while(typeof next === 'object') {
+    chain.unshift(next);
+    const capabilityChain = utils.getCapabilityChain({capability: next});
+    next = capabilityChain[capabilityChain.length - 1];
+    if(chain.length > zcap.constants.MAX_CHAIN_LENGTH) {
+      throw new Error('The capability chain is too long.');
+    }
+  }
+  if(typeof next === 'string') {
+    // root capabilities can only be dereferenced if given as documents
+    try {
+      ({document: next} = await documentLoader(next));
+    } catch(e) {
+      next = {id: next};
+    }
+    chain.unshift(next);
+  }
+
+  const lines = [];
+  for(const [index, capability] of chain.entries()) {
+    lines.push(`[${index}] ${capability.id}`);
+    if(Object.keys(capability).length === 1) {
+      lines.push('    (root capability not found, use --document)');
+    }
+    const [proof] = utils.getDelegationProofs({capability});
+    const fields = {
+      controller: capability.controller,
+      invocationTarget: capability.invocationTarget,
+      allowedAction: capability.allowedAction,
+      expires: capability.expires,
+      caveat: capability.caveat,
+      delegator: proof?.verificationMethod,
+      delegated: proof?.created
+    };
+    for(const [name, value] of Object.entries(fields)) {
+      if(value !== undefined) {
+        lines.push(`    ${name}: ${[].concat(value).map(
+          v => typeof v === 'string' ? v : JSON.stringify(v)).join(', ')}`);
+      }
+    }
+  }
+  process.stdout.write(`${lines.join('\n')}\n`);
+}
+
+async function _createDocumentLoader({document: paths = []}) {
+  const documents = new Map();
+  for(const path of paths) {
+    const document = _stripPrivateKeys(await _readJson(path));
+    documents.set(document.id, document);
+    // make embedded verification methods loadable by their IDs as well
+    for(const vm of _getVerificationMethods({document})) {
+      documents.set(vm.id, {'@context': document['@context'], ...vm});
+    }
+  }
+  return zcap.extendDocumentLoader(async url => {
+    const document = documents.get(url) ?? suiteContext.contexts.get(url);
+    if(document !== undefined) {
+      return {contextUrl: null, documentUrl: url, document};
+    }
+    return jsigs.strictDocumentLoader(url);
+  });
+}
+
+async function _readCapability(value) {
+  // a root capability may be given by its ID instead of a file
+  if(value.startsWith(zcap.constants.ZCAP_ROOT_PREFIX)) {
+    return value;
+  }
+  return _readJson(value);
+}
+
+async function _readSigner(path) {
+  const key = await Ed25519VerificationKey2020.from(await _readJson(path));
+  if(!key.privateKeyMultibase) {
+    throw new Error(`The key file "${path}" has no private key.`);
+  }
+  return key.signer();
+}
+
+async function _readJson(path) {
+  const data = await readFile(path, 'utf8');
+  try {
+    return JSON.parse(data);
+  } catch(e) {
+    throw new Error(`The file "${path}" is not valid JSON: ${e.message}`);
+  }
+}
+
+async function _readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+function _getVerificationMethods({document}) {
+  const relationships = [
+    'verificationMethod', 'authentication', 'assertionMethod',
+    'capabilityDelegation', 'capabilityInvocation'
+  ];
+  return relationships
+    .flatMap(r => [].concat(document[r] ?? []))
+    .filter(vm => vm && typeof vm === 'object' && typeof vm.id === 'string');
+}
+
+function _stripPrivateKeys(document) {
+  return JSON.parse(JSON.stringify(document, (key, value) =>
+    key === 'privateKeyMultibase' ? undefined : value));
+}
+
+function _require(values) {
+  for(const [name, value] of Object.entries(values)) {
+    if(value === undefined) {
+      throw new UsageError(name === 'file' ?
+        'A file is required.' : `"--${name}" is required.`);
+    }
+  }
+}
+
+function _serializeError(error) {
+  const {name, message, code, details} = error;
+  return {name, message, code, details};
+}
+
+function _stringify(value) {
+  return JSON.stringify(value, null, 2);
+}
+
+function _write(value) {
+  process.stdout.write(`${_stringify(value)}\n`);
+}
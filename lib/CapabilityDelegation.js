@@ -3,10 +3,18 @@
  */
 import * as utils from './utils.js';
 import {CapabilityProofPurpose} from './CapabilityProofPurpose.js';
+import {checkCaveatAttenuation} from './caveats.js';
+import {ZcapAuthorizationError} from './errors.js';
 
 /**
  * @typedef InspectCapabilityChain
  */
+/**
+ * @typedef CaveatRegistry
+ */
+/**
+ * @typedef ChainCache
+ */
 
 export class CapabilityDelegation extends CapabilityProofPurpose {
   /**
@@ -14,9 +22,21 @@ export class CapabilityDelegation extends CapabilityProofPurpose {
    * @param {object} [options.parentCapability] - An alternative to passing
    *   `capabilityChain` when creating a proof; passing `parentCapability` will
    *   enable the capability chain to be auto-computed.
+   * @param {object} [options.actionHierarchy] - A map of each action to the
+   *   actions it directly implies, e.g., `{write: ['read'], admin:
+   *   ['write']}`; implied actions are allowed wherever the implying action
+   *   is, both when delegating and when invoking.
    * @param {boolean} [options.allowTargetAttenuation=false] - Allow the
    *   invocationTarget of a delegation chain to be increasingly restrictive
    *   based on a hierarchical RESTful URL structure.
+   * @param {boolean} [options.allowTargetPatterns=false] - Allow the
+   *   invocationTarget of a delegated capability to be a pattern, e.g.,
+   *   `https://example.com/users/{id}/photos`, that its children narrow and
+   *   that is invoked with any target that it matches.
+   * @param {CaveatRegistry} [options.caveatRegistry] - The registry of
+   *   handlers for any caveats in the capability chain, used both when
+   *   creating and when verifying a proof; a capability with a caveat that
+   *   has no handler is rejected.
    * @param {string|Date|number} [options.date] - Used during proof
    *   verification as the expected date for the creation of the proof
    *   (within a maximum timestamp delta) and for checking to see if a
@@ -25,6 +45,10 @@ export class CapabilityDelegation extends CapabilityProofPurpose {
    *   capability for the delegation chain (this can be a single root
    *   capability ID expressed as a string or, if there is more than one
    *   acceptable root capability, several root capability IDs in an array.
+   * @param {ChainCache} [options.chainCache] - A cache for the results of
+   *   verifying the delegation proofs in capability chains, to avoid
+   *   verifying the same proofs again for every invocation; only share a
+   *   cache between verifiers that use the same suites and document loader.
    * @param {object} [options.controller] - The description of the controller,
    *   if it is not to be dereferenced via a `documentLoader`.
    * @param {InspectCapabilityChain} [options.inspectCapabilityChain] - An
@@ -38,8 +62,22 @@ export class CapabilityDelegation extends CapabilityProofPurpose {
    * @param {number} [options.maxDelegationTtl=Infinity] - The maximum
    *   milliseconds to live for a delegated zcap as measured by the time
    *   difference between *   `expires` and `created` on the delegation proof.
+   * @param {boolean} [options.parallelProofVerification=false] - `true` to
+   *   verify the delegation proofs of all capabilities in the chain
+   *   concurrently before checking the delegation rules in order, which
+   *   reduces latency for long chains at the cost of verifying every proof
+   *   even when the chain is invalid.
    * @param {object|Array} options.suite - The jsonld-signature suite(s) to
    *   use to verify the capability chain.
+   * @param {string} [options.targetAttenuationMode='prefix'] - How target
+   *   attenuation is checked when `allowTargetAttenuation` is set: `prefix`
+   *   to compare targets as strings, `normalized` to parse them as URLs and
+   *   compare their path segments, rejecting ambiguous targets such as those
+   *   with dot-segments, or `structured` to also treat query parameters as
+   *   a set of constraints that may be added to or narrowed but not dropped.
+   * @param {boolean} [options.trace=false] - `true` to include a `trace` in
+   *   the validation result that logs every check performed on each
+   *   capability in the delegation chain, for debugging.
    * @param {object} options._verifiedParentCapability - Private.
    * @param {object} options._capabilityChain - Private.
    * @param {boolean} options._skipLocalValidationForTesting - Private.
@@ -48,7 +86,11 @@ export class CapabilityDelegation extends CapabilityProofPurpose {
     // proof creation params
     parentCapability,
     // proof verification params
+    actionHierarchy,
     allowTargetAttenuation,
+    allowTargetPatterns,
+    caveatRegistry,
+    chainCache,
     controller,
     date,
     expectedRootCapability,
@@ -56,7 +98,10 @@ export class CapabilityDelegation extends CapabilityProofPurpose {
     maxChainLength,
     maxClockSkew,
     maxDelegationTtl,
+    parallelProofVerification,
     suite,
+    targetAttenuationMode,
+    trace,
     _verifiedParentCapability,
     // for testing purposes only, not documented intentionally
     _capabilityChain,
@@ -78,15 +123,19 @@ export class CapabilityDelegation extends CapabilityProofPurpose {
     }
 
     super({
-      allowTargetAttenuation,
+      actionHierarchy, allowTargetAttenuation, allowTargetPatterns,
+      caveatRegistry, chainCache,
       controller, date,
       expectedRootCapability, inspectCapabilityChain,
       maxChainLength, maxClockSkew, maxDelegationTtl,
       // always `Infinity` for capability delegation proofs, as their "created"
       // values are not checked for liveness, rather "expires" is used instead
       maxTimestampDelta: Infinity,
+      parallelProofVerification,
       suite,
-      term: 'capabilityDelegation'
+      targetAttenuationMode,
+      term: 'capabilityDelegation',
+      trace
     });
 
     // validate `CapabilityDelegation` specific params, the base class will
@@ -157,12 +206,26 @@ export class CapabilityDelegation extends CapabilityProofPurpose {
       // ensure `allowedAction`, if present, is not less restrictive
       const {allowedAction: parentAllowedAction} = parentCapability;
       const {allowedAction} = document;
-      if(!utils.hasValidAllowedAction({allowedAction, parentAllowedAction})) {
+      const {actionHierarchy} = this;
+      if(!utils.hasValidAllowedAction(
+        {allowedAction, parentAllowedAction, actionHierarchy})) {
         throw new Error(
           'The "allowedAction" in a delegated capability ' +
           'must not be less restrictive than its parent.');
       }
 
+      // ensure caveats, if present, are not less restrictive
+      if(document.caveat !== undefined ||
+        parentCapability.caveat !== undefined) {
+        const {valid, error} = await checkCaveatAttenuation({
+          capability, parentCapability, caveatRegistry: this.caveatRegistry,
+          index: capabilityChain.length
+        });
+        if(!valid) {
+          throw error;
+        }
+      }
+
       // ensure `expires` is not less restrictive
       const {expires: parentExpires} = parentCapability;
       if(parentExpires !== undefined) {
@@ -284,14 +347,18 @@ export class CapabilityDelegation extends CapabilityProofPurpose {
     const {verificationMethod} = validateOptions;
     if(!utils.isController(
       {capability: verifiedParentCapability, verificationMethod})) {
-      const error = new Error(
+      throw new ZcapAuthorizationError(
         'The capability controller does not match the verification ' +
-        'method (or its controller) used to delegate.');
-      error.details = {
-        capability: verifiedParentCapability,
-        verificationMethod
-      };
-      throw error;
+        'method (or its controller) used to delegate.', {
+          code: 'ERR_ZCAP_CONTROLLER_MISMATCH',
+          details: {
+            capabilityId: verifiedParentCapability.id,
+            // the parent is the last entry in the child's capability chain
+            index: proof.capabilityChain.length - 1,
+            capability: verifiedParentCapability,
+            verificationMethod
+          }
+        });
     }
 
     // run base level validation checks
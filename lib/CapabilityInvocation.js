@@ -2,12 +2,24 @@
  * Copyright (c) 2018-2024 Digital Bazaar, Inc. All rights reserved.
  */
 import * as utils from './utils.js';
+import {ZcapAuthorizationError, ZcapValidationError} from './errors.js';
 import {CapabilityDelegation} from './CapabilityDelegation.js';
 import {CapabilityProofPurpose} from './CapabilityProofPurpose.js';
+import {evaluateCaveats} from './caveats.js';
+import {randomUUID} from './crypto.js';
 
 /**
  * @typedef InspectCapabilityChain
  */
+/**
+ * @typedef CaveatRegistry
+ */
+/**
+ * @typedef ChainCache
+ */
+/**
+ * @typedef NonceStore
+ */
 
 export class CapabilityInvocation extends CapabilityProofPurpose {
   /**
@@ -20,9 +32,27 @@ export class CapabilityInvocation extends CapabilityProofPurpose {
    * @param {string} [options.invocationTarget] - The invocation target to
    *   use; this is required and can be used to attenuate the capability's
    *   invocation target if the verifier supports target attentuation.
+   * @param {string|boolean} [options.nonce] - A nonce to add to a created
+   *   proof to protect against replays or `true` to generate a random one
+   *   for every created proof.
+   * @param {object} [options.actionHierarchy] - A map of each action to the
+   *   actions it directly implies, e.g., `{write: ['read'], admin:
+   *   ['write']}`; implied actions are allowed wherever the implying action
+   *   is, both when delegating and when invoking.
    * @param {boolean} [options.allowTargetAttenuation=false] - Allow the
    *   invocationTarget of a delegation chain to be increasingly restrictive
    *   based on a hierarchical RESTful URL structure.
+   * @param {boolean} [options.allowTargetPatterns=false] - Allow the
+   *   invocationTarget of a delegated capability to be a pattern, e.g.,
+   *   `https://example.com/users/{id}/photos`, that its children narrow and
+   *   that is invoked with any target that it matches.
+   * @param {CaveatRegistry} [options.caveatRegistry] - The registry of
+   *   handlers for any caveats in the capability chain; a chain with a caveat
+   *   that has no handler is rejected.
+   * @param {ChainCache} [options.chainCache] - A cache for the results of
+   *   verifying the delegation proofs in capability chains, to avoid
+   *   verifying the same proofs again for every invocation; only share a
+   *   cache between verifiers that use the same suites and document loader.
    * @param {object} [options.controller] - The description of the controller,
    *   if it is not to be dereferenced via a `documentLoader`.
    * @param {string|Date|number} [options.date] - Used during proof
@@ -40,6 +70,10 @@ export class CapabilityInvocation extends CapabilityProofPurpose {
    * @param {InspectCapabilityChain} [options.inspectCapabilityChain] - An async
    *   function that can be used to check for revocations related to any of
    *   verified capabilities.
+   * @param {object} [options.invocationContext] - Any information about the
+   *   invocation, e.g., about the request it was received in, to evaluate
+   *   caveats against, in addition to the invoked action, target, and
+   *   document.
    * @param {number} [options.maxChainLength=10] - The maximum length of the
    *   capability delegation chain.
    * @param {number} [options.maxClockSkew=300] - A maximum number of seconds
@@ -52,27 +86,55 @@ export class CapabilityInvocation extends CapabilityProofPurpose {
    * @param {number} [options.maxTimestampDelta=Infinity] - A maximum number
    *   of seconds that "created" date on the capability invocation proof
    *   can deviate from *   `date`, defaults to `Infinity`.
+   * @param {NonceStore} [options.nonceStore] - A store to remember the
+   *   `nonce` of every verified capability invocation proof in to reject
+   *   replays; a proof without a `nonce` is then rejected; requires a finite
+   *   `maxTimestampDelta`.
+   * @param {boolean} [options.parallelProofVerification=false] - `true` to
+   *   verify the delegation proofs of all capabilities in the chain
+   *   concurrently before checking the delegation rules in order, which
+   *   reduces latency for long chains at the cost of verifying every proof
+   *   even when the chain is invalid.
    * @param {object|Array} options.suite - The jsonld-signature suite(s) to use
    *   to verify the capability chain.
+   * @param {string} [options.targetAttenuationMode='prefix'] - How target
+   *   attenuation is checked when `allowTargetAttenuation` is set: `prefix`
+   *   to compare targets as strings, `normalized` to parse them as URLs and
+   *   compare their path segments, rejecting ambiguous targets such as those
+   *   with dot-segments, or `structured` to also treat query parameters as
+   *   a set of constraints that may be added to or narrowed but not dropped.
+   * @param {boolean} [options.trace=false] - `true` to include a `trace` in
+   *   the validation result that logs every check performed on each
+   *   capability in the delegation chain, for debugging.
    */
   constructor({
     // proof creation params
     capability,
     capabilityAction,
     invocationTarget,
+    nonce,
     // proof verification params
+    actionHierarchy,
     allowTargetAttenuation,
+    allowTargetPatterns,
+    caveatRegistry,
+    chainCache,
     controller,
     date,
     expectedAction,
     expectedRootCapability,
     expectedTarget,
     inspectCapabilityChain,
+    invocationContext = {},
     maxChainLength,
     maxClockSkew,
     maxDelegationTtl,
     maxTimestampDelta,
-    suite
+    nonceStore,
+    parallelProofVerification,
+    suite,
+    targetAttenuationMode,
+    trace
   } = {}) {
     // parameters used to create a proof
     const hasCreateProofParams = capability || capabilityAction ||
@@ -80,7 +142,7 @@ export class CapabilityInvocation extends CapabilityProofPurpose {
     // params used to verify a proof
     const hasVerifyProofParams = controller || date ||
       expectedAction || expectedRootCapability || expectedTarget ||
-      inspectCapabilityChain || suite;
+      inspectCapabilityChain || nonceStore || suite;
 
     if(hasCreateProofParams && hasVerifyProofParams) {
       // cannot provide both create and verify params
@@ -90,12 +152,15 @@ export class CapabilityInvocation extends CapabilityProofPurpose {
     }
 
     super({
-      allowTargetAttenuation,
+      actionHierarchy, allowTargetAttenuation, allowTargetPatterns,
+      caveatRegistry, chainCache,
       controller, date,
       expectedRootCapability, inspectCapabilityChain,
       maxChainLength, maxClockSkew, maxDelegationTtl, maxTimestampDelta,
-      suite,
-      term: 'capabilityInvocation'
+      parallelProofVerification, suite,
+      targetAttenuationMode,
+      term: 'capabilityInvocation',
+      trace
     });
 
     // validate `CapabilityInvocation` specific params, the base class will
@@ -124,9 +189,15 @@ export class CapabilityInvocation extends CapabilityProofPurpose {
           'URI.');
       }
 
+      if(!(nonce === undefined || typeof nonce === 'boolean' ||
+        typeof nonce === 'string')) {
+        throw new TypeError('"nonce" must be a string or boolean.');
+      }
+
       this.capability = capability;
       this.capabilityAction = capabilityAction;
       this.invocationTarget = invocationTarget;
+      this.nonce = nonce;
     } else {
       if(typeof expectedAction !== 'string') {
         throw new TypeError('"expectedAction" must be a string.');
@@ -145,17 +216,34 @@ export class CapabilityInvocation extends CapabilityProofPurpose {
         }
       }
 
+      if(nonceStore !== undefined) {
+        if(typeof nonceStore.add !== 'function') {
+          throw new TypeError(
+            '"nonceStore" must be a nonce store with an "add" method.');
+        }
+        if(!Number.isFinite(this.maxTimestampDelta)) {
+          throw new TypeError(
+            '"maxTimestampDelta" must be a finite number when "nonceStore" ' +
+            'is given.');
+        }
+      }
+
       this.expectedTarget = expectedTarget;
       this.expectedAction = expectedAction;
+      this.invocationContext = invocationContext;
+      this.nonceStore = nonceStore;
     }
   }
 
   async update(proof) {
-    const {capability, capabilityAction, invocationTarget} = this;
+    const {capability, capabilityAction, invocationTarget, nonce} = this;
     proof.proofPurpose = this.term;
     proof.capability = capability;
     proof.invocationTarget = invocationTarget;
     proof.capabilityAction = capabilityAction;
+    if(nonce) {
+      proof.nonce = nonce === true ? randomUUID() : nonce;
+    }
     return proof;
   }
 
@@ -198,9 +286,12 @@ export class CapabilityInvocation extends CapabilityProofPurpose {
 
   async _runChecksBeforeChainVerification({dereferencedChain, proof}) {
     const {
+      actionHierarchy,
       allowTargetAttenuation,
+      allowTargetPatterns,
       expectedAction,
-      expectedTarget
+      expectedTarget,
+      targetAttenuationMode
     } = this;
 
     /* 1. Ensure that `capabilityAction` is an allowed action and that
@@ -211,19 +302,17 @@ export class CapabilityInvocation extends CapabilityProofPurpose {
     If the capability restricts the actions via `allowedAction` then
     `capabilityAction` must be in its set. */
     const capability = dereferencedChain[dereferencedChain.length - 1];
+    const {id: capabilityId} = capability;
+    const index = dereferencedChain.length - 1;
     const {capabilityAction} = proof;
-    const allowedActions = utils.getAllowedActions({capability});
-    if(allowedActions.length > 0 &&
-      !allowedActions.includes(capabilityAction)) {
-      throw new Error(
-        `Capability action "${capabilityAction}" is not allowed by the ` +
-        'capability; allowed actions are: ' +
-        allowedActions.map(x => `"${x}"`).join(', '));
-    }
+    utils.checkAllowedAction({capability, capabilityAction, actionHierarchy});
     if(capabilityAction !== expectedAction) {
-      throw new Error(
+      throw new ZcapAuthorizationError(
         `Capability action "${capabilityAction}" does not match the ` +
-        `expected action of "${expectedAction}".`);
+        `expected action of "${expectedAction}".`, {
+          code: 'ERR_ZCAP_ACTION_MISMATCH',
+          details: {capabilityId, index, capabilityAction, expectedAction}
+        });
     }
 
     /* 2. Ensure `expectedTarget` is as expected. The invocation target
@@ -234,23 +323,11 @@ export class CapabilityInvocation extends CapabilityProofPurpose {
     `invocationTarget` specified in the capability invocation proof must
     match exactly (or follow acceptable target attenuation rules) the
     `invocationTarget` specified in the invoked capability. */
-    const capabilityTarget = utils.getTarget({capability});
     const {invocationTarget} = proof;
-    if(!(typeof invocationTarget === 'string' &&
-      invocationTarget.includes(':'))) {
-      throw new TypeError(
-        `Invocation target (${invocationTarget}) must be a string that ` +
-        'expresses an absolute URI.');
-    }
-    if(!utils.isValidTarget({
-      invocationTarget,
-      baseInvocationTarget: capabilityTarget,
-      allowTargetAttenuation
-    })) {
-      throw new Error(
-        `Invocation target (${invocationTarget}) does not match ` +
-        `capability target (${capabilityTarget}).`);
-    }
+    utils.checkInvocationTarget({
+      capability, invocationTarget, allowTargetAttenuation,
+      targetAttenuationMode, allowTargetPatterns
+    });
 
     /* 4. Verify the invocation target is an expected target. Prior to this
     step we ensured that the invocation target used matched th capability
@@ -261,9 +338,12 @@ export class CapabilityInvocation extends CapabilityProofPurpose {
       expectedTarget.includes(invocationTarget)) ||
       (typeof expectedTarget === 'string' &&
       invocationTarget === expectedTarget))) {
-      throw new Error(
+      throw new ZcapAuthorizationError(
         `Expected target (${expectedTarget}) does not match ` +
-        `invocation target (${invocationTarget}).`);
+        `invocation target (${invocationTarget}).`, {
+          code: 'ERR_ZCAP_TARGET_MISMATCH',
+          details: {capabilityId, index, invocationTarget, expectedTarget}
+        });
     }
 
     /* 5. If capability is delegated (not root), then ensure the capability
@@ -278,9 +358,16 @@ export class CapabilityInvocation extends CapabilityProofPurpose {
       // that created the delegation proof and the machine that created
       // the invocation proof
       if(utils.compareTime({t1: invoked, t2: delegated, maxClockSkew}) < 0) {
-        throw new Error(
+        throw new ZcapAuthorizationError(
           'A delegated capability must not be invoked before the "created" ' +
-          'date in its delegation proof.');
+          'date in its delegation proof.', {
+            code: 'ERR_ZCAP_INVOKED_BEFORE_DELEGATION',
+            details: {
+              capabilityId, index,
+              created: proof.created,
+              delegated: delegationProof.created
+            }
+          });
       }
     }
 
@@ -296,16 +383,16 @@ export class CapabilityInvocation extends CapabilityProofPurpose {
     /* Verify the controller of the capability. The zcap controller must
     match the invoking verification method (or its controller). */
     const capability = dereferencedChain[dereferencedChain.length - 1];
+    const {id: capabilityId} = capability;
+    const index = dereferencedChain.length - 1;
     const {verificationMethod} = validateOptions;
     if(!utils.isController({capability, verificationMethod})) {
-      const error = new Error(
+      throw new ZcapAuthorizationError(
         'The capability controller does not match the verification method ' +
-        '(or its controller) used to invoke.');
-      error.details = {
-        capability,
-        verificationMethod
-      };
-      throw error;
+        '(or its controller) used to invoke.', {
+          code: 'ERR_ZCAP_CONTROLLER_MISMATCH',
+          details: {capabilityId, index, capability, verificationMethod}
+        });
     }
 
     // if capability is delegated, verify that it has not expired
@@ -323,7 +410,15 @@ export class CapabilityInvocation extends CapabilityProofPurpose {
         t2: currentCapabilityExpirationTime,
         maxClockSkew
       }) > 0) {
-        throw new Error('The invoked capability has expired.');
+        throw new ZcapAuthorizationError(
+          'The invoked capability has expired.', {
+            code: 'ERR_ZCAP_EXPIRED',
+            details: {
+              capabilityId, index,
+              expires: capability.expires,
+              date: currentDate.toISOString()
+            }
+          });
       }
     }
 
@@ -339,4 +434,65 @@ export class CapabilityInvocation extends CapabilityProofPurpose {
 
     return result;
   }
+
+  async _runChecksAfterInspection({
+    dereferencedChain, proof, validateOptions, validateResult
+  }) {
+    const {caveatRegistry, date, invocationContext} = this;
+    const currentDate = (date && new Date(date)) || new Date();
+
+    /* 1. Reject replays. This is done only once the invocation is otherwise
+    valid so that invalid invocations cannot use up nonces. */
+    await this._checkNonce({dereferencedChain, proof, currentDate});
+
+    /* 2. Evaluate any caveats against the invocation. This is done last so
+    that stateful caveats, e.g., usage limits, are only evaluated for
+    invocations that are otherwise authorized and not replayed. */
+    await evaluateCaveats({
+      capabilityChain: dereferencedChain,
+      caveatRegistry,
+      invocationContext: {
+        ...invocationContext,
+        capabilityAction: proof.capabilityAction,
+        invocationTarget: proof.invocationTarget,
+        invoker: validateResult.invoker,
+        date: currentDate,
+        document: validateOptions.document,
+        proof
+      }
+    });
+  }
+
+  async _checkNonce({dereferencedChain, proof, currentDate}) {
+    const {maxClockSkew, maxTimestampDelta, nonceStore} = this;
+    if(!nonceStore) {
+      return;
+    }
+
+    const capability = dereferencedChain[dereferencedChain.length - 1];
+    const {id: capabilityId} = capability;
+    const index = dereferencedChain.length - 1;
+    const {nonce} = proof;
+    if(typeof nonce !== 'string') {
+      throw new ZcapValidationError(
+        'A capability invocation proof must have a "nonce".', {
+          code: 'ERR_ZCAP_INVOCATION_INVALID',
+          details: {capabilityId, index}
+        });
+    }
+
+    // the proof is accepted until `maxTimestampDelta` (and any clock skew)
+    // after it was created, so remember the nonce until then; the proof
+    // may have been created after `currentDate` within that window
+    const created = Math.max(Date.parse(proof.created), currentDate.getTime());
+    const expires = new Date(
+      created + (maxTimestampDelta + maxClockSkew) * 1000);
+    if(!await nonceStore.add({nonce, expires, date: currentDate})) {
+      throw new ZcapAuthorizationError(
+        'The capability invocation proof has already been used.', {
+          code: 'ERR_ZCAP_REPLAYED',
+          details: {capabilityId, index, nonce}
+        });
+    }
+  }
 }
@@ -2,22 +2,53 @@
  * Copyright (c) 2018-2024 Digital Bazaar, Inc. All rights reserved.
  */
 import * as utils from './utils.js';
+import {ZcapAuthorizationError, ZcapValidationError} from './errors.js';
+import {checkCaveatAttenuation} from './caveats.js';
 import jsigs from 'jsonld-signatures';
+import {sha256} from './crypto.js';
 const {ControllerProofPurpose} = jsigs.purposes;
 
+// messages of the `ControllerProofPurpose` validation errors that mean that
+// a proof is invalid
+const PROOF_INVALID_MESSAGES = [
+  /^The proof's created timestamp is out of range\.$/,
+  /^Verification method ".*" not authorized by controller for proof purpose/
+];
+
 /* Note: This class is just an abstract base class for the
 `CapabilityInvocation` and `CapabilityDelegation` proof purposes. */
 
 /**
  * @typedef InspectCapabilityChain
  */
+/**
+ * @typedef CaveatRegistry
+ */
+/**
+ * @typedef ChainCache
+ */
 
 export class CapabilityProofPurpose extends ControllerProofPurpose {
   /**
    * @param {object} options - The options.
+   * @param {object} [options.actionHierarchy] - A map of each action to the
+   *   actions it directly implies, e.g., `{write: ['read'], admin:
+   *   ['write']}`; implied actions are allowed wherever the implying action
+   *   is, both when delegating and when invoking.
    * @param {boolean} [options.allowTargetAttenuation=false] - Allow the
    *   invocationTarget of a delegation chain to be increasingly restrictive
    *   based on a hierarchical RESTful URL structure.
+   * @param {boolean} [options.allowTargetPatterns=false] - Allow the
+   *   invocationTarget of a delegated capability to be a pattern, e.g.,
+   *   `https://example.com/users/{id}/photos`, that its children narrow and
+   *   that is invoked with any target that it matches.
+   * @param {CaveatRegistry} [options.caveatRegistry] - The registry of
+   *   handlers for any caveats in the capability chain; a chain with a caveat
+   *   that has no handler is rejected.
+   * @param {ChainCache} [options.chainCache] - A cache for the results of
+   *   verifying the delegation proofs in capability chains, to avoid
+   *   verifying the same proofs again for every invocation; only share a
+   *   cache between verifiers that use the same suites and document loader.
    * @param {object} [options.controller] - The description of the controller,
    *   if it is not to be dereferenced via a `documentLoader`.
    * @param {string|Date|number} [options.date] - Used during proof
@@ -44,14 +75,32 @@ export class CapabilityProofPurpose extends ControllerProofPurpose {
    * @param {number} [options.maxTimestampDelta=Infinity] - A maximum number
    *   of seconds that a capability invocation proof (only used by this proof
    *   type) "created" date can deviate from `date`, defaults to `Infinity`.
+   * @param {boolean} [options.parallelProofVerification=false] - `true` to
+   *   verify the delegation proofs of all capabilities in the chain
+   *   concurrently before checking the delegation rules in order, which
+   *   reduces latency for long chains at the cost of verifying every proof
+   *   even when the chain is invalid.
    * @param {object|Array} options.suite - The jsonld-signature suites to use
    *   to verify the capability chain.
+   * @param {string} [options.targetAttenuationMode='prefix'] - How target
+   *   attenuation is checked when `allowTargetAttenuation` is set: `prefix`
+   *   to compare targets as strings, `normalized` to parse them as URLs and
+   *   compare their path segments, rejecting ambiguous targets such as those
+   *   with dot-segments, or `structured` to also treat query parameters as
+   *   a set of constraints that may be added to or narrowed but not dropped.
    * @param {string} options.term - The term `capabilityInvocation` or
    *   `capabilityDelegation` to look for in an LD proof.
+   * @param {boolean} [options.trace=false] - `true` to include a `trace` in
+   *   the validation result with an ordered log of every check performed on
+   *   each capability in the delegation chain.
    */
   constructor({
     // proof verification params (and common to all derived classes)
+    actionHierarchy,
     allowTargetAttenuation = false,
+    allowTargetPatterns = false,
+    caveatRegistry,
+    chainCache,
     controller,
     date,
     expectedRootCapability,
@@ -60,11 +109,25 @@ export class CapabilityProofPurpose extends ControllerProofPurpose {
     maxDelegationTtl = Infinity,
     maxTimestampDelta = Infinity,
     maxClockSkew = 300,
+    parallelProofVerification = false,
     suite,
-    term
+    targetAttenuationMode = 'prefix',
+    term,
+    trace = false
   } = {}) {
     super({term, controller, date, maxTimestampDelta});
 
+    if(actionHierarchy !== undefined && !(
+      actionHierarchy && typeof actionHierarchy === 'object' &&
+      Object.values(actionHierarchy).every(Array.isArray))) {
+      throw new TypeError(
+        '"actionHierarchy" must be an object with array values.');
+    }
+
+    // used both to create and to verify proofs
+    this.actionHierarchy = actionHierarchy;
+    this.caveatRegistry = caveatRegistry;
+
     // params used to verify a proof
     const hasVerifyProofParams = controller || date ||
       expectedRootCapability || inspectCapabilityChain || suite;
@@ -88,14 +151,31 @@ export class CapabilityProofPurpose extends ControllerProofPurpose {
       if(typeof maxClockSkew !== 'number') {
         throw new TypeError('"maxClockSkew" must be a number.');
       }
+      if(chainCache !== undefined && !(chainCache &&
+        typeof chainCache.get === 'function' &&
+        typeof chainCache.set === 'function')) {
+        throw new TypeError(
+          '"chainCache" must be an object with "get" and "set" methods.');
+      }
+      if(!['prefix', 'normalized', 'structured'].includes(
+        targetAttenuationMode)) {
+        throw new TypeError(
+          '"targetAttenuationMode" must be "prefix", "normalized", or ' +
+          '"structured".');
+      }
 
       this.allowTargetAttenuation = allowTargetAttenuation;
+      this.allowTargetPatterns = allowTargetPatterns;
+      this.chainCache = chainCache;
       this.expectedRootCapability = expectedRootCapability;
       this.inspectCapabilityChain = inspectCapabilityChain;
       this.maxChainLength = maxChainLength;
       this.maxClockSkew = maxClockSkew;
       this.maxDelegationTtl = maxDelegationTtl;
+      this.parallelProofVerification = parallelProofVerification;
       this.suite = suite;
+      this.targetAttenuationMode = targetAttenuationMode;
+      this.trace = trace;
     }
   }
 
@@ -149,8 +229,16 @@ export class CapabilityProofPurpose extends ControllerProofPurpose {
       as the return value for this function).
     5. Run the `inspectCapabilityChain` hook, if given, to allow for custom
       implementations to check for revoked zcaps in databases or whatever other
-      behavior is desired. */
+      behavior is desired.
+    6. Run any purpose-specific checks that must only run once the chain is
+      known to be valid and has passed inspection, e.g., evaluating caveats
+      when a capability is invoked.
 
+    If `trace` is enabled, every check performed on each zcap in the chain is
+    logged in order and the log is included in the result, whether or not
+    validation succeeds. */
+
+    const trace = this.trace ? [] : undefined;
     try {
       // ensure proof has expected context (even though this is called in
       // `match`, it is possible to call `validate` separately without calling
@@ -194,7 +282,8 @@ export class CapabilityProofPurpose extends ControllerProofPurpose {
         CapabilityDelegation: this._getCapabilityDelegationClass(),
         capabilityChainMeta,
         dereferencedChain,
-        documentLoader
+        documentLoader,
+        trace
       });
       if(!verified) {
         throw error;
@@ -220,12 +309,25 @@ export class CapabilityProofPurpose extends ControllerProofPurpose {
         }
       }
 
+      /* 6. Run any proof-purpose-specific checks after inspection. */
+      await this._runChecksAfterInspection({
+        dereferencedChain, proof, validateOptions, validateResult
+      });
+
       // include dereferenced chain result
       validateResult.dereferencedChain = dereferencedChain;
 
+      // include the delegator of every delegated zcap (root => tail)
+      validateResult.delegators = capabilityChainMeta.map(
+        ({verifyResult}) => verifyResult.results[0].purposeResult.delegator);
+
+      if(trace) {
+        validateResult.trace = trace;
+      }
+
       return validateResult;
     } catch(error) {
-      return {valid: false, error};
+      return trace ? {valid: false, error, trace} : {valid: false, error};
     }
   }
 
@@ -243,14 +345,17 @@ export class CapabilityProofPurpose extends ControllerProofPurpose {
           match = expectedRootCapability.includes(id);
         }
         if(!match) {
-          const error = new Error(
+          throw new ZcapAuthorizationError(
             `Actual root capability (${id}) does not match expected root ` +
-            `capability (${expectedRootCapability}).`);
-          error.details = {
-            actual: id,
-            expected: expectedRootCapability,
-          };
-          throw error;
+            `capability (${expectedRootCapability}).`, {
+              code: 'ERR_ZCAP_ROOT_MISMATCH',
+              details: {
+                capabilityId: id,
+                index: 0,
+                actual: id,
+                expected: expectedRootCapability
+              }
+            });
         }
 
         // load root zcap
@@ -276,11 +381,24 @@ export class CapabilityProofPurpose extends ControllerProofPurpose {
   // no-op by default
   async _runChecksAfterChainVerification() {}
 
+  // no-op by default
+  async _runChecksAfterInspection() {}
+
   async _runBaseProofValidation({proof, validateOptions}) {
     // run super class's validation checks
     const result = await super.validate(proof, validateOptions);
     if(!result.valid) {
-      throw result.error;
+      // only a proof that was created at a time that is out of range or
+      // whose verification method is not authorized by its controller is
+      // invalid; any other error, e.g., from the `documentLoader` when
+      // retrieving the controller, is passed through unchanged
+      const {error} = result;
+      if(PROOF_INVALID_MESSAGES.some(regex => regex.test(error?.message))) {
+        throw new ZcapValidationError(error.message, {
+          code: 'ERR_ZCAP_PROOF_INVALID'
+        });
+      }
+      throw error;
     }
     return result;
   }
@@ -316,6 +434,8 @@ export class CapabilityProofPurpose extends ControllerProofPurpose {
    *   `capability`.
    * @param {Function} options.documentLoader - A configured jsonld
    *   documentLoader.
+   * @param {TraceEntry[]} [options.trace] - An array to append a log entry
+   *   to for every check performed on each zcap; omit to disable tracing.
    *
    * @returns {object} An object with `{verified, error}`.
    */
@@ -323,7 +443,8 @@ export class CapabilityProofPurpose extends ControllerProofPurpose {
     CapabilityDelegation,
     capabilityChainMeta,
     dereferencedChain,
-    documentLoader
+    documentLoader,
+    trace
   }) {
     /* Note: We start verifying a capability chain at its root of trust (the
     root capability) and then move toward the tail. To prevent recursively
@@ -362,35 +483,93 @@ export class CapabilityProofPurpose extends ControllerProofPurpose {
       // proof to check)
       const delegatedCapabilities = dereferencedChain.slice(1);
       const {
+        actionHierarchy,
         allowTargetAttenuation,
+        allowTargetPatterns,
+        caveatRegistry,
+        chainCache,
         expectedRootCapability,
         date,
         maxClockSkew,
         maxDelegationTtl,
-        suite
+        parallelProofVerification,
+        suite,
+        targetAttenuationMode
       } = this;
       const currentDate = (date && new Date(date)) || new Date();
-      for(let i = 0; i < delegatedCapabilities.length; ++i) {
+
+      /* Note: A delegation proof is only valid relative to its (verified)
+      parent, so a cached verify result is keyed on the digest of the whole
+      chain prefix that ends with its zcap, including the root zcap. It
+      expires no later than the earliest `expires` in that prefix. Only the
+      proof verify result is cached; every other check below still runs. */
+      const cacheEntries = chainCache ?
+        await _getCacheEntries({dereferencedChain}) : [];
+
+      const verifyProof = async i => {
         const zcap = delegatedCapabilities[i];
+        const cacheEntry = cacheEntries[i];
+        if(cacheEntry) {
+          const verifyResult = await chainCache.get(
+            {key: cacheEntry.key, date: currentDate});
+          if(verifyResult) {
+            return {verifyResult, cached: true};
+          }
+        }
         /* Note: Passing `_verifiedParentCapability` will prevent repetitive
         checking of the same segments of the chain (once a parent is verified,
         its chain is not checked again when checking its children). */
+        const verifyResult = await jsigs.verify(zcap, {
+          suite,
+          purpose: new CapabilityDelegation({
+            allowTargetAttenuation,
+            allowTargetPatterns,
+            date: currentDate,
+            expectedRootCapability,
+            maxDelegationTtl,
+            targetAttenuationMode,
+            _verifiedParentCapability: delegatedCapabilities[i - 1] || root
+          }),
+          documentLoader
+        });
+        if(cacheEntry && verifyResult.verified) {
+          await chainCache.set({...cacheEntry, value: verifyResult});
+        }
+        return {verifyResult, cached: false};
+      };
+
+      /* Note: Verifying a delegation proof does not depend on the result of
+      verifying its parent's proof, only on the parent zcap itself, so all
+      proofs can be verified concurrently. The delegation rules are still
+      checked in order from the root below, so the outcome is the same as
+      verifying proofs one at a time, except that every proof is verified
+      even when an earlier zcap in the chain is invalid. */
+      const proofResults = parallelProofVerification ?
+        await Promise.all(delegatedCapabilities.map((zcap, i) =>
+          // the tail's proof may have already been verified
+          (mustShift && i === delegatedCapabilities.length - 1) ?
+            undefined : verifyProof(i))) : [];
+
+      for(let i = 0; i < delegatedCapabilities.length; ++i) {
+        const zcap = delegatedCapabilities[i];
+        // index of `zcap` in the full chain (including the root zcap)
+        const index = i + 1;
+        const {id: capabilityId} = zcap;
         const _verifiedParentCapability = delegatedCapabilities[i - 1] || root;
 
         // verify proof on zcap if no result has been computed yet (one
         // verify result will be present in `capabilityChainMeta` per
         // delegated capability)
         if(capabilityChainMeta.length < delegatedCapabilities.length) {
-          const verifyResult = await jsigs.verify(zcap, {
-            suite,
-            purpose: new CapabilityDelegation({
-              allowTargetAttenuation,
-              date: currentDate,
-              expectedRootCapability,
-              maxDelegationTtl,
-              _verifiedParentCapability
-            }),
-            documentLoader
+          const {verifyResult, cached} = proofResults[i] ||
+            await verifyProof(i);
+          _addTraceEntry({
+            trace, capabilityId, index, check: 'proof',
+            passed: verifyResult.verified,
+            values: {
+              parentCapabilityId: _verifiedParentCapability.id,
+              ...(chainCache ? {cached} : {})
+            }
           });
           if(!verifyResult.verified) {
             throw verifyResult.error;
@@ -401,27 +580,73 @@ export class CapabilityProofPurpose extends ControllerProofPurpose {
 
         // ensure `allowedAction` is valid (compared against parent)
         const {allowedAction} = zcap;
-        if(!utils.hasValidAllowedAction({allowedAction, parentAllowedAction})) {
-          throw new Error(
+        const hasValidAllowedAction = utils.hasValidAllowedAction(
+          {allowedAction, parentAllowedAction, actionHierarchy});
+        _addTraceEntry({
+          trace, capabilityId, index, check: 'allowedAction',
+          passed: hasValidAllowedAction,
+          values: {allowedAction, parentAllowedAction}
+        });
+        if(!hasValidAllowedAction) {
+          throw new ZcapAuthorizationError(
             'The "allowedAction" in a delegated capability ' +
-            'must not be less restrictive than its parent.');
+            'must not be less restrictive than its parent.', {
+              code: 'ERR_ZCAP_ACTION_NOT_ALLOWED',
+              details: {capabilityId, index, allowedAction, parentAllowedAction}
+            });
         }
 
         // ensure `invocationTarget` delegation is acceptable
         const invocationTarget = utils.getTarget({capability: zcap});
-        if(!utils.isValidTarget({
+        const isValidTarget = utils.isValidTarget({
           invocationTarget,
           baseInvocationTarget: parentInvocationTarget,
-          allowTargetAttenuation
-        })) {
+          allowTargetAttenuation,
+          targetAttenuationMode,
+          allowTargetPatterns
+        });
+        _addTraceEntry({
+          trace, capabilityId, index, check: 'invocationTarget',
+          passed: isValidTarget,
+          values: {
+            invocationTarget, parentInvocationTarget, allowTargetAttenuation,
+            targetAttenuationMode, allowTargetPatterns
+          }
+        });
+        if(!isValidTarget) {
+          const options = {
+            code: 'ERR_ZCAP_TARGET_MISMATCH',
+            details: {
+              capabilityId, index, invocationTarget, parentInvocationTarget
+            }
+          };
           if(allowTargetAttenuation) {
-            throw new Error(
+            throw new ZcapAuthorizationError(
               `The "invocationTarget" in a delegated capability must not be ` +
-              'less restrictive than its parent.');
+              'less restrictive than its parent.', options);
           } else {
-            throw new Error(
+            throw new ZcapAuthorizationError(
               'The "invocationTarget" in a delegated capability ' +
-              'must be equivalent to its parent.');
+              'must be equivalent to its parent.', options);
+          }
+        }
+
+        // ensure caveats are not less restrictive than the parent's
+        const parentCapability = _verifiedParentCapability;
+        if(zcap.caveat !== undefined || parentCapability.caveat !== undefined) {
+          const {valid, error} = await checkCaveatAttenuation({
+            capability: zcap, parentCapability, caveatRegistry, index
+          });
+          _addTraceEntry({
+            trace, capabilityId, index, check: 'caveat',
+            passed: valid,
+            values: {
+              caveat: utils.getCaveats({capability: zcap}),
+              parentCaveat: utils.getCaveats({capability: parentCapability})
+            }
+          });
+          if(!valid) {
+            throw error;
           }
         }
 
@@ -434,23 +659,61 @@ export class CapabilityProofPurpose extends ControllerProofPurpose {
         if(parentExpirationTime !== undefined) {
           // handle case where `expires` is set in the parent, but the child
           // has an expiration date greater than the parent
-          if(currentCapabilityExpirationTime > parentExpirationTime) {
+          const expiresAfterParent =
+            currentCapabilityExpirationTime > parentExpirationTime;
+          _addTraceEntry({
+            trace, capabilityId, index, check: 'expires',
+            passed: !expiresAfterParent,
+            values: {
+              expires: zcap.expires,
+              parentExpires: dereferencedChain[i].expires
+            }
+          });
+          if(expiresAfterParent) {
             // `utils.compareTime` intentionally not used; the delegator MUST
             // not use an `expires` value later than what is in the parent,
             // which they have access to (not a decentralized clock problem)
-            throw new Error(
+            throw new ZcapAuthorizationError(
               'The `expires` property in a delegated capability must not ' +
-              'be less restrictive than its parent.');
+              'be less restrictive than its parent.', {
+                code: 'ERR_ZCAP_EXPIRES_EXCEEDS_PARENT',
+                details: {
+                  capabilityId, index,
+                  expires: zcap.expires,
+                  parentExpires: dereferencedChain[i].expires
+                }
+              });
           }
           // use `utils.compareTime` to allow for allow for clock drift because
           // we are comparing against `currentDate`
-          if(utils.compareTime({
+          const parentExpired = utils.compareTime({
             t1: currentDate.getTime(),
             t2: parentExpirationTime,
             maxClockSkew
-          }) > 0) {
-            throw new Error(
-              'A capability in the delegation chain has expired.');
+          }) > 0;
+          // the parent is the zcap whose expiration is checked
+          _addTraceEntry({
+            trace, capabilityId: dereferencedChain[i].id, index: i,
+            check: 'expiration',
+            passed: !parentExpired,
+            values: {
+              expires: dereferencedChain[i].expires,
+              date: currentDate.toISOString(),
+              maxClockSkew
+            }
+          });
+          if(parentExpired) {
+            throw new ZcapAuthorizationError(
+              'A capability in the delegation chain has expired.', {
+                code: 'ERR_ZCAP_EXPIRED',
+                details: {
+                  // the parent is the zcap that has expired
+                  capabilityId: dereferencedChain[i].id,
+                  index: i,
+                  expires: dereferencedChain[i].expires,
+                  date: currentDate.toISOString()
+                }
+              });
           }
         }
 
@@ -461,11 +724,25 @@ export class CapabilityProofPurpose extends ControllerProofPurpose {
         const currentCapabilityDelegationTime = Date.parse(proof.created);
 
         // verify parent capability was not delegated after child
-        if(parentDelegationTime !== undefined &&
-          parentDelegationTime > currentCapabilityDelegationTime) {
-          throw new Error(
-            'A capability in the delegation chain was delegated before ' +
-            'its parent.');
+        if(parentDelegationTime !== undefined) {
+          const values = {
+            created: proof.created,
+            parentCreated: new Date(parentDelegationTime).toISOString()
+          };
+          const delegatedBeforeParent =
+            parentDelegationTime > currentCapabilityDelegationTime;
+          _addTraceEntry({
+            trace, capabilityId, index, check: 'delegationOrder',
+            passed: !delegatedBeforeParent, values
+          });
+          if(delegatedBeforeParent) {
+            throw new ZcapAuthorizationError(
+              'A capability in the delegation chain was delegated before ' +
+              'its parent.', {
+                code: 'ERR_ZCAP_DELEGATED_BEFORE_PARENT',
+                details: {capabilityId, index, ...values}
+              });
+          }
         }
 
         // some systems may require historical verification of zcaps, so
@@ -484,14 +761,31 @@ export class CapabilityProofPurpose extends ControllerProofPurpose {
 
           // use `utils.compareTime` to allow for allow for clock drift because
           // we are comparing against `currentDate`
-          if(utils.compareTime({
+          const delegatedInFuture = utils.compareTime({
             t1: currentCapabilityDelegationTime,
             t2: currentDate.getTime(),
             maxClockSkew
-          }) > 0) {
-            throw new Error(
+          }) > 0;
+          _addTraceEntry({
+            trace, capabilityId, index, check: 'delegationDate',
+            passed: !delegatedInFuture,
+            values: {
+              created: proof.created,
+              date: currentDate.toISOString(),
+              maxClockSkew
+            }
+          });
+          if(delegatedInFuture) {
+            throw new ZcapAuthorizationError(
               'A delegated capability in the delegation chain was delegated ' +
-              'in the future.');
+              'in the future.', {
+                code: 'ERR_ZCAP_DELEGATED_IN_FUTURE',
+                details: {
+                  capabilityId, index,
+                  created: proof.created,
+                  date: currentDate.toISOString()
+                }
+              });
           }
           const currentTtl = currentCapabilityExpirationTime -
             currentDate.getTime();
@@ -504,10 +798,22 @@ export class CapabilityProofPurpose extends ControllerProofPurpose {
             t2: maxDelegationTtl,
             maxClockSkew
           });
-          if(currentTtlComparison > 0 || maxTtl > maxDelegationTtl) {
-            throw new Error(
+          const ttlTooLong = currentTtlComparison > 0 ||
+            maxTtl > maxDelegationTtl;
+          _addTraceEntry({
+            trace, capabilityId, index, check: 'ttl',
+            passed: !ttlTooLong,
+            values: {currentTtl, maxTtl, maxDelegationTtl}
+          });
+          if(ttlTooLong) {
+            throw new ZcapAuthorizationError(
               'A delegated capability in the delegation chain has a time to ' +
-              'live that is too long.');
+              'live that is too long.', {
+                code: 'ERR_ZCAP_TTL_TOO_LONG',
+                details: {
+                  capabilityId, index, currentTtl, maxTtl, maxDelegationTtl
+                }
+              });
           }
         }
 
@@ -529,3 +835,38 @@ export class CapabilityProofPurpose extends ControllerProofPurpose {
     }
   }
 }
+
+async function _getCacheEntries({dereferencedChain}) {
+  // get the `chainCache` key and expiration date for every delegated zcap
+  const [root, ...delegatedCapabilities] = dereferencedChain;
+  const entries = [];
+  let digest = await sha256(JSON.stringify(root));
+  // root zcaps do not expire
+  let expires = Infinity;
+  for(const zcap of delegatedCapabilities) {
+    digest = await sha256(`${digest}.${JSON.stringify(zcap)}`);
+    expires = Math.min(expires, Date.parse(zcap.expires));
+    entries.push({key: `${zcap.id}:${digest}`, expires: new Date(expires)});
+  }
+  return entries;
+}
+
+function _addTraceEntry({trace, capabilityId, index, check, passed, values}) {
+  if(trace) {
+    trace.push({capabilityId, index, check, passed, values});
+  }
+}
+
+/**
+ * An entry in a capability chain verification trace.
+ *
+ * @typedef {object} TraceEntry
+ * @property {string} capabilityId - The ID of the checked capability.
+ * @property {number} index - The index of the checked capability in the
+ *   chain; the root capability is at index `0`.
+ * @property {string} check - The check that was performed: `proof`,
+ *   `allowedAction`, `invocationTarget`, `caveat`, `expires`, `expiration`,
+ *   `delegationOrder`, `delegationDate`, or `ttl`.
+ * @property {boolean} passed - `true` if the check passed.
+ * @property {object} values - The values that were compared.
+ */
@@ -0,0 +1,267 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as utils from './utils.js';
+import {MemoryCapabilityStore} from './MemoryCapabilityStore.js';
+
+/**
+ * Holds capabilities that have been delegated to (or created by) an agent
+ * and selects which of them to invoke for a request.
+ *
+ * A capability is only selected if the verifier would accept it for the
+ * request: its `invocationTarget` must cover the target and its
+ * `allowedAction` the action using the same rules as `CapabilityInvocation`,
+ * and neither it nor any capability embedded in its chain may have expired.
+ * The wallet does not verify delegation proofs; capabilities are expected to
+ * be verified when they are received, e.g., with `verifyDelegation`.
+ */
+export class CapabilityWallet {
+  /**
+   * @param {object} [options] - The options.
+   * @param {CapabilityStore} [options.store] - The store to keep
+   *   capabilities in; defaults to a new `MemoryCapabilityStore`.
+   * @param {boolean} [options.allowTargetAttenuation=false] - Select
+   *   capabilities whose `invocationTarget` is less restrictive than the
+   *   target; only use this if the verifier also allows target attenuation.
+   * @param {string} [options.targetAttenuationMode='prefix'] - How to check
+   *   an attenuated target, `prefix`, `normalized`, or `structured`; use the
+   *   same mode as the verifier.
+   * @param {boolean} [options.allowTargetPatterns=false] - Select
+   *   capabilities whose `invocationTarget` is a pattern that the target
+   *   matches.
+   * @param {object} [options.actionHierarchy] - A map of each action to the
+   *   actions it directly implies; only use this if the verifier uses the
+   *   same hierarchy.
+   * @param {number} [options.maxClockSkew=300] - A maximum number of seconds
+   *   that clocks may be skewed when checking whether a capability has
+   *   expired; use the same value as the verifier.
+   */
+  constructor({
+    store = new MemoryCapabilityStore(),
+    allowTargetAttenuation = false, targetAttenuationMode,
+    allowTargetPatterns = false, actionHierarchy, maxClockSkew = 300
+  } = {}) {
+    if(!(store && typeof store.get === 'function' &&
+      typeof store.getAll === 'function' &&
+      typeof store.put === 'function' &&
+      typeof store.remove === 'function')) {
+      throw new TypeError(
+        '"store" must be a capability store with "get", "getAll", "put", ' +
+        'and "remove" methods.');
+    }
+    if(typeof maxClockSkew !== 'number') {
+      throw new TypeError('"maxClockSkew" must be a number.');
+    }
+    this.store = store;
+    this.allowTargetAttenuation = allowTargetAttenuation;
+    this.targetAttenuationMode = targetAttenuationMode;
+    this.allowTargetPatterns = allowTargetPatterns;
+    this.actionHierarchy = actionHierarchy;
+    this.maxClockSkew = maxClockSkew;
+  }
+
+  /**
+   * Adds a capability to the wallet, replacing any capability with the same
+   * ID.
+   *
+   * @param {object} options - The options.
+   * @param {object} options.capability - The capability to add.
+   */
+  async add({capability} = {}) {
+    if(!(capability && typeof capability === 'object')) {
+      throw new TypeError('"capability" must be an object.');
+    }
+    utils.checkCapability({
+      capability, expectRoot: capability.parentCapability === undefined
+    });
+    // ensure the chain can be read when selecting the capability
+    utils.getCapabilityChain({capability});
+    await this.store.put({capability});
+  }
+
+  /**
+   * Gets the capability with the given ID.
+   *
+   * @param {object} options - The options.
+   * @param {string} options.id - The ID of the capability.
+   *
+   * @returns {Promise<object|null>} Resolves to the capability or `null` if
+   *   it is not in the wallet.
+   */
+  async get({id} = {}) {
+    return this.store.get({id});
+  }
+
+  /**
+   * Removes the capability with the given ID.
+   *
+   * @param {object} options - The options.
+   * @param {string} options.id - The ID of the capability.
+   *
+   * @returns {Promise<boolean>} Resolves to `true` if a capability was
+   *   removed.
+   */
+  async remove({id} = {}) {
+    return this.store.remove({id});
+  }
+
+  /**
+   * Removes every capability that has expired.
+   *
+   * @param {object} [options] - The options.
+   * @param {string|Date|number} [options.date] - The date to check
+   *   expiration against; if not passed the current date will be used.
+   *
+   * @returns {Promise<Array>} Resolves to the IDs of the removed
+   *   capabilities.
+   */
+  async removeExpired({date} = {}) {
+    const currentDate = (date && new Date(date)) || new Date();
+    const removed = [];
+    for(const capability of await this.store.getAll()) {
+      if(this._isExpired({capability, currentDate})) {
+        await this.store.remove({id: capability.id});
+        removed.push(capability.id);
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Finds the unexpired capabilities that can be invoked to perform an
+   * action on a target, best first: capabilities with the shortest chain
+   * come first and, of those, the ones with the longest remaining lifetime.
+   *
+   * @param {object} options - The options.
+   * @param {string} options.invocationTarget - The target to invoke, e.g.,
+   *   the URL of a request.
+   * @param {string} options.action - The action to invoke, e.g., `read`.
+   * @param {string} [options.controller] - The ID of the invoker (or of its
+   *   verification method); only capabilities that it controls are found.
+   * @param {string|Date|number} [options.date] - The date to check
+   *   expiration against; if not passed the current date will be used.
+   *
+   * @returns {Promise<Array>} Resolves to the matching capabilities.
+   */
+  async find({invocationTarget, action, controller, date} = {}) {
+    if(!(typeof invocationTarget === 'string' &&
+      invocationTarget.includes(':'))) {
+      throw new TypeError(
+        '"invocationTarget" must be a string that expresses an absolute URI.');
+    }
+    if(typeof action !== 'string') {
+      throw new TypeError('"action" must be a string.');
+    }
+    if(controller !== undefined && typeof controller !== 'string') {
+      throw new TypeError('"controller" must be a string.');
+    }
+    // a pattern can be delegated but a specific target must be invoked
+    if(this.allowTargetPatterns &&
+      utils.isTargetPattern({target: invocationTarget})) {
+      return [];
+    }
+
+    const currentDate = (date && new Date(date)) || new Date();
+    const matches = [];
+    for(const capability of await this.store.getAll()) {
+      if(!this._matches({
+        capability, invocationTarget, action, controller, currentDate
+      })) {
+        continue;
+      }
+      const expires = this._getExpires({capability});
+      matches.push({
+        capability,
+        chainLength: utils.getCapabilityChain({capability}).length + 1,
+        remaining: expires === undefined ?
+          Infinity : expires - currentDate.getTime()
+      });
+    }
+    return matches
+      .sort((a, b) => a.chainLength - b.chainLength ||
+        // `Infinity - Infinity` is `NaN`, so compare explicitly
+        (a.remaining === b.remaining ? 0 : b.remaining - a.remaining))
+      .map(({capability}) => capability);
+  }
+
+  /**
+   * Selects the best capability to invoke to perform an action on a target,
+   * see `find()`.
+   *
+   * @param {object} options - The options, see `find()`.
+   *
+   * @returns {Promise<object|null>} Resolves to the capability or `null` if
+   *   no capability in the wallet can be invoked.
+   */
+  async select(options) {
+    const [capability = null] = await this.find(options);
+    return capability;
+  }
+
+  _matches({capability, invocationTarget, action, controller, currentDate}) {
+    if(controller !== undefined && !utils.isController(
+      {capability, verificationMethod: {id: controller}})) {
+      return false;
+    }
+    const allowedActions = utils.getAllowedActions({capability});
+    if(allowedActions.length > 0 && !utils.isActionAllowed({
+      action, allowedActions, actionHierarchy: this.actionHierarchy
+    })) {
+      return false;
+    }
+    if(!utils.isValidTarget({
+      invocationTarget,
+      baseInvocationTarget: utils.getTarget({capability}),
+      allowTargetAttenuation: this.allowTargetAttenuation,
+      targetAttenuationMode: this.targetAttenuationMode,
+      allowTargetPatterns: this.allowTargetPatterns
+    })) {
+      return false;
+    }
+    return !this._isExpired({capability, currentDate});
+  }
+
+  _isExpired({capability, currentDate}) {
+    // the invoked capability and every capability embedded in its chain
+    // (the parent and, recursively, its parent) must not have expired
+    for(let zcap = capability; zcap && typeof zcap === 'object';) {
+      const expires = this._getExpires({capability: zcap});
+      if(expires === null || (expires !== undefined && utils.compareTime({
+        t1: currentDate.getTime(),
+        t2: expires,
+        maxClockSkew: this.maxClockSkew
+      }) > 0)) {
+        return true;
+      }
+      if(!zcap.parentCapability) {
+        break;
+      }
+      zcap = utils.getCapabilityChain({capability: zcap}).at(-1);
+    }
+    return false;
+  }
+
+  // returns the expiration time, `undefined` if none, or `null` if invalid
+  _getExpires({capability}) {
+    if(capability.expires === undefined) {
+      return undefined;
+    }
+    const expires = Date.parse(capability.expires);
+    return Number.isNaN(expires) ? null : expires;
+  }
+}
+
+/**
+ * A store for the capabilities in a `CapabilityWallet`.
+ *
+ * @typedef {object} CapabilityStore
+ * @property {Function} get - An async function that takes `{id}` and
+ *   returns the capability with that ID or `null`.
+ * @property {Function} getAll - An async function that returns every stored
+ *   capability.
+ * @property {Function} put - An async function that takes `{capability}` and
+ *   stores it, replacing any capability with the same ID.
+ * @property {Function} remove - An async function that takes `{id}`,
+ *   removes the capability with that ID, and returns `true` if it was
+ *   stored.
+ */
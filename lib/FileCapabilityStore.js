@@ -0,0 +1,86 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {readJsonFile, updateJsonFile} from './jsonFile.js';
+
+/**
+ * A `CapabilityStore` that keeps capabilities in a JSON file. This store is
+ * only available in Node.js.
+ *
+ * The file is read on every operation and locked while it is updated, so
+ * several stores, in the same or other processes, may share it without
+ * losing changes.
+ */
+export class FileCapabilityStore {
+  /**
+   * @param {object} options - The options.
+   * @param {string} options.path - The path to the JSON file; it is created
+   *   when the first capability is stored.
+   */
+  constructor({path} = {}) {
+    if(typeof path !== 'string') {
+      throw new TypeError('"path" must be a string.');
+    }
+    this.path = path;
+  }
+
+  /**
+   * Gets the capability with the given ID.
+   *
+   * @param {object} options - The options.
+   * @param {string} options.id - The ID of the capability.
+   *
+   * @returns {Promise<object|null>} Resolves to the capability or `null` if
+   *   it is not stored.
+   */
+  async get({id} = {}) {
+    const capabilities = await readJsonFile({path: this.path});
+    return Object.hasOwn(capabilities, id) ? capabilities[id] : null;
+  }
+
+  /**
+   * Gets every stored capability.
+   *
+   * @returns {Promise<Array>} Resolves to the capabilities.
+   */
+  async getAll() {
+    return Object.values(await readJsonFile({path: this.path}));
+  }
+
+  /**
+   * Stores a capability, replacing any stored capability with the same ID.
+   *
+   * @param {object} options - The options.
+   * @param {object} options.capability - The capability.
+   */
+  async put({capability} = {}) {
+    await updateJsonFile({
+      path: this.path,
+      update(capabilities) {
+        capabilities[capability.id] = capability;
+      }
+    });
+  }
+
+  /**
+   * Removes the capability with the given ID.
+   *
+   * @param {object} options - The options.
+   * @param {string} options.id - The ID of the capability.
+   *
+   * @returns {Promise<boolean>} Resolves to `true` if a capability was
+   *   removed.
+   */
+  async remove({id} = {}) {
+    return updateJsonFile({
+      path: this.path,
+      update(capabilities) {
+        if(!Object.hasOwn(capabilities, id)) {
+          return false;
+        }
+        delete capabilities[id];
+        return true;
+      }
+    });
+  }
+}
@@ -0,0 +1,93 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {readJsonFile, updateJsonFile} from './jsonFile.js';
+
+/**
+ * @typedef RevocationRecord
+ */
+
+/**
+ * A `RevocationStore` that keeps revocation records in a JSON file. This
+ * store is only available in Node.js.
+ *
+ * The file is read on every operation and locked while it is updated, so
+ * several stores, in the same or other processes, may share it without
+ * losing records.
+ */
+export class FileRevocationStore {
+  /**
+   * @param {object} options - The options.
+   * @param {string} options.path - The path to the JSON file; it is created
+   *   when the first capability is revoked.
+   */
+  constructor({path} = {}) {
+    if(typeof path !== 'string') {
+      throw new TypeError('"path" must be a string.');
+    }
+    this.path = path;
+  }
+
+  /**
+   * Returns whether the given capability has been revoked.
+   *
+   * @param {object} options - The options.
+   * @param {string} options.capabilityId - The ID of the capability.
+   * @param {string|null} [options.parentCapability=null] - The ID of its
+   *   parent capability.
+   * @param {string|null} [options.verificationMethod=null] - The ID of the
+   *   verification method that signed its delegation proof.
+   *
+   * @returns {Promise<boolean>} Resolves to `true` if revoked.
+   */
+  async isRevoked(options = {}) {
+    return (await this.get(options)) !== null;
+  }
+
+  /**
+   * Gets the revocation record for the given capability.
+   *
+   * @param {object} options - The options, see `isRevoked()`.
+   *
+   * @returns {Promise<RevocationRecord|null>} Resolves to the record or
+   *   `null` if the capability has not been revoked.
+   */
+  async get(options = {}) {
+    const records = await readJsonFile({path: this.path});
+    const key = _getKey(options);
+    return Object.hasOwn(records, key) ? records[key] : null;
+  }
+
+  /**
+   * Stores a revocation record. If the capability has already been revoked,
+   * the existing record is kept.
+   *
+   * @param {RevocationRecord} record - The revocation record.
+   *
+   * @returns {Promise<RevocationRecord>} Resolves to the stored record.
+   */
+  async revoke({
+    capabilityId, parentCapability = null, verificationMethod = null,
+    revoker, revoked
+  } = {}) {
+    const key = _getKey({capabilityId, parentCapability, verificationMethod});
+    return updateJsonFile({
+      path: this.path,
+      update(records) {
+        if(!Object.hasOwn(records, key)) {
+          records[key] = {
+            capabilityId, parentCapability, verificationMethod, revoker,
+            revoked
+          };
+        }
+        return records[key];
+      }
+    });
+  }
+}
+
+function _getKey({
+  capabilityId, parentCapability = null, verificationMethod = null
+}) {
+  return JSON.stringify([capabilityId, parentCapability, verificationMethod]);
+}
@@ -0,0 +1,59 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+
+/**
+ * A `CapabilityStore` that keeps capabilities in memory.
+ */
+export class MemoryCapabilityStore {
+  constructor() {
+    // capability ID => capability
+    this._capabilities = new Map();
+  }
+
+  /**
+   * Gets the capability with the given ID.
+   *
+   * @param {object} options - The options.
+   * @param {string} options.id - The ID of the capability.
+   *
+   * @returns {Promise<object|null>} Resolves to the capability or `null` if
+   *   it is not stored.
+   */
+  async get({id} = {}) {
+    const capability = this._capabilities.get(id);
+    return capability ? structuredClone(capability) : null;
+  }
+
+  /**
+   * Gets every stored capability.
+   *
+   * @returns {Promise<Array>} Resolves to the capabilities.
+   */
+  async getAll() {
+    return [...this._capabilities.values()].map(c => structuredClone(c));
+  }
+
+  /**
+   * Stores a capability, replacing any stored capability with the same ID.
+   *
+   * @param {object} options - The options.
+   * @param {object} options.capability - The capability.
+   */
+  async put({capability} = {}) {
+    this._capabilities.set(capability.id, structuredClone(capability));
+  }
+
+  /**
+   * Removes the capability with the given ID.
+   *
+   * @param {object} options - The options.
+   * @param {string} options.id - The ID of the capability.
+   *
+   * @returns {Promise<boolean>} Resolves to `true` if a capability was
+   *   removed.
+   */
+  async remove({id} = {}) {
+    return this._capabilities.delete(id);
+  }
+}
@@ -0,0 +1,81 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+
+/**
+ * A `ChainCache` that remembers verified capability delegation proofs in
+ * memory until they expire. Once `maxSize` entries are remembered, the least
+ * recently used one is evicted to make room for another.
+ */
+export class MemoryChainCache {
+  /**
+   * @param {object} [options] - The options.
+   * @param {number} [options.maxSize=1000] - The maximum number of entries
+   *   to remember.
+   */
+  constructor({maxSize = 1000} = {}) {
+    if(!(Number.isSafeInteger(maxSize) && maxSize > 0)) {
+      throw new TypeError('"maxSize" must be a positive integer.');
+    }
+    this.maxSize = maxSize;
+    // key => {value, expires (in milliseconds)}, least recently used first
+    this._entries = new Map();
+  }
+
+  /**
+   * Gets an entry if it has not expired.
+   *
+   * @param {object} options - The options.
+   * @param {string} options.key - The key.
+   * @param {Date} [options.date] - The current date; if not passed the
+   *   current date will be used.
+   *
+   * @returns {Promise<*>} Resolves to the value of the entry or `undefined`
+   *   if there is no unexpired entry for the key.
+   */
+  async get({key, date = new Date()} = {}) {
+    const entry = this._entries.get(key);
+    if(entry === undefined) {
+      return undefined;
+    }
+    this._entries.delete(key);
+    if(entry.expires <= date.getTime()) {
+      return undefined;
+    }
+    // mark as most recently used
+    this._entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Sets an entry.
+   *
+   * @param {object} options - The options.
+   * @param {string} options.key - The key.
+   * @param {*} options.value - The value.
+   * @param {Date} options.expires - When the entry must be forgotten.
+   */
+  async set({key, value, expires} = {}) {
+    this._entries.delete(key);
+    this._entries.set(key, {value, expires: expires.getTime()});
+    // evict least recently used entries that exceed the maximum size
+    for(const oldest of this._entries.keys()) {
+      if(this._entries.size <= this.maxSize) {
+        break;
+      }
+      this._entries.delete(oldest);
+    }
+  }
+}
+
+/**
+ * A cache for the results of verifying the capability delegation proofs in
+ * capability chains.
+ *
+ * @typedef {object} ChainCache
+ * @property {Function} get - An async function that takes `{key, date}` and
+ *   returns the value set for `key` or `undefined` if there is none or if it
+ *   expired at or before `date`.
+ * @property {Function} set - An async function that takes
+ *   `{key, value, expires}` and sets `value` for `key` until `expires`.
+ */
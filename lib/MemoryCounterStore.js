@@ -0,0 +1,50 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+
+/**
+ * A `CounterStore` that keeps counters in memory.
+ */
+export class MemoryCounterStore {
+  constructor() {
+    // capability key => count
+    this._counts = new Map();
+  }
+
+  /**
+   * Gets the current count for the given capability.
+   *
+   * @param {object} options - The options.
+   * @param {string} options.capabilityId - The ID of the capability.
+   * @param {string|null} [options.parentCapability=null] - The ID of its
+   *   parent capability.
+   * @param {string|null} [options.verificationMethod=null] - The ID of the
+   *   verification method that signed its delegation proof.
+   *
+   * @returns {Promise<number>} Resolves to the count.
+   */
+  async get(options = {}) {
+    return this._counts.get(_getKey(options)) || 0;
+  }
+
+  /**
+   * Atomically increments the counter for the given capability.
+   *
+   * @param {object} options - The options, see `get()`.
+   *
+   * @returns {Promise<number>} Resolves to the incremented count.
+   */
+  async increment(options = {}) {
+    const key = _getKey(options);
+    // no `await` between read and write, so this is atomic
+    const count = (this._counts.get(key) || 0) + 1;
+    this._counts.set(key, count);
+    return count;
+  }
+}
+
+function _getKey({
+  capabilityId, parentCapability = null, verificationMethod = null
+}) {
+  return JSON.stringify([capabilityId, parentCapability, verificationMethod]);
+}
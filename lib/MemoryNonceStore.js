@@ -0,0 +1,80 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+
+/**
+ * A `NonceStore` that remembers nonces in memory until they expire. A nonce
+ * that has not expired is never forgotten, so once `maxSize` nonces that
+ * have not expired are remembered, adding another throws an error (and the
+ * invocation is not authorized) until some of them expire; `maxSize` should
+ * be large enough to hold every nonce that can be seen within the freshness
+ * window.
+ */
+export class MemoryNonceStore {
+  /**
+   * @param {object} [options] - The options.
+   * @param {number} [options.maxSize=10000] - The maximum number of nonces
+   *   to remember.
+   */
+  constructor({maxSize = 10000} = {}) {
+    if(!(Number.isSafeInteger(maxSize) && maxSize > 0)) {
+      throw new TypeError('"maxSize" must be a positive integer.');
+    }
+    this.maxSize = maxSize;
+    // nonce => expiration time (in milliseconds), in order of insertion
+    this._nonces = new Map();
+  }
+
+  /**
+   * Adds a nonce if it is not already remembered.
+   *
+   * @param {object} options - The options.
+   * @param {string} options.nonce - The nonce.
+   * @param {Date} options.expires - When the nonce may be forgotten.
+   * @param {Date} [options.date] - The current date; if not passed the
+   *   current date will be used.
+   *
+   * @returns {Promise<boolean>} Resolves to `true` if the nonce was added,
+   *   `false` if it has already been seen.
+   */
+  async add({nonce, expires, date = new Date()} = {}) {
+    const now = date.getTime();
+    const existing = this._nonces.get(nonce);
+    if(existing !== undefined && existing > now) {
+      return false;
+    }
+    this._nonces.delete(nonce);
+
+    // forget the least recently added nonces that have expired
+    for(const [key, keyExpires] of this._nonces) {
+      if(keyExpires > now) {
+        break;
+      }
+      this._nonces.delete(key);
+    }
+    if(this._nonces.size >= this.maxSize) {
+      // nonces are not necessarily added in order of expiration
+      for(const [key, keyExpires] of this._nonces) {
+        if(keyExpires <= now) {
+          this._nonces.delete(key);
+        }
+      }
+      if(this._nonces.size >= this.maxSize) {
+        // forgetting a nonce that has not expired would allow a replay
+        throw new Error('The nonce store is full.');
+      }
+    }
+    this._nonces.set(nonce, expires.getTime());
+    return true;
+  }
+}
+
+/**
+ * A store for the nonces of capability invocation proofs.
+ *
+ * @typedef {object} NonceStore
+ * @property {Function} add - An async function that takes
+ *   `{nonce, expires, date}`, atomically adds the nonce if it has not been
+ *   seen or has expired, and returns `true` if it was added or `false` if it
+ *   is a replay.
+ */
@@ -0,0 +1,73 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+
+/**
+ * @typedef RevocationRecord
+ */
+
+/**
+ * A `RevocationStore` that keeps revocation records in memory.
+ */
+export class MemoryRevocationStore {
+  constructor() {
+    // revocation key => revocation record
+    this._records = new Map();
+  }
+
+  /**
+   * Returns whether the given capability has been revoked.
+   *
+   * @param {object} options - The options.
+   * @param {string} options.capabilityId - The ID of the capability.
+   * @param {string|null} [options.parentCapability=null] - The ID of its
+   *   parent capability.
+   * @param {string|null} [options.verificationMethod=null] - The ID of the
+   *   verification method that signed its delegation proof.
+   *
+   * @returns {Promise<boolean>} Resolves to `true` if revoked.
+   */
+  async isRevoked(options = {}) {
+    return this._records.has(_getKey(options));
+  }
+
+  /**
+   * Gets the revocation record for the given capability.
+   *
+   * @param {object} options - The options, see `isRevoked()`.
+   *
+   * @returns {Promise<RevocationRecord|null>} Resolves to the record or
+   *   `null` if the capability has not been revoked.
+   */
+  async get(options = {}) {
+    const record = this._records.get(_getKey(options));
+    return record ? {...record} : null;
+  }
+
+  /**
+   * Stores a revocation record. If the capability has already been revoked,
+   * the existing record is kept.
+   *
+   * @param {RevocationRecord} record - The revocation record.
+   *
+   * @returns {Promise<RevocationRecord>} Resolves to the stored record.
+   */
+  async revoke({
+    capabilityId, parentCapability = null, verificationMethod = null,
+    revoker, revoked
+  } = {}) {
+    const key = _getKey({capabilityId, parentCapability, verificationMethod});
+    if(!this._records.has(key)) {
+      this._records.set(key, {
+        capabilityId, parentCapability, verificationMethod, revoker, revoked
+      });
+    }
+    return {...this._records.get(key)};
+  }
+}
+
+function _getKey({
+  capabilityId, parentCapability = null, verificationMethod = null
+}) {
+  return JSON.stringify([capabilityId, parentCapability, verificationMethod]);
+}
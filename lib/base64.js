@@ -0,0 +1,24 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+
+export function encodeBase64(bytes) {
+  let binary = '';
+  for(const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary);
+}
+
+export function decodeBase64(encoded) {
+  return Uint8Array.from(atob(encoded), c => c.charCodeAt(0));
+}
+
+export function encodeBase64Url(bytes) {
+  return encodeBase64(bytes)
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export function decodeBase64Url(encoded) {
+  return decodeBase64(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+}
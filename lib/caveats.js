@@ -0,0 +1,235 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as utils from './utils.js';
+import {ZcapAuthorizationError, ZcapValidationError} from './errors.js';
+
+/* Note: A caveat is an object in the `caveat` array of a delegated zcap that
+restricts its use beyond what `allowedAction`, `invocationTarget`, and
+`expires` can express. Every caveat has a `type` that identifies the
+`CaveatHandler` that understands it. Verifiers reject any zcap with a caveat
+that they do not have a handler for.
+
+A caveat's terms are not defined by the zcap context, so every caveat carries
+its handler's JSON-LD context as an embedded `@context`. */
+
+/**
+ * A registry of caveat handlers, keyed by caveat `type`.
+ */
+export class CaveatRegistry {
+  /**
+   * @param {object} [options] - The options.
+   * @param {CaveatHandler[]} [options.handlers=[]] - The caveat handlers to
+   *   register.
+   */
+  constructor({handlers = []} = {}) {
+    this._handlers = new Map();
+    for(const handler of handlers) {
+      this.register(handler);
+    }
+  }
+
+  /**
+   * Registers a caveat handler.
+   *
+   * @param {CaveatHandler} handler - The caveat handler to register.
+   */
+  register(handler) {
+    if(!(handler && typeof handler === 'object')) {
+      throw new TypeError('"handler" must be an object.');
+    }
+    const {type, context, isValidAttenuation, evaluate, commit} = handler;
+    if(typeof type !== 'string') {
+      throw new TypeError('"handler.type" must be a string.');
+    }
+    if(!(context && typeof context === 'object')) {
+      throw new TypeError('"handler.context" must be an object.');
+    }
+    if(typeof isValidAttenuation !== 'function') {
+      throw new TypeError('"handler.isValidAttenuation" must be a function.');
+    }
+    if(typeof evaluate !== 'function') {
+      throw new TypeError('"handler.evaluate" must be a function.');
+    }
+    if(commit !== undefined && typeof commit !== 'function') {
+      throw new TypeError('"handler.commit" must be a function.');
+    }
+    if(this._handlers.has(type)) {
+      throw new Error(`A caveat handler for "${type}" is already registered.`);
+    }
+    this._handlers.set(type, handler);
+  }
+
+  /**
+   * Gets the caveat handler for the given caveat type.
+   *
+   * @param {object} options - The options.
+   * @param {string} options.type - The caveat type.
+   *
+   * @returns {CaveatHandler|null} The caveat handler or `null` if none is
+   *   registered for the type.
+   */
+  get({type} = {}) {
+    return this._handlers.get(type) || null;
+  }
+}
+
+/**
+ * Adds the JSON-LD context of its handler to every caveat that has none.
+ *
+ * @param {object} options - The options.
+ * @param {Array} options.caveats - The caveats.
+ * @param {CaveatRegistry} options.caveatRegistry - The caveat registry.
+ *
+ * @returns {Array} The caveats with contexts.
+ */
+export function addCaveatContexts({caveats, caveatRegistry}) {
+  return caveats.map(caveat => {
+    if(caveat['@context'] !== undefined) {
+      return caveat;
+    }
+    const {context} = _getHandler({caveat, caveatRegistry});
+    return {'@context': context, ...caveat};
+  });
+}
+
+/**
+ * Checks that the caveats of a delegated capability are no weaker than those
+ * of its parent: every caveat in the parent must be matched by a caveat of
+ * the same type in the child that its handler considers a valid
+ * attenuation of it.
+ *
+ * @param {object} options - The options.
+ * @param {object} options.capability - The delegated capability.
+ * @param {object} options.parentCapability - The parent capability.
+ * @param {CaveatRegistry} [options.caveatRegistry] - The caveat registry;
+ *   required if either capability has caveats.
+ * @param {number} [options.index] - The index of the capability in its
+ *   capability chain, for error details.
+ *
+ * @returns {Promise<object>} Resolves to `{valid, error}`.
+ */
+export async function checkCaveatAttenuation({
+  capability, parentCapability, caveatRegistry, index
+}) {
+  try {
+    const {id: capabilityId} = capability;
+    const caveats = utils.getCaveats({capability});
+    const parentCaveats = utils.getCaveats({capability: parentCapability});
+
+    // ensure every caveat is understood
+    const handlers = caveats.map(caveat => _getHandler({
+      caveat, caveatRegistry, capabilityId, index
+    }));
+
+    for(const parentCaveat of parentCaveats) {
+      let attenuated = false;
+      for(const [i, caveat] of caveats.entries()) {
+        if(caveat.type === parentCaveat.type &&
+          await handlers[i].isValidAttenuation({caveat, parentCaveat})) {
+          attenuated = true;
+          break;
+        }
+      }
+      if(!attenuated) {
+        throw new ZcapAuthorizationError(
+          `The "${parentCaveat.type}" caveat in a delegated capability ` +
+          'must not be less restrictive than its parent.', {
+            code: 'ERR_ZCAP_CAVEAT_WEAKENED',
+            details: {capabilityId, index, parentCaveat}
+          });
+      }
+    }
+    return {valid: true};
+  } catch(error) {
+    return {valid: false, error};
+  }
+}
+
+/**
+ * Evaluates every caveat in a capability chain against an invocation, from
+ * the invoked capability to the root. Only once every caveat is satisfied
+ * is each caveat committed, e.g., a usage is counted, so that no state
+ * changes for an invocation that is rejected.
+ *
+ * @param {object} options - The options.
+ * @param {Array} options.capabilityChain - The verified capability chain,
+ *   from root to the invoked capability.
+ * @param {CaveatRegistry} [options.caveatRegistry] - The caveat registry;
+ *   required if any capability in the chain has caveats.
+ * @param {object} options.invocationContext - The invocation context to
+ *   evaluate caveats against.
+ */
+export async function evaluateCaveats({
+  capabilityChain, caveatRegistry, invocationContext
+}) {
+  const evaluated = [];
+  for(let index = capabilityChain.length - 1; index > 0; --index) {
+    const capability = capabilityChain[index];
+    const {id: capabilityId} = capability;
+    for(const caveat of utils.getCaveats({capability})) {
+      const handler = _getHandler({
+        caveat, caveatRegistry, capabilityId, index
+      });
+      const options = {caveat, capability, capabilityChain, invocationContext};
+      _checkCaveatResult({
+        result: await handler.evaluate(options), caveat, capabilityId, index
+      });
+      evaluated.push({handler, options, index});
+    }
+  }
+  for(const {handler, options, index} of evaluated) {
+    if(typeof handler.commit === 'function') {
+      const {caveat, capability: {id: capabilityId}} = options;
+      _checkCaveatResult({
+        result: await handler.commit(options), caveat, capabilityId, index
+      });
+    }
+  }
+}
+
+function _checkCaveatResult({
+  result: {valid, error}, caveat, capabilityId, index
+}) {
+  if(!valid) {
+    throw new ZcapAuthorizationError(
+      error?.message ||
+      `The "${caveat.type}" caveat in the capability chain is not ` +
+      'satisfied.', {
+        code: 'ERR_ZCAP_CAVEAT_NOT_SATISFIED',
+        details: {capabilityId, index, caveat}
+      });
+  }
+}
+
+function _getHandler({caveat, caveatRegistry, capabilityId, index}) {
+  const handler = caveatRegistry?.get({type: caveat.type});
+  if(!handler) {
+    throw new ZcapValidationError(
+      `Unsupported caveat type "${caveat.type}".`, {
+        code: 'ERR_ZCAP_CAVEAT_UNSUPPORTED',
+        details: {capabilityId, index, caveat}
+      });
+  }
+  return handler;
+}
+
+/**
+ * A caveat handler.
+ *
+ * @typedef {object} CaveatHandler
+ * @property {string} type - The caveat type that the handler understands.
+ * @property {object} context - The JSON-LD context that defines the
+ *   caveat's terms, including its `type`; it is embedded in each caveat.
+ * @property {Function} isValidAttenuation - A function that takes
+ *   `{caveat, parentCaveat}` and returns (or resolves to) `true` if `caveat`
+ *   is no weaker than `parentCaveat`.
+ * @property {Function} evaluate - An async function that takes
+ *   `{caveat, capability, capabilityChain, invocationContext}` and returns
+ *   `{valid, error}`; `valid` must be `true` if the invocation satisfies the
+ *   caveat. It must not change any state.
+ * @property {Function} [commit] - An async function that takes the same
+ *   options as `evaluate` and is called once every caveat in the chain is
+ *   satisfied, e.g., to count a usage; it returns `{valid, error}` as
+ *   `evaluate` does.
+ */
@@ -0,0 +1,148 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as cborg from 'cborg';
+import {ZcapValidationError} from './errors.js';
+
+/* Note: A capability is encoded as a CBOR array of the encoding version and
+the capability. Every object in the capability, including the delegated
+capabilities embedded in the `capabilityChain` of its proof, is encoded as a
+CBOR map with its keys in their original order. Keys that are registered terms
+are encoded as their (small) integer codes and all other keys are encoded as
+strings; values are encoded as is. So, decoding gives back exactly the JSON
+that was encoded and any proofs still verify.
+
+The registered terms MUST NOT be changed for a given version; any change
+requires a new version. */
+const VERSION = 1;
+const TERMS = [
+  '@context',
+  'id',
+  'type',
+  'controller',
+  'parentCapability',
+  'invocationTarget',
+  'allowedAction',
+  'expires',
+  'caveat',
+  'proof',
+  'created',
+  'verificationMethod',
+  'proofPurpose',
+  'proofValue',
+  'capabilityChain',
+  'capability',
+  'capabilityAction',
+  'nonce',
+  'jws'
+];
+const TERM_CODES = new Map(TERMS.map((term, code) => [term, code]));
+
+/**
+ * Encodes a capability as compact CBOR.
+ *
+ * @param {object} options - The options.
+ * @param {object} options.capability - The capability to encode.
+ *
+ * @returns {Uint8Array} The encoded capability.
+ */
+export function encodeCapability({capability} = {}) {
+  if(!_isObject(capability)) {
+    throw new TypeError('"capability" must be an object.');
+  }
+  // `mapSorter: null` preserves the order of keys
+  return cborg.encode(
+    [VERSION, _encodeValue(capability)], {mapSorter: null});
+}
+
+/**
+ * Decodes a capability that was encoded using `encodeCapability`.
+ *
+ * @param {object} options - The options.
+ * @param {Uint8Array} options.data - The encoded capability.
+ *
+ * @returns {object} The decoded capability.
+ */
+export function decodeCapability({data} = {}) {
+  if(!(data instanceof Uint8Array)) {
+    throw new TypeError('"data" must be a Uint8Array.');
+  }
+  let decoded;
+  try {
+    decoded = cborg.decode(data, {useMaps: true, rejectDuplicateMapKeys: true});
+  } catch(e) {
+    throw _createError({message: `Invalid CBOR: ${e.message}`});
+  }
+  if(!(Array.isArray(decoded) && decoded.length === 2)) {
+    throw _createError({message: 'Invalid CBOR-encoded capability.'});
+  }
+  const [version, capability] = decoded;
+  if(version !== VERSION) {
+    throw _createError({
+      message: `Unsupported capability encoding version "${version}".`
+    });
+  }
+  if(!(capability instanceof Map)) {
+    throw _createError({message: 'Invalid CBOR-encoded capability.'});
+  }
+  return _decodeValue(capability);
+}
+
+function _encodeValue(value) {
+  if(Array.isArray(value)) {
+    return value.map(_encodeValue);
+  }
+  if(_isObject(value)) {
+    const map = new Map();
+    for(const [key, v] of Object.entries(value)) {
+      map.set(TERM_CODES.has(key) ? TERM_CODES.get(key) : key, _encodeValue(v));
+    }
+    return map;
+  }
+  if(!(value === null || ['string', 'number', 'boolean'].includes(
+    typeof value))) {
+    throw new TypeError('"capability" must only contain JSON values.');
+  }
+  return value;
+}
+
+function _decodeValue(value) {
+  if(Array.isArray(value)) {
+    return value.map(_decodeValue);
+  }
+  if(value instanceof Map) {
+    const object = {};
+    for(const [key, v] of value) {
+      let term = key;
+      if(typeof key === 'number') {
+        term = TERMS[key];
+        if(term === undefined) {
+          throw _createError({message: `Unknown term code "${key}".`});
+        }
+      } else if(typeof key !== 'string' || TERM_CODES.has(key)) {
+        // registered terms must always be encoded as their codes
+        throw _createError({message: `Invalid key "${key}".`});
+      }
+      // define the property (like `JSON.parse` does) so that a key such as
+      // `__proto__` is not interpreted
+      Object.defineProperty(object, term, {
+        value: _decodeValue(v),
+        configurable: true, enumerable: true, writable: true
+      });
+    }
+    return object;
+  }
+  if(!(value === null || ['string', 'number', 'boolean'].includes(
+    typeof value))) {
+    throw _createError({message: 'Invalid CBOR-encoded capability value.'});
+  }
+  return value;
+}
+
+function _isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function _createError({message}) {
+  return new ZcapValidationError(message, {code: 'ERR_ZCAP_ENCODING_INVALID'});
+}
@@ -0,0 +1,18 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+// browser MUST provide "crypto.randomUUID" and "crypto.subtle"
+const crypto = globalThis.crypto;
+
+export function randomUUID() {
+  return crypto.randomUUID();
+}
+
+export async function sha256(data) {
+  const bytes = await sha256Bytes(new TextEncoder().encode(data));
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+export async function sha256Bytes(data) {
+  return new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+}
@@ -0,0 +1,16 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import crypto from 'node:crypto';
+
+export function randomUUID() {
+  return crypto.randomUUID();
+}
+
+export async function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+export async function sha256Bytes(data) {
+  return new Uint8Array(crypto.createHash('sha256').update(data).digest());
+}
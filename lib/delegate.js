@@ -0,0 +1,179 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as utils from './utils.js';
+import {addCaveatContexts} from './caveats.js';
+import {CapabilityDelegation} from './CapabilityDelegation.js';
+import {documentLoader as defaultDocumentLoader} from './documentLoader.js';
+import jsigs from 'jsonld-signatures';
+import {randomUUID} from './crypto.js';
+import {ZCAP_CONTEXT_URL} from './constants.js';
+import {ZcapAuthorizationError} from './errors.js';
+
+/**
+ * @typedef CaveatRegistry
+ */
+
+/**
+ * Delegates a capability by building a new child capability from the given
+ * parent capability and signing it with a capability delegation proof.
+ *
+ * Any values not given are inherited from the parent capability where
+ * possible: `invocationTarget`, `allowedAction`, `expires`, and `caveat`.
+ * The same checks that `CapabilityDelegation` runs when creating a proof are
+ * run here, i.e., the new capability must not be less restrictive than its
+ * parent.
+ *
+ * @param {object} options - The options.
+ * @param {string|object} options.parentCapability - The parent capability to
+ *   delegate from; this can be a root capability ID expressed as a string or
+ *   the full parent capability.
+ * @param {string|Array} options.controller - The controller(s) of the new
+ *   capability.
+ * @param {string} [options.invocationTarget] - The invocation target for the
+ *   new capability; defaults to the parent's and is required when
+ *   `parentCapability` is a root capability ID.
+ * @param {boolean} [options.allowTargetAttenuation=false] - Allow an
+ *   `invocationTarget` that is more restrictive than the parent's; only use
+ *   this if verifiers also allow target attenuation.
+ * @param {string} [options.targetAttenuationMode='prefix'] - How to check
+ *   that `invocationTarget` is not less restrictive than the parent's,
+ *   `prefix`, `normalized`, or `structured`; use the same mode as
+ *   verifiers.
+ * @param {boolean} [options.allowTargetPatterns=false] - Allow
+ *   `invocationTarget` to be a pattern, e.g.,
+ *   `https://example.com/users/{id}/photos`, or to narrow a parent's
+ *   pattern; only use this if verifiers also allow target patterns.
+ * @param {string|Array} [options.allowedAction] - The allowed action(s) for
+ *   the new capability; defaults to the parent's.
+ * @param {object} [options.actionHierarchy] - A map of each action to the
+ *   actions it directly implies, e.g., `{write: ['read']}`, which allows
+ *   delegating an implied action; only use this if verifiers use the same
+ *   hierarchy.
+ * @param {string|Date} [options.expires] - The expiration date for the new
+ *   capability; defaults to the parent's and is required when the parent
+ *   does not expire.
+ * @param {Array} [options.caveat] - The caveats for the new capability;
+ *   defaults to the parent's. Every caveat that has no `@context` gets the
+ *   context of its handler from `caveatRegistry`.
+ * @param {CaveatRegistry} [options.caveatRegistry] - The registry of caveat
+ *   handlers; required if the new capability or its parent has caveats.
+ * @param {object} [options.signer] - A signer API with an `id` and an async
+ *   `sign()` method; only used when `suite` is a suite class.
+ * @param {object|Function} options.suite - The jsonld-signatures suite to use
+ *   to create the delegation proof; either a suite instance that has been
+ *   configured with a key or signer or, if `signer` is given, a suite class
+ *   to instantiate with it.
+ * @param {Function} [options.documentLoader] - A configured jsonld
+ *   documentLoader; defaults to one that only loads ZCAP and jsigs contexts.
+ *
+ * @returns {Promise<object>} Resolves to the signed delegated capability.
+ */
+export async function delegate({
+  parentCapability, controller, invocationTarget,
+  allowTargetAttenuation = false, targetAttenuationMode,
+  allowTargetPatterns = false, allowedAction, expires, actionHierarchy,
+  caveat, caveatRegistry,
+  signer, suite, documentLoader = defaultDocumentLoader
+} = {}) {
+  if(!(typeof parentCapability === 'string' ||
+    (parentCapability && typeof parentCapability === 'object'))) {
+    throw new TypeError(
+      '"parentCapability" must be a string expressing the ID of a root ' +
+      'capability or an object expressing the full parent capability.');
+  }
+  if(!(typeof controller === 'string' || Array.isArray(controller))) {
+    throw new TypeError('"controller" must be a string or array.');
+  }
+  if(!suite) {
+    throw new TypeError('"suite" is required.');
+  }
+  if(typeof suite === 'function') {
+    if(!signer) {
+      throw new TypeError('"signer" is required when "suite" is a class.');
+    }
+    suite = new suite({signer});
+  }
+
+  // a string parent is a root zcap ID, so there is nothing to inherit from it
+  const parent = typeof parentCapability === 'string' ?
+    {id: parentCapability} : parentCapability;
+
+  if(invocationTarget === undefined) {
+    invocationTarget = parent.invocationTarget;
+  }
+  if(!(typeof invocationTarget === 'string' &&
+    invocationTarget.includes(':'))) {
+    throw new TypeError(
+      '"invocationTarget" must be a string that expresses an absolute URI; ' +
+      'it is required when "parentCapability" is a root capability ID.');
+  }
+  // ensure `invocationTarget` is acceptable to verifiers that use the same
+  // target attenuation options
+  const {invocationTarget: parentInvocationTarget} = parent;
+  if(parentInvocationTarget !== undefined && !utils.isValidTarget({
+    invocationTarget,
+    baseInvocationTarget: parentInvocationTarget,
+    allowTargetAttenuation,
+    targetAttenuationMode,
+    allowTargetPatterns
+  })) {
+    throw new ZcapAuthorizationError(allowTargetAttenuation ?
+      'The "invocationTarget" in a delegated capability must not be ' +
+      'less restrictive than its parent.' :
+      'The "invocationTarget" in a delegated capability must be ' +
+      'equivalent to its parent.', {
+      code: 'ERR_ZCAP_TARGET_MISMATCH',
+      details: {
+        parentCapabilityId: parent.id,
+        invocationTarget,
+        parentInvocationTarget
+      }
+    });
+  }
+
+  if(allowedAction === undefined) {
+    ({allowedAction} = parent);
+  }
+
+  if(expires === undefined) {
+    ({expires} = parent);
+    if(expires === undefined) {
+      throw new TypeError(
+        '"expires" is required when the parent capability does not expire.');
+    }
+  }
+  if(expires instanceof Date) {
+    expires = expires.toISOString();
+  }
+
+  if(caveat === undefined) {
+    ({caveat} = parent);
+  }
+
+  const capability = {
+    '@context': [ZCAP_CONTEXT_URL],
+    id: `urn:uuid:${randomUUID()}`,
+    controller,
+    parentCapability: parent.id,
+    invocationTarget,
+    expires
+  };
+  if(allowedAction !== undefined) {
+    capability.allowedAction = allowedAction;
+  }
+  if(caveat !== undefined) {
+    capability.caveat = addCaveatContexts({
+      caveats: utils.getCaveats({capability: {caveat}}), caveatRegistry
+    });
+  }
+
+  // `CapabilityDelegation` will compute the capability chain and run all
+  // local delegation checks before the proof is created
+  return jsigs.sign(capability, {
+    documentLoader,
+    suite,
+    purpose: new CapabilityDelegation(
+      {parentCapability, actionHierarchy, caveatRegistry})
+  });
+}
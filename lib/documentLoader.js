@@ -0,0 +1,25 @@
+/*!
+ * Copyright (c) 2018-2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {ZCAP_CONTEXT, ZCAP_CONTEXT_URL} from './constants.js';
+import jsigs from 'jsonld-signatures';
+
+// enable external document loaders to extend an internal one that loads
+// ZCAP context(s)
+export function extendDocumentLoader(documentLoader) {
+  return async function loadZcapContexts(url) {
+    if(url === ZCAP_CONTEXT_URL) {
+      return {
+        contextUrl: null,
+        documentUrl: url,
+        document: ZCAP_CONTEXT,
+        tag: 'static'
+      };
+    }
+    return documentLoader(url);
+  };
+}
+
+// default doc loader; only loads ZCAP and jsigs contexts
+export const documentLoader = extendDocumentLoader(
+  jsigs.strictDocumentLoader);
@@ -0,0 +1,82 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+
+/* Note: Every error thrown while validating a capability or its chain has a
+stable `code` that can be used to handle it without matching its message.
+Its `details` include the ID of the offending capability (`capabilityId`)
+and its index in the capability chain (`index`, the root is `0`), when known,
+along with any values that were compared.
+
+`ZcapValidationError` is used when a capability or its chain is malformed:
+
+- `ERR_ZCAP_INVALID`: A capability does not match the zcap data model.
+- `ERR_ZCAP_INVOCATION_INVALID`: An invocation proof is malformed.
+- `ERR_ZCAP_PROOF_INVALID`: A proof was created at a time that is out of
+  range or its verification method is not authorized by its controller.
+- `ERR_ZCAP_CHAIN_INVALID`: A capability chain is malformed.
+- `ERR_ZCAP_CHAIN_CYCLE`: A capability chain contains a cycle.
+- `ERR_ZCAP_CHAIN_TOO_LONG`: A capability chain is too long.
+- `ERR_ZCAP_CAVEAT_UNSUPPORTED`: A capability has a caveat with a type that
+  has no registered handler.
+- `ERR_ZCAP_ENCODING_INVALID`: An encoded capability is malformed or uses an
+  unsupported encoding version.
+- `ERR_ZCAP_ENCODING_TOO_LARGE`: An encoded capability is too large.
+
+`ZcapAuthorizationError` is used when a well-formed capability does not
+authorize what was requested or was not properly delegated:
+
+- `ERR_ZCAP_ROOT_MISMATCH`: A root capability is not the expected one.
+- `ERR_ZCAP_CONTROLLER_MISMATCH`: An invoker or delegator is not a
+  controller of the capability.
+- `ERR_ZCAP_ACTION_NOT_ALLOWED`: An action is not allowed by a capability.
+- `ERR_ZCAP_ACTION_MISMATCH`: An invoked action is not the expected one.
+- `ERR_ZCAP_TARGET_MISMATCH`: An invocation target is not allowed by a
+  capability or is not the expected one.
+- `ERR_ZCAP_EXPIRED`: A capability has expired.
+- `ERR_ZCAP_EXPIRES_EXCEEDS_PARENT`: A capability expires after its parent.
+- `ERR_ZCAP_DELEGATED_BEFORE_PARENT`: A capability was delegated before its
+  parent.
+- `ERR_ZCAP_DELEGATED_IN_FUTURE`: A capability was delegated in the future.
+- `ERR_ZCAP_TTL_TOO_LONG`: A capability's time to live is too long.
+- `ERR_ZCAP_INVOKED_BEFORE_DELEGATION`: A capability was invoked before it
+  was delegated.
+- `ERR_ZCAP_REPLAYED`: A capability invocation proof has already been
+  used.
+- `ERR_ZCAP_CAVEAT_WEAKENED`: A capability's caveats are less restrictive
+  than its parent's.
+- `ERR_ZCAP_CAVEAT_NOT_SATISFIED`: An invocation does not satisfy a caveat.
+- `ERR_ZCAP_REVOKED`: A capability has been revoked.
+- `ERR_ZCAP_REVOCATION_NOT_ALLOWED`: A revoker is not a delegator in the
+  capability chain of the capability to revoke. */
+
+export class ZcapError extends Error {
+  /**
+   * @param {string} message - The error message.
+   * @param {object} options - The options.
+   * @param {string} options.code - The stable error code.
+   * @param {object} [options.details] - Any details about the error.
+   */
+  constructor(message, {code, details} = {}) {
+    super(message);
+    this.name = 'ZcapError';
+    this.code = code;
+    if(details !== undefined) {
+      this.details = details;
+    }
+  }
+}
+
+export class ZcapValidationError extends ZcapError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ZcapValidationError';
+  }
+}
+
+export class ZcapAuthorizationError extends ZcapError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ZcapAuthorizationError';
+  }
+}
@@ -0,0 +1,77 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {signHttpInvocation} from './http.js';
+
+/**
+ * Creates a `fetch`-compatible function that invokes a capability with every
+ * request it sends.
+ *
+ * The invocation target is the request URL and the capability action is
+ * derived from the request method (see `getHttpAction`). Each request is
+ * signed with `signHttpInvocation`, which first checks the target and action
+ * against the capability's `invocationTarget` and `allowedAction`, so a
+ * request that the capability does not cover is rejected (with a
+ * `ZcapAuthorizationError`) before it is sent.
+ *
+ * @param {object} options - The options.
+ * @param {string|object} options.capability - The capability to invoke; this
+ *   can be a root capability ID expressed as a string or the full capability
+ *   (root or delegated); local checks are skipped for a root capability ID.
+ * @param {object} options.invocationSigner - A signer API with an `id` (the
+ *   ID of the verification method to sign with) and an async `sign()`
+ *   method.
+ * @param {Function} [options.fetch] - The `fetch` function to send requests
+ *   with; defaults to the global `fetch`.
+ * @param {boolean} [options.allowTargetAttenuation=false] - Allow request
+ *   URLs that are more restrictive than the capability's `invocationTarget`;
+ *   only use this if the verifier also allows target attenuation.
+ * @param {string} [options.targetAttenuationMode='prefix'] - How to check an
+ *   attenuated URL, `prefix`, `normalized`, or `structured`; use the same
+ *   mode as the verifier.
+ * @param {boolean} [options.allowTargetPatterns=false] - Allow invoking a
+ *   capability whose `invocationTarget` is a pattern that the URL matches.
+ * @param {object} [options.actionHierarchy] - A map of each action to the
+ *   actions it directly implies; only use this if the verifier uses the
+ *   same hierarchy.
+ *
+ * @returns {Function} A function with the same signature as `fetch`.
+ */
+export function createZcapFetch({
+  capability, invocationSigner, fetch = globalThis.fetch,
+  allowTargetAttenuation = false, targetAttenuationMode,
+  allowTargetPatterns = false, actionHierarchy
+} = {}) {
+  if(!(typeof capability === 'string' ||
+    (capability && typeof capability === 'object'))) {
+    throw new TypeError('"capability" must be a string or object.');
+  }
+  if(!(invocationSigner && typeof invocationSigner.id === 'string' &&
+    typeof invocationSigner.sign === 'function')) {
+    throw new TypeError(
+      '"invocationSigner" must be a signer with an "id" and a "sign" method.');
+  }
+  if(typeof fetch !== 'function') {
+    throw new TypeError('"fetch" must be a function.');
+  }
+
+  return async function zcapFetch(input, init) {
+    // normalize the URL, method, headers, and body of any kind of request
+    const request = new Request(input, init);
+    const body = request.body === null ?
+      undefined : new Uint8Array(await request.arrayBuffer());
+    const headers = await signHttpInvocation({
+      url: request.url,
+      method: request.method,
+      headers: Object.fromEntries(request.headers),
+      body,
+      capability,
+      invocationSigner,
+      allowTargetAttenuation,
+      targetAttenuationMode,
+      allowTargetPatterns,
+      actionHierarchy
+    });
+    return fetch(new Request(request, {headers, body}));
+  };
+}
@@ -0,0 +1,31 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+// file system access is not available in the browser
+export async function open() {
+  _throwNotSupported();
+}
+
+export async function readFile() {
+  _throwNotSupported();
+}
+
+export async function rename() {
+  _throwNotSupported();
+}
+
+export async function stat() {
+  _throwNotSupported();
+}
+
+export async function unlink() {
+  _throwNotSupported();
+}
+
+export async function writeFile() {
+  _throwNotSupported();
+}
+
+function _throwNotSupported() {
+  throw new Error('File system access is not supported in the browser.');
+}
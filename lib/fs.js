@@ -0,0 +1,6 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+export {
+  open, readFile, rename, stat, unlink, writeFile
+} from 'node:fs/promises';
@@ -0,0 +1,508 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as utils from './utils.js';
+import {decodeBase64, encodeBase64} from './base64.js';
+import {parseCapability, stringifyCapability} from './transport.js';
+import {randomUUID, sha256Bytes} from './crypto.js';
+import {ZcapError, ZcapValidationError} from './errors.js';
+import {_createDecision} from './verify.js';
+import {CapabilityInvocation} from './CapabilityInvocation.js';
+import {documentLoader as defaultDocumentLoader} from './documentLoader.js';
+import {ZCAP_CONTEXT_URL} from './constants.js';
+
+/* Note: A capability is invoked over HTTP by signing the request with an
+HTTP Message Signature (RFC 9421). The signature covers the method, the
+target URI, the `Content-Digest` (RFC 9530) of the body, and the
+`Capability-Invocation` header, which expresses the invoked capability and
+action:
+
+`zcap id="<root zcap ID>",action="<action>"` for a root capability or
+`zcap capability="<string form of zcap>",action="<action>"` for a delegated
+capability, where the string form is created by `stringifyCapability`.
+
+The signature parameters give the verification method used to sign
+(`keyid`), when the request was signed (`created`) and, optionally, a
+`nonce`. A verifier maps the signed request to a capability invocation proof
+and validates it with `CapabilityInvocation`, so every rule that applies to
+a capability invocation proof on a document applies here as well. */
+const COVERED_COMPONENTS = [
+  '@method', '@target-uri', 'content-digest', 'capability-invocation'
+];
+// messages of the `jsonld-signatures` errors that mean that a delegation
+// proof in the capability chain is invalid
+const PROOF_ERROR_MESSAGES = new Set([
+  'Invalid signature.',
+  'No matching proofs found in the given document.',
+  'The verification method has been revoked.'
+]);
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const SIGNATURE_LABEL = 'sig1';
+
+/**
+ * @typedef AuthorizationDecision
+ */
+
+/**
+ * Gets the capability action that is invoked by an HTTP request method:
+ * `read` for `GET`, `HEAD`, and `OPTIONS` and `write` for any other method.
+ *
+ * @param {object} options - The options.
+ * @param {string} options.method - The HTTP request method.
+ *
+ * @returns {string} The capability action.
+ */
+export function getHttpAction({method} = {}) {
+  if(typeof method !== 'string') {
+    throw new TypeError('"method" must be a string.');
+  }
+  return READ_METHODS.includes(method.toUpperCase()) ? 'read' : 'write';
+}
+
+/**
+ * Signs an HTTP request to invoke a capability and returns the headers to
+ * send with it.
+ *
+ * Before the request is signed, the capability action and the request URL
+ * (the invocation target) are checked locally against the capability using
+ * the same rules a verifier applies, so that an invocation that would be
+ * rejected fails early.
+ *
+ * @param {object} options - The options.
+ * @param {string} options.url - The absolute URL of the request; it is the
+ *   invocation target.
+ * @param {string} options.method - The HTTP request method.
+ * @param {object} [options.headers={}] - Any other headers to send.
+ * @param {string|Uint8Array} [options.body] - The request body.
+ * @param {string|object} options.capability - The capability to invoke; this
+ *   can be a root capability ID expressed as a string or the full capability
+ *   (root or delegated); local checks are skipped for a root capability ID.
+ * @param {string} [options.capabilityAction] - The capability action to
+ *   invoke; defaults to the action for `method`, see `getHttpAction`.
+ * @param {object} options.invocationSigner - A signer API with an `id` (the
+ *   ID of the verification method to sign with) and an async `sign()`
+ *   method.
+ * @param {boolean} [options.allowTargetAttenuation=false] - Allow a URL that
+ *   is more restrictive than the capability's `invocationTarget`; only use
+ *   this if the verifier also allows target attenuation.
+ * @param {string} [options.targetAttenuationMode='prefix'] - How to check an
+ *   attenuated URL, `prefix`, `normalized`, or `structured`; use the same
+ *   mode as the verifier.
+ * @param {boolean} [options.allowTargetPatterns=false] - Allow invoking a
+ *   capability whose `invocationTarget` is a pattern that the URL matches.
+ * @param {object} [options.actionHierarchy] - A map of each action to the
+ *   actions it directly implies; only use this if the verifier uses the
+ *   same hierarchy.
+ * @param {string|boolean} [options.nonce=true] - The nonce to add to the
+ *   signature parameters, `true` to generate a random one, or `false` to
+ *   add none.
+ * @param {Date} [options.date] - The date to use as the signature creation
+ *   date; defaults to the current date.
+ *
+ * @returns {Promise<object>} Resolves to `headers` with the
+ *   `capability-invocation`, `content-digest`, `signature-input`, and
+ *   `signature` headers added.
+ */
+export async function signHttpInvocation({
+  url, method, headers = {}, body, capability, capabilityAction,
+  invocationSigner, allowTargetAttenuation = false, targetAttenuationMode,
+  allowTargetPatterns = false, actionHierarchy, nonce = true,
+  date = new Date()
+} = {}) {
+  if(!(typeof url === 'string' && url.includes(':'))) {
+    throw new TypeError(
+      '"url" must be a string that expresses an absolute URL.');
+  }
+  if(typeof method !== 'string') {
+    throw new TypeError('"method" must be a string.');
+  }
+  if(!(typeof capability === 'string' ||
+    (capability && typeof capability === 'object'))) {
+    throw new TypeError('"capability" must be a string or object.');
+  }
+  if(!(invocationSigner && typeof invocationSigner.id === 'string' &&
+    typeof invocationSigner.sign === 'function')) {
+    throw new TypeError(
+      '"invocationSigner" must be a signer with an "id" and a "sign" method.');
+  }
+  if(!(typeof nonce === 'boolean' || typeof nonce === 'string')) {
+    throw new TypeError('"nonce" must be a string or boolean.');
+  }
+  method = method.toUpperCase();
+  if(capabilityAction === undefined) {
+    capabilityAction = getHttpAction({method});
+  }
+  if(!_isHeaderParamValue(capabilityAction)) {
+    throw new TypeError(
+      '"capabilityAction" must be a string with no quotes or backslashes.');
+  }
+
+  let invocation;
+  if(typeof capability === 'object') {
+    utils.checkCapability({
+      capability, expectRoot: capability.parentCapability === undefined
+    });
+
+    // catch invalid invocations locally instead of at the verifier
+    utils.checkAllowedAction({capability, capabilityAction, actionHierarchy});
+    utils.checkInvocationTarget({
+      capability, invocationTarget: url, allowTargetAttenuation,
+      targetAttenuationMode, allowTargetPatterns
+    });
+
+    // root capabilities MUST be referenced by ID
+    if(!capability.parentCapability) {
+      capability = capability.id;
+    } else {
+      const encoded = await stringifyCapability({capability});
+      invocation = `zcap capability="${encoded}",action="${capabilityAction}"`;
+    }
+  }
+  if(invocation === undefined) {
+    if(!_isHeaderParamValue(capability)) {
+      throw new TypeError(
+        'A root capability ID must not contain quotes or backslashes.');
+    }
+    invocation = `zcap id="${capability}",action="${capabilityAction}"`;
+  }
+
+  const params = [
+    ['created', Math.floor(date.getTime() / 1000)],
+    ['keyid', invocationSigner.id]
+  ];
+  if(nonce) {
+    params.push(['nonce', nonce === true ? randomUUID() : nonce]);
+  }
+  if(!params.every(([, value]) => typeof value === 'number' ||
+    _isHeaderParamValue(value))) {
+    throw new TypeError(
+      'The signer "id" and "nonce" must not contain quotes or backslashes.');
+  }
+  const componentList = COVERED_COMPONENTS.map(c => `"${c}"`).join(' ');
+  const paramList = params.map(([name, value]) => typeof value === 'number' ?
+    `;${name}=${value}` : `;${name}="${value}"`).join('');
+  const signatureParams = `(${componentList})${paramList}`;
+
+  const signedHeaders = {
+    ...headers,
+    'capability-invocation': invocation,
+    'content-digest': await _getContentDigest({body})
+  };
+  const signatureBase = _createSignatureBase({
+    method, url, headers: signedHeaders,
+    components: COVERED_COMPONENTS, signatureParams
+  });
+  const signature = await invocationSigner.sign(
+    {data: new TextEncoder().encode(signatureBase)});
+  return {
+    ...signedHeaders,
+    'signature-input': `${SIGNATURE_LABEL}=${signatureParams}`,
+    signature: `${SIGNATURE_LABEL}=:${encodeBase64(signature)}:`
+  };
+}
+
+/**
+ * Verifies a capability invocation in a signed HTTP request and returns a
+ * normalized authorization decision.
+ *
+ * @param {object} options - The options.
+ * @param {string} options.url - The absolute URL of the request as received
+ *   by the server; it is the invocation target.
+ * @param {string} options.method - The HTTP request method.
+ * @param {object} options.headers - The request headers; an object with
+ *   lowercased header names, e.g., `request.headers` from `node:http`, or a
+ *   `Headers` instance.
+ * @param {string|Uint8Array} [options.body] - The request body.
+ * @param {string} [options.expectedAction] - The expected capability
+ *   action; defaults to the action for `method`, see `getHttpAction`.
+ * @param {string|Array} [options.expectedTarget] - The expected invocation
+ *   target(s); defaults to `url`.
+ * @param {string|Array} options.expectedRootCapability - The expected root
+ *   capability ID(s).
+ * @param {GetVerifier} options.getVerifier - An async function that takes
+ *   `{keyId, documentLoader}` and returns `{verifier, verificationMethod}`
+ *   for the verification method that signed the request.
+ * @param {object|Array} options.suite - The jsonld-signatures suite(s) to use
+ *   to verify the capability chain.
+ * @param {Function} [options.documentLoader] - A configured jsonld
+ *   documentLoader; it must be able to load any root capabilities and
+ *   verification methods.
+ * @param {number} [options.maxCapabilityLength=8192] - The maximum length of
+ *   the string form of an invoked delegated capability.
+ * @param {number} [options.maxTimestampDelta=300] - A maximum number of
+ *   seconds that the signature `created` time may differ from the current
+ *   date, so that a captured request cannot be replayed later; pass
+ *   `Infinity` to accept a request signed at any time.
+ * @param {...object} [options.purposeOptions] - Any other options are passed
+ *   to `CapabilityInvocation`, e.g., `allowTargetAttenuation`, `date`,
+ *   `inspectCapabilityChain`, or `nonceStore`.
+ *
+ * @returns {Promise<AuthorizationDecision>} Resolves to the decision; an
+ *   error that does not mean the request is unauthorized, e.g., one thrown
+ *   by `getVerifier`, the `documentLoader`, or a store, is thrown instead.
+ */
+export async function verifyHttpInvocation({
+  url, method, headers, body, expectedAction, expectedTarget = url,
+  expectedRootCapability, getVerifier, suite,
+  documentLoader = defaultDocumentLoader, maxCapabilityLength = 8192,
+  maxTimestampDelta = 300, ...purposeOptions
+} = {}) {
+  if(!(typeof url === 'string' && url.includes(':'))) {
+    throw new TypeError(
+      '"url" must be a string that expresses an absolute URL.');
+  }
+  if(typeof method !== 'string') {
+    throw new TypeError('"method" must be a string.');
+  }
+  if(!(headers && typeof headers === 'object')) {
+    throw new TypeError('"headers" must be an object.');
+  }
+  if(typeof getVerifier !== 'function') {
+    throw new TypeError('"getVerifier" must be a function.');
+  }
+  method = method.toUpperCase();
+  if(expectedAction === undefined) {
+    expectedAction = getHttpAction({method});
+  }
+  // an error that `inspectCapabilityChain` returns (rather than throws)
+  // rejects the request whatever its type
+  const reportedErrors = new WeakSet();
+  const {inspectCapabilityChain} = purposeOptions;
+  if(typeof inspectCapabilityChain === 'function') {
+    purposeOptions.inspectCapabilityChain = async options => {
+      const result = await inspectCapabilityChain(options);
+      if(!result?.valid && result?.error && typeof result.error === 'object') {
+        reportedErrors.add(result.error);
+      }
+      return result;
+    };
+  }
+  const purpose = new CapabilityInvocation({
+    ...purposeOptions,
+    expectedAction, expectedTarget, expectedRootCapability, suite,
+    maxTimestampDelta,
+    invocationContext: {
+      ...purposeOptions.invocationContext,
+      request: {method, url, headers}
+    }
+  });
+
+  let result;
+  try {
+    const {proof, verificationMethod} = await _verifyHttpSignature({
+      url, method, headers, body, getVerifier, documentLoader,
+      maxCapabilityLength
+    });
+    result = await purpose.validate(
+      proof, {documentLoader, verificationMethod});
+    if(!result.valid) {
+      if(!_isVerificationError({error: result.error, reportedErrors})) {
+        throw result.error;
+      }
+      return _createDecision({error: result.error, trace: result.trace});
+    }
+    return _createDecision({proof, purposeResult: result});
+  } catch(error) {
+    if(!_isVerificationError({error, reportedErrors})) {
+      throw error;
+    }
+    return _createDecision({error});
+  }
+}
+
+function _isVerificationError({error, reportedErrors}) {
+  if(error instanceof ZcapError || reportedErrors.has(error)) {
+    return true;
+  }
+  // `jsonld-signatures` reports an invalid delegation proof in the capability
+  // chain with a `VerificationError`, but it also wraps any other error
+  // thrown while verifying the proof, e.g., by the `documentLoader`, in one
+  if(error?.name === 'VerificationError') {
+    const errors = [].concat(error.errors ?? []);
+    return errors.length > 0 && errors.every(e =>
+      _isVerificationError({error: e, reportedErrors}) ||
+      e?.name === 'NotFoundError' || PROOF_ERROR_MESSAGES.has(e?.message));
+  }
+  return false;
+}
+
+async function _verifyHttpSignature({
+  url, method, headers, body, getVerifier, documentLoader, maxCapabilityLength
+}) {
+  // parse the (single) signature and its covered components and parameters
+  const signatureInput = _getHeader({headers, name: 'signature-input'});
+  const signatureHeader = _getHeader({headers, name: 'signature'});
+  if(signatureInput === undefined || signatureHeader === undefined) {
+    throw _createError({
+      message: 'Missing "signature-input" or "signature" header.'
+    });
+  }
+  const inputMatch = signatureInput.match(new RegExp(
+    '^([a-z][a-z0-9_.*-]*)=' +
+    // the signature params: the component list followed by the parameters
+    '(\\(((?:"[^"]+"(?: "[^"]+")*)?)\\)' +
+    '((?:;[a-z]+=(?:"[^"\\\\]*"|\\d+))*))$'));
+  if(!inputMatch) {
+    throw _createError({message: 'Invalid "signature-input" header.'});
+  }
+  const [, label, signatureParams, componentList, paramList] = inputMatch;
+  const components = componentList.split(' ').map(c => c.slice(1, -1));
+  if(!COVERED_COMPONENTS.every(c => components.includes(c))) {
+    throw _createError({
+      message: 'The HTTP signature must cover the following components: ' +
+        `${COVERED_COMPONENTS.join(', ')}.`
+    });
+  }
+  const params = {};
+  for(const [, name, value] of paramList.matchAll(
+    /;([a-z]+)=("[^"\\]*"|\d+)/g)) {
+    params[name] = value.startsWith('"') ?
+      value.slice(1, -1) : parseInt(value, 10);
+  }
+  const {created, keyid: keyId, nonce} = params;
+  if(!(Number.isSafeInteger(created) && typeof keyId === 'string')) {
+    throw _createError({
+      message: 'The HTTP signature parameters must include "created" and ' +
+        '"keyid".'
+    });
+  }
+  const signatureMatch = signatureHeader.match(
+    /^([a-z][a-z0-9_.*-]*)=:([A-Za-z0-9+/]+={0,2}):$/);
+  if(!(signatureMatch && signatureMatch[1] === label)) {
+    throw _createError({message: 'Invalid "signature" header.'});
+  }
+
+  // ensure the body matches the signed content digest
+  const contentDigest = _getHeader({headers, name: 'content-digest'});
+  if(contentDigest !== await _getContentDigest({body})) {
+    throw _createError({
+      message: 'The "content-digest" header does not match the body.'
+    });
+  }
+
+  // verify the signature
+  const signatureBase = _createSignatureBase(
+    {method, url, headers, components, signatureParams});
+  const {verifier, verificationMethod} = await getVerifier(
+    {keyId, documentLoader});
+  const verified = await verifier.verify({
+    data: new TextEncoder().encode(signatureBase),
+    signature: decodeBase64(signatureMatch[2])
+  });
+  if(!verified) {
+    throw _createError({message: 'Invalid HTTP signature.'});
+  }
+
+  // map the request to a capability invocation proof
+  const {capability, capabilityAction} = await _parseInvocationHeader({
+    value: _getHeader({headers, name: 'capability-invocation'}),
+    maxCapabilityLength
+  });
+  const proof = {
+    '@context': ZCAP_CONTEXT_URL,
+    proofPurpose: 'capabilityInvocation',
+    capability,
+    capabilityAction,
+    invocationTarget: url,
+    verificationMethod: keyId,
+    created: new Date(created * 1000).toISOString()
+  };
+  if(nonce !== undefined) {
+    proof.nonce = String(nonce);
+  }
+  return {proof, verificationMethod};
+}
+
+async function _parseInvocationHeader({value, maxCapabilityLength}) {
+  const match = value?.match(
+    /^zcap ((?:[a-z]+="[^"\\]*")(?:,[a-z]+="[^"\\]*")*)$/i);
+  if(!match) {
+    throw _createError({message: 'Invalid "capability-invocation" header.'});
+  }
+  const params = {};
+  for(const [, name, paramValue] of match[1].matchAll(
+    /([a-z]+)="([^"\\]*)"/gi)) {
+    params[name.toLowerCase()] = paramValue;
+  }
+  const {id, capability: encoded, action: capabilityAction} = params;
+  if(!(typeof capabilityAction === 'string' &&
+    (id === undefined) !== (encoded === undefined))) {
+    throw _createError({
+      message: 'The "capability-invocation" header must include "action" ' +
+        'and one of "id" or "capability".'
+    });
+  }
+  const capability = id ?? await parseCapability(
+    {value: encoded, maxLength: maxCapabilityLength});
+  return {capability, capabilityAction};
+}
+
+function _createSignatureBase({
+  method, url, headers, components, signatureParams
+}) {
+  const lines = components.map(component => {
+    let value;
+    if(component === '@method') {
+      value = method;
+    } else if(component === '@target-uri') {
+      value = url;
+    } else if(!component.startsWith('@')) {
+      value = _getHeader({headers, name: component});
+    }
+    if(value === undefined) {
+      throw _createError({
+        message: `Unsupported or missing signature component "${component}".`
+      });
+    }
+    return `"${component}": ${value}`;
+  });
+  lines.push(`"@signature-params": ${signatureParams}`);
+  return lines.join('\n');
+}
+
+async function _getContentDigest({body}) {
+  let data = body ?? new Uint8Array();
+  if(typeof data === 'string') {
+    data = new TextEncoder().encode(data);
+  }
+  return `sha-256=:${encodeBase64(await sha256Bytes(data))}:`;
+}
+
+function _getHeader({headers, name}) {
+  let value;
+  if(typeof headers.get === 'function') {
+    value = headers.get(name) ?? undefined;
+  } else {
+    const key = Object.keys(headers).find(k => k.toLowerCase() === name);
+    value = key === undefined ? undefined : headers[key];
+  }
+  if(Array.isArray(value)) {
+    value = value.join(', ');
+  }
+  return typeof value === 'string' ? value.trim() : value;
+}
+
+function _isHeaderParamValue(value) {
+  return typeof value === 'string' && !/["\\\r\n]/.test(value);
+}
+
+function _createError({message}) {
+  return new ZcapValidationError(message, {
+    code: 'ERR_ZCAP_INVOCATION_INVALID'
+  });
+}
+
+/**
+ * A function that gets a verifier for the verification method that signed
+ * an HTTP request.
+ *
+ * @typedef {Function} GetVerifier
+ * @param {object} options - The options.
+ * @param {string} options.keyId - The ID of the verification method.
+ * @param {Function} options.documentLoader - The document loader.
+ *
+ * @returns {Promise<object>} Resolves to `{verifier, verificationMethod}`,
+ *   where `verifier` has an async `verify({data, signature})` method and
+ *   `verificationMethod` is the verification method, including its
+ *   `controller`.
+ */
@@ -1,31 +1,50 @@
 /*!
- * Copyright (c) 2018-2022 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2018-2026 Digital Bazaar, Inc. All rights reserved.
  */
-import jsigs from 'jsonld-signatures';
 
 /* Core API */
 export {CapabilityInvocation} from './CapabilityInvocation.js';
 export {CapabilityDelegation} from './CapabilityDelegation.js';
 export {createRootCapability} from './utils.js';
+export {
+  ZcapAuthorizationError, ZcapError, ZcapValidationError
+} from './errors.js';
 import * as constants from './constants.js';
 export {constants};
 
-// enable external document loaders to extend an internal one that loads
-// ZCAP context(s)
-export function extendDocumentLoader(documentLoader) {
-  return async function loadZcapContexts(url) {
-    if(url === constants.ZCAP_CONTEXT_URL) {
-      return {
-        contextUrl: null,
-        documentUrl: url,
-        document: constants.ZCAP_CONTEXT,
-        tag: 'static'
-      };
-    }
-    return documentLoader(url);
-  };
-}
-
-// default doc loader; only loads ZCAP and jsigs contexts
-export const documentLoader = extendDocumentLoader(
-  jsigs.strictDocumentLoader);
+/* High-level API */
+export {delegate} from './delegate.js';
+export {invoke} from './invoke.js';
+export {MemoryChainCache} from './MemoryChainCache.js';
+export {MemoryNonceStore} from './MemoryNonceStore.js';
+export {verifyDelegation, verifyInvocation} from './verify.js';
+
+/* Revocation */
+export {
+  createRevocationInspector, revokeCapability, verifyRevocationInvocation
+} from './revocation.js';
+export {FileRevocationStore} from './FileRevocationStore.js';
+export {MemoryRevocationStore} from './MemoryRevocationStore.js';
+
+/* Caveats */
+export {CaveatRegistry} from './caveats.js';
+export {createUsageLimitCaveatHandler} from './usageLimit.js';
+export {MemoryCounterStore} from './MemoryCounterStore.js';
+
+/* Encoding */
+export {decodeCapability, encodeCapability} from './cbor.js';
+export {parseCapability, stringifyCapability} from './transport.js';
+
+/* HTTP */
+export {
+  getHttpAction, signHttpInvocation, verifyHttpInvocation
+} from './http.js';
+export {createZcapFetch} from './fetch.js';
+export {createZcapMiddleware} from './middleware.js';
+
+/* Wallet */
+export {CapabilityWallet} from './CapabilityWallet.js';
+export {FileCapabilityStore} from './FileCapabilityStore.js';
+export {MemoryCapabilityStore} from './MemoryCapabilityStore.js';
+
+export {documentLoader, extendDocumentLoader} from './documentLoader.js';
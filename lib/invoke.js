@@ -0,0 +1,108 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as utils from './utils.js';
+import {CapabilityInvocation} from './CapabilityInvocation.js';
+import {documentLoader as defaultDocumentLoader} from './documentLoader.js';
+import jsigs from 'jsonld-signatures';
+
+/**
+ * Invokes a capability by attaching a capability invocation proof to the
+ * given document.
+ *
+ * Before the proof is created, `capabilityAction` and `invocationTarget` are
+ * checked locally against the capability using the same rules a verifier
+ * applies, so that an invocation that would be rejected fails early.
+ *
+ * @param {object} options - The options.
+ * @param {object} options.document - The document to attach the capability
+ *   invocation proof to.
+ * @param {string|object} options.capability - The capability to invoke; this
+ *   can be a root capability ID expressed as a string or the full capability
+ *   (root or delegated); local checks are skipped for a root capability ID.
+ * @param {string} options.capabilityAction - The capability action to invoke.
+ * @param {string} [options.invocationTarget] - The invocation target to use;
+ *   defaults to the capability's and is required when `capability` is a
+ *   root capability ID.
+ * @param {boolean} [options.allowTargetAttenuation=false] - Allow an
+ *   `invocationTarget` that is more restrictive than the capability's; only
+ *   use this if the verifier also allows target attenuation.
+ * @param {string} [options.targetAttenuationMode='prefix'] - How to check
+ *   an attenuated `invocationTarget`, `prefix`, `normalized`, or
+ *   `structured`; use the same mode as the verifier.
+ * @param {boolean} [options.allowTargetPatterns=false] - Allow invoking a
+ *   capability whose `invocationTarget` is a pattern with any target that
+ *   matches it; only use this if the verifier also allows target patterns.
+ * @param {object} [options.actionHierarchy] - A map of each action to the
+ *   actions it directly implies, e.g., `{write: ['read']}`; only use this if
+ *   the verifier uses the same hierarchy.
+ * @param {string|boolean} [options.nonce=true] - The nonce to add to the
+ *   invocation proof to protect against replays, `true` to generate a random
+ *   one, or `false` to add none.
+ * @param {object} [options.signer] - A signer API with an `id` and an async
+ *   `sign()` method; only used when `suite` is a suite class.
+ * @param {object|Function} options.suite - The jsonld-signatures suite to use
+ *   to create the invocation proof; either a suite instance that has been
+ *   configured with a key or signer or, if `signer` is given, a suite class
+ *   to instantiate with it.
+ * @param {Function} [options.documentLoader] - A configured jsonld
+ *   documentLoader; defaults to one that only loads ZCAP and jsigs contexts.
+ *
+ * @returns {Promise<object>} Resolves to the document with the capability
+ *   invocation proof attached.
+ */
+export async function invoke({
+  document, capability, capabilityAction, invocationTarget,
+  allowTargetAttenuation = false, targetAttenuationMode,
+  allowTargetPatterns = false, actionHierarchy, nonce = true,
+  signer, suite, documentLoader = defaultDocumentLoader
+} = {}) {
+  if(!(document && typeof document === 'object')) {
+    throw new TypeError('"document" must be an object.');
+  }
+  if(!(typeof capability === 'string' ||
+    (capability && typeof capability === 'object'))) {
+    throw new TypeError('"capability" must be a string or object.');
+  }
+  if(typeof capabilityAction !== 'string') {
+    throw new TypeError('"capabilityAction" must be a string.');
+  }
+  if(!suite) {
+    throw new TypeError('"suite" is required.');
+  }
+  if(typeof suite === 'function') {
+    if(!signer) {
+      throw new TypeError('"signer" is required when "suite" is a class.');
+    }
+    suite = new suite({signer});
+  }
+
+  if(typeof capability === 'object') {
+    utils.checkCapability({
+      capability, expectRoot: capability.parentCapability === undefined
+    });
+    if(invocationTarget === undefined) {
+      invocationTarget = utils.getTarget({capability});
+    }
+
+    // catch invalid invocations locally instead of at the verifier
+    utils.checkAllowedAction({capability, capabilityAction, actionHierarchy});
+    utils.checkInvocationTarget({
+      capability, invocationTarget, allowTargetAttenuation,
+      targetAttenuationMode, allowTargetPatterns
+    });
+
+    // root capabilities MUST be referenced by ID in invocation proofs
+    if(!capability.parentCapability) {
+      capability = capability.id;
+    }
+  }
+
+  return jsigs.sign(document, {
+    documentLoader,
+    suite,
+    purpose: new CapabilityInvocation({
+      capability, capabilityAction, invocationTarget, nonce
+    })
+  });
+}
@@ -0,0 +1,100 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {open, readFile, rename, stat, unlink, writeFile} from './fs.js';
+import {randomUUID} from './crypto.js';
+
+// how long to wait before trying to take a held lock again
+const LOCK_RETRY_DELAY = 10;
+// a lock older than this is assumed to be left over from a crashed process
+const LOCK_STALE_TIME = 10000;
+
+/**
+ * Reads a JSON file that holds an object. A missing file is read as an
+ * empty object.
+ *
+ * @param {object} options - The options.
+ * @param {string} options.path - The path to the file.
+ *
+ * @returns {Promise<object>} Resolves to the object; it has no prototype so
+ *   that any string can be used as a key.
+ */
+export async function readJsonFile({path} = {}) {
+  let data;
+  try {
+    data = await readFile(path, 'utf8');
+  } catch(e) {
+    if(e.code === 'ENOENT') {
+      return Object.create(null);
+    }
+    throw e;
+  }
+  return Object.assign(Object.create(null), JSON.parse(data));
+}
+
+/**
+ * Updates a JSON file that holds an object. The file is locked while it is
+ * read, passed to `update`, and written, so that concurrent updates from
+ * any number of callers, in this or other processes, are never lost. The
+ * file is replaced atomically, so readers never see a partial file, and it
+ * is only written if `update` changed the object.
+ *
+ * @param {object} options - The options.
+ * @param {string} options.path - The path to the file.
+ * @param {Function} options.update - A function that is given the object
+ *   (see `readJsonFile()`), may change it, and returns a result.
+ *
+ * @returns {Promise<*>} Resolves to the result of `update`.
+ */
+export async function updateJsonFile({path, update} = {}) {
+  const release = await _lock({path});
+  try {
+    const data = await readJsonFile({path});
+    const before = JSON.stringify(data, null, 2);
+    const result = await update(data);
+    const after = JSON.stringify(data, null, 2);
+    if(after !== before) {
+      // write to a temporary file first so readers never see a partial file
+      const tmp = `${path}.${randomUUID()}.tmp`;
+      await writeFile(tmp, after, 'utf8');
+      await rename(tmp, path);
+    }
+    return result;
+  } finally {
+    await release();
+  }
+}
+
+async function _lock({path}) {
+  const lockPath = `${path}.lock`;
+  while(true) {
+    let handle;
+    try {
+      // `wx` fails if the lock file exists, i.e., if the lock is held
+      handle = await open(lockPath, 'wx');
+    } catch(e) {
+      if(e.code !== 'EEXIST') {
+        throw e;
+      }
+      await _removeStaleLock({lockPath});
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_DELAY));
+      continue;
+    }
+    await handle.close();
+    return () => unlink(lockPath);
+  }
+}
+
+async function _removeStaleLock({lockPath}) {
+  try {
+    const {mtimeMs} = await stat(lockPath);
+    if(Date.now() - mtimeMs > LOCK_STALE_TIME) {
+      await unlink(lockPath);
+    }
+  } catch(e) {
+    // the lock was released in the meantime
+    if(e.code !== 'ENOENT') {
+      throw e;
+    }
+  }
+}
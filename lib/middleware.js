@@ -0,0 +1,160 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {ZcapAuthorizationError, ZcapError} from './errors.js';
+import {verifyHttpInvocation} from './http.js';
+
+/**
+ * @typedef GetVerifier
+ */
+
+/**
+ * Creates a request handler that authorizes a capability invocation in a
+ * signed HTTP request (see `signHttpInvocation`) before the request is
+ * handled.
+ *
+ * The handler has the signature `(req, res, next)`, so it can be used as
+ * Express-style middleware or called from a plain `node:http` request
+ * listener. If the invocation is authorized, the authorization decision is
+ * attached to the request as `req.zcap`, e.g., `req.zcap.invoker`,
+ * `req.zcap.chain`, and `req.zcap.delegators`, and `next()` is called. If
+ * not, a JSON error response is sent with the status `403` when the
+ * capability does not authorize the request (a `ZcapAuthorizationError`)
+ * and `401` for any other verification error, e.g., a missing or invalid
+ * signature. Any other error, e.g., when a store or the `documentLoader`
+ * fails, is passed to `next(error)` or, without `next`, results in a `500`
+ * response without its message. The returned promise resolves to whether
+ * the request was authorized.
+ *
+ * The request body is covered by the signature, so the handler reads the
+ * body from the request stream and stores it as `req.rawBody`. If the body
+ * has already been read, e.g., by a body parser, it must be provided as
+ * `req.rawBody`.
+ *
+ * @param {object} options - The options.
+ * @param {Function} options.getExpectedRootCapability - A function that
+ *   takes `{req, url}` and returns (or resolves to) the expected root
+ *   capability ID(s) for the request.
+ * @param {string} [options.expectedAction] - The expected capability
+ *   action; defaults to the action for the request method, see
+ *   `getHttpAction`.
+ * @param {string|Array|Function} [options.expectedTarget] - The expected
+ *   invocation target(s) or a function that takes `{req, url}` and returns
+ *   (or resolves to) them; defaults to the request URL.
+ * @param {string} [options.baseUrl] - The origin (and any path prefix) that
+ *   the server is reached at, e.g., `https://example.com`; the request URL is
+ *   this plus the request path. Defaults to an origin built from the request
+ *   `host` header, which is only safe when it is validated by a proxy.
+ * @param {GetVerifier} options.getVerifier - An async function that takes
+ *   `{keyId, documentLoader}` and returns `{verifier, verificationMethod}`
+ *   for the verification method that signed the request.
+ * @param {object|Array} options.suite - The jsonld-signatures suite(s) to use
+ *   to verify the capability chain.
+ * @param {Function} [options.documentLoader] - A configured jsonld
+ *   documentLoader.
+ * @param {number} [options.maxBodySize=1048576] - The maximum size of a
+ *   request body, in bytes; a larger body results in a `413` response.
+ * @param {...object} [options.verifyOptions] - Any other options are passed
+ *   to `verifyHttpInvocation`, e.g., `allowTargetAttenuation`, `nonceStore`,
+ *   or `inspectCapabilityChain`.
+ *
+ * @returns {Function} The request handler.
+ */
+export function createZcapMiddleware({
+  getExpectedRootCapability, expectedTarget, baseUrl,
+  maxBodySize = 1048576, ...verifyOptions
+} = {}) {
+  if(typeof getExpectedRootCapability !== 'function') {
+    throw new TypeError('"getExpectedRootCapability" must be a function.');
+  }
+  if(typeof verifyOptions.getVerifier !== 'function') {
+    throw new TypeError('"getVerifier" must be a function.');
+  }
+  if(baseUrl !== undefined &&
+    !(typeof baseUrl === 'string' && baseUrl.includes(':'))) {
+    throw new TypeError(
+      '"baseUrl" must be a string that expresses an absolute URL.');
+  }
+  if(baseUrl?.endsWith('/')) {
+    baseUrl = baseUrl.slice(0, -1);
+  }
+
+  return async function authorizeZcapInvocation(req, res, next) {
+    let decision;
+    try {
+      // use `originalUrl` for Express routers that rewrite `url`
+      const url = (baseUrl ?? _getOrigin({req})) + (req.originalUrl ?? req.url);
+      const body = await _getBody({req, maxBodySize});
+      if(body === null) {
+        _sendError({res, status: 413, error: new Error(
+          'The request body is too large.')});
+        return false;
+      }
+      decision = await verifyHttpInvocation({
+        ...verifyOptions,
+        url,
+        method: req.method,
+        headers: req.headers,
+        body,
+        expectedTarget: typeof expectedTarget === 'function' ?
+          await expectedTarget({req, url}) : expectedTarget,
+        expectedRootCapability: await getExpectedRootCapability({req, url})
+      });
+    } catch(error) {
+      if(!(error instanceof ZcapError)) {
+        if(typeof next === 'function') {
+          next(error);
+        } else {
+          _sendError({res, status: 500, error: new Error(
+            'An error occurred while authorizing the request.')});
+        }
+        return false;
+      }
+      decision = {authorized: false, error};
+    }
+
+    if(!decision.authorized) {
+      const {error} = decision;
+      _sendError({
+        res, status: error instanceof ZcapAuthorizationError ? 403 : 401, error
+      });
+      return false;
+    }
+    const {authorized, ...zcap} = decision;
+    req.zcap = zcap;
+    if(typeof next === 'function') {
+      next();
+    }
+    return authorized;
+  };
+}
+
+async function _getBody({req, maxBodySize}) {
+  if(req.rawBody !== undefined) {
+    return req.rawBody;
+  }
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if(size > maxBodySize) {
+      return null;
+    }
+    chunks.push(chunk);
+  }
+  req.rawBody = new Uint8Array(Buffer.concat(chunks));
+  return req.rawBody;
+}
+
+function _getOrigin({req}) {
+  const protocol = req.socket?.encrypted ? 'https' : 'http';
+  return `${protocol}://${req.headers.host}`;
+}
+
+function _sendError({res, status, error}) {
+  const {name, message, code} = error;
+  res.statusCode = status;
+  res.setHeader('content-type', 'application/json');
+  res.end(JSON.stringify(
+    code === undefined ? {message} : {name, message, code}));
+}
@@ -0,0 +1,259 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as utils from './utils.js';
+import {ZcapAuthorizationError, ZcapValidationError} from './errors.js';
+import {CapabilityInvocation} from './CapabilityInvocation.js';
+import {documentLoader as defaultDocumentLoader} from './documentLoader.js';
+import jsigs from 'jsonld-signatures';
+import {verifyDelegation} from './verify.js';
+
+/**
+ * @typedef InspectCapabilityChain
+ */
+
+/**
+ * Creates an `inspectCapabilityChain` function that rejects any capability
+ * chain that includes a capability that has been revoked in the given
+ * store.
+ *
+ * @param {object} options - The options.
+ * @param {RevocationStore} options.store - The revocation store to check.
+ *
+ * @returns {InspectCapabilityChain} The `inspectCapabilityChain` function.
+ */
+export function createRevocationInspector({store} = {}) {
+  _checkStore({store});
+  return async function inspectCapabilityChain({capabilityChain}) {
+    for(const [index, capability] of capabilityChain.entries()) {
+      const {id: capabilityId} = capability;
+      // a capability is identified by more than its (forgeable) ID
+      if(await store.isRevoked(utils.getCapabilityKey({capability}))) {
+        return {
+          valid: false,
+          error: new ZcapAuthorizationError(
+            'A capability in the delegation chain has been revoked.', {
+              code: 'ERR_ZCAP_REVOKED',
+              details: {capabilityId, index}
+            })
+        };
+      }
+    }
+    return {valid: true};
+  };
+}
+
+/**
+ * Revokes the last capability in the given capability chain. Only a
+ * delegator in the chain, i.e., a controller of any capability in the chain
+ * other than the revoked one, may revoke it.
+ *
+ * @param {object} options - The options.
+ * @param {RevocationStore} options.store - The revocation store to use.
+ * @param {Array} options.capabilityChain - The dereferenced capability chain
+ *   of the capability to revoke, from the root capability to the capability
+ *   to revoke, e.g., the `dereferencedChain` from its verification result;
+ *   it MUST have been verified.
+ * @param {string} options.revoker - The ID of the revoker.
+ * @param {string|Date|number} [options.date] - The date of the revocation;
+ *   if not passed the current date will be used.
+ *
+ * @returns {Promise<RevocationRecord>} Resolves to the stored revocation
+ *   record.
+ */
+export async function revokeCapability({
+  store, capabilityChain, revoker, date
+} = {}) {
+  _checkStore({store});
+  if(!(Array.isArray(capabilityChain) && capabilityChain.length > 1)) {
+    throw new TypeError(
+      '"capabilityChain" must be an array that ends with a delegated ' +
+      'capability.');
+  }
+  if(typeof revoker !== 'string') {
+    throw new TypeError('"revoker" must be a string.');
+  }
+
+  _checkRevoker({capabilityChain, verificationMethod: {id: revoker}});
+  return store.revoke(_createRecord({capabilityChain, revoker, date}));
+}
+
+/**
+ * Verifies a request to revoke a capability that is expressed as a
+ * capability invocation: the invoked document is the delegated capability
+ * to revoke with a capability invocation proof attached to it. The
+ * invocation is verified, then the capability to revoke and its chain are
+ * verified, and then the invoker is checked to be a delegator in that chain,
+ * i.e., a controller of any capability in its chain other than itself.
+ *
+ * If a `store` is given, the revocation record is stored in it.
+ *
+ * @param {object} options - The options.
+ * @param {object} options.invocation - The capability to revoke with a
+ *   capability invocation proof attached.
+ * @param {string} [options.expectedAction='write'] - The expected capability
+ *   action for the invocation.
+ * @param {string|Array} options.expectedTarget - The expected invocation
+ *   target(s), e.g., the URL of the revocation endpoint.
+ * @param {string|Array} options.expectedRootCapability - The expected root
+ *   capability ID(s) for the invoked capability.
+ * @param {string|Array} options.expectedRevokedRootCapability - The expected
+ *   root capability ID(s) for the capability to revoke.
+ * @param {object|Array} options.suite - The jsonld-signatures suite(s) to use
+ *   to verify the invocation proof and the capability chains.
+ * @param {Function} [options.documentLoader] - A configured jsonld
+ *   documentLoader; it must be able to load any root capabilities and
+ *   verification methods.
+ * @param {RevocationStore} [options.store] - The revocation store to store
+ *   the revocation record in.
+ * @param {string|Date|number} [options.date] - The date to use to verify the
+ *   invocation and the capability to revoke and as the date of the
+ *   revocation; if not passed the current date will be used.
+ * @param {...object} [options.purposeOptions] - Any other options are passed
+ *   to `CapabilityInvocation` and `CapabilityDelegation`, e.g.,
+ *   `allowTargetAttenuation` or `maxClockSkew`.
+ *
+ * @returns {Promise<RevocationDecision>} Resolves to the decision.
+ */
+export async function verifyRevocationInvocation({
+  invocation, expectedAction = 'write', expectedTarget,
+  expectedRootCapability, expectedRevokedRootCapability,
+  suite, documentLoader = defaultDocumentLoader, store, date,
+  ...purposeOptions
+} = {}) {
+  if(store !== undefined) {
+    _checkStore({store});
+  }
+  try {
+    // 1. Verify the invocation.
+    const result = await jsigs.verify(invocation, {
+      documentLoader,
+      suite,
+      purpose: new CapabilityInvocation({
+        ...purposeOptions,
+        date, expectedAction, expectedTarget, expectedRootCapability, suite
+      })
+    });
+    if(!result.verified) {
+      throw result.error.errors?.[0] || result.error;
+    }
+    const {verificationMethod, purposeResult} =
+      result.results.find(r => r.verified);
+
+    // 2. Verify the capability to revoke, i.e., the invoked document without
+    // its capability invocation proofs.
+    const capability = _getInvokedCapability({invocation});
+    const delegationResult = await verifyDelegation({
+      ...purposeOptions,
+      capability,
+      expectedRootCapability: expectedRevokedRootCapability,
+      suite, documentLoader, date
+    });
+    if(!delegationResult.verified) {
+      throw delegationResult.error;
+    }
+
+    // 3. Ensure the invoker is a delegator in the capability's chain.
+    const {chain: capabilityChain} = delegationResult;
+    _checkRevoker({capabilityChain, verificationMethod});
+
+    const revoker = purposeResult.invoker.id || purposeResult.invoker;
+    let record = _createRecord({capabilityChain, revoker, date});
+    if(store) {
+      record = await store.revoke(record);
+    }
+    return {authorized: true, capability, record};
+  } catch(error) {
+    return {authorized: false, error};
+  }
+}
+
+function _checkRevoker({capabilityChain, verificationMethod}) {
+  // only a controller of an ancestor of the capability, i.e., a delegator
+  // in the chain, may revoke it
+  const ancestors = capabilityChain.slice(0, -1);
+  if(ancestors.some(
+    capability => utils.isController({capability, verificationMethod}))) {
+    return;
+  }
+  const {id: capabilityId} = capabilityChain[capabilityChain.length - 1];
+  throw new ZcapAuthorizationError(
+    'Only a delegator in the capability chain may revoke the capability.', {
+      code: 'ERR_ZCAP_REVOCATION_NOT_ALLOWED',
+      details: {
+        capabilityId,
+        index: capabilityChain.length - 1,
+        revoker: verificationMethod.controller || verificationMethod.id
+      }
+    });
+}
+
+function _createRecord({capabilityChain, revoker, date}) {
+  const capability = capabilityChain[capabilityChain.length - 1];
+  const revoked = ((date && new Date(date)) || new Date()).toISOString();
+  return {...utils.getCapabilityKey({capability}), revoker, revoked};
+}
+
+function _getInvokedCapability({invocation}) {
+  const proofs = Array.isArray(invocation.proof) ?
+    invocation.proof : [invocation.proof];
+  const delegationProofs = proofs.filter(
+    proof => proof?.proofPurpose !== 'capabilityInvocation');
+  if(delegationProofs.length === 0) {
+    throw new ZcapValidationError(
+      'The invoked document must be a delegated capability.', {
+        code: 'ERR_ZCAP_INVALID',
+        details: {capabilityId: invocation.id}
+      });
+  }
+  return {
+    ...invocation,
+    proof: delegationProofs.length === 1 ?
+      delegationProofs[0] : delegationProofs
+  };
+}
+
+function _checkStore({store}) {
+  if(!(store && typeof store.isRevoked === 'function' &&
+    typeof store.revoke === 'function')) {
+    throw new TypeError(
+      '"store" must be a revocation store with "isRevoked" and "revoke" ' +
+      'methods.');
+  }
+}
+
+/**
+ * A store for revocation records.
+ *
+ * @typedef {object} RevocationStore
+ * @property {Function} isRevoked - An async function that takes
+ *   `{capabilityId, parentCapability, verificationMethod}` and returns
+ *   `true` if a record with those values has been stored.
+ * @property {Function} revoke - An async function that takes a
+ *   `RevocationRecord`, stores it, and returns the stored record.
+ */
+
+/**
+ * A decision on a request to revoke a capability.
+ *
+ * @typedef {object} RevocationDecision
+ * @property {boolean} authorized - `true` if the revocation is authorized.
+ * @property {object} [capability] - The capability to revoke.
+ * @property {RevocationRecord} [record] - The revocation record.
+ * @property {Error} [error] - The reason the revocation is not authorized.
+ */
+
+/**
+ * A revocation record.
+ *
+ * @typedef {object} RevocationRecord
+ * @property {string} capabilityId - The ID of the revoked capability.
+ * @property {string|null} parentCapability - The ID of the parent of the
+ *   revoked capability or `null` for a root capability.
+ * @property {string|null} verificationMethod - The ID of the verification
+ *   method that signed the delegation proof of the revoked capability or
+ *   `null` for a root capability.
+ * @property {string} revoker - The ID of the revoker.
+ * @property {string} revoked - The date the capability was revoked, as an
+ *   ISO 8601 date-time string.
+ */
@@ -0,0 +1,139 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as utils from './utils.js';
+import {decodeBase64Url, encodeBase64Url} from './base64.js';
+import {ZcapValidationError} from './errors.js';
+
+/* Note: The string form of a capability is the version prefix followed by
+the base64url encoding (without padding) of the gzip compression of its JSON
+serialization, e.g., `zcap1.H4sIAAAAAAAAA...`. It only uses characters that
+are safe to use as is in HTTP header values and URL query parameters. */
+const PREFIX = 'zcap1.';
+
+/**
+ * Converts a capability to a compressed, versioned, base64url-encoded string
+ * that can be sent in an HTTP header or a URL query parameter.
+ *
+ * @param {object} options - The options.
+ * @param {object} options.capability - The capability.
+ *
+ * @returns {Promise<string>} Resolves to the string form of the capability.
+ */
+export async function stringifyCapability({capability} = {}) {
+  if(!(capability && typeof capability === 'object')) {
+    throw new TypeError('"capability" must be an object.');
+  }
+  const json = new TextEncoder().encode(JSON.stringify(capability));
+  const compressed = await _transform({
+    data: json, transformStream: new CompressionStream('gzip')
+  });
+  return PREFIX + encodeBase64Url(compressed);
+}
+
+/**
+ * Parses the string form of a capability created by `stringifyCapability`
+ * and checks that the result is a valid capability.
+ *
+ * @param {object} options - The options.
+ * @param {string} options.value - The string form of the capability.
+ * @param {number} [options.maxLength=8192] - The maximum length of `value`.
+ * @param {number} [options.maxSize=65536] - The maximum size, in bytes, of
+ *   the decompressed JSON serialization of the capability.
+ *
+ * @returns {Promise<object>} Resolves to the capability.
+ */
+export async function parseCapability({
+  value, maxLength = 8192, maxSize = 65536
+} = {}) {
+  if(typeof value !== 'string') {
+    throw new TypeError('"value" must be a string.');
+  }
+  if(value.length > maxLength) {
+    throw new ZcapValidationError(
+      `Encoded capability length (${value.length}) exceeds the maximum ` +
+      `length of ${maxLength}.`, {
+        code: 'ERR_ZCAP_ENCODING_TOO_LARGE',
+        details: {length: value.length, maxLength}
+      });
+  }
+  if(!value.startsWith(PREFIX)) {
+    throw _createError({message: 'Unsupported capability encoding.'});
+  }
+  const encoded = value.slice(PREFIX.length);
+  if(!/^[A-Za-z0-9_-]+$/.test(encoded)) {
+    throw _createError({message: 'Invalid base64url-encoded capability.'});
+  }
+
+  let json;
+  try {
+    json = await _transform({
+      data: decodeBase64Url(encoded),
+      transformStream: new DecompressionStream('gzip'),
+      maxSize
+    });
+  } catch(e) {
+    if(e instanceof ZcapValidationError) {
+      throw e;
+    }
+    throw _createError(
+      {message: `Invalid compressed capability: ${e.message}`});
+  }
+
+  let capability;
+  try {
+    capability = JSON.parse(new TextDecoder('utf-8', {fatal: true})
+      .decode(json));
+  } catch(e) {
+    throw _createError({message: `Invalid capability JSON: ${e.message}`});
+  }
+  if(!(capability && typeof capability === 'object' &&
+    !Array.isArray(capability))) {
+    throw _createError({message: 'Encoded capability must be an object.'});
+  }
+  utils.checkCapability({
+    capability, expectRoot: capability.parentCapability === undefined
+  });
+  return capability;
+}
+
+async function _transform({data, transformStream, maxSize = Infinity}) {
+  const writer = transformStream.writable.getWriter();
+  // errors are surfaced when reading
+  writer.write(data).catch(() => {});
+  writer.close().catch(() => {});
+
+  // read the output in chunks to stop as soon as it is too large
+  const reader = transformStream.readable.getReader();
+  const chunks = [];
+  let size = 0;
+  while(true) {
+    const {done, value} = await reader.read();
+    if(done) {
+      break;
+    }
+    size += value.length;
+    if(size > maxSize) {
+      await reader.cancel();
+      throw new ZcapValidationError(
+        `Decompressed capability size exceeds the maximum size of ${maxSize} ` +
+        'bytes.', {
+          code: 'ERR_ZCAP_ENCODING_TOO_LARGE',
+          details: {maxSize}
+        });
+    }
+    chunks.push(value);
+  }
+
+  const output = new Uint8Array(size);
+  let offset = 0;
+  for(const chunk of chunks) {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return output;
+}
+
+function _createError({message}) {
+  return new ZcapValidationError(message, {code: 'ERR_ZCAP_ENCODING_INVALID'});
+}
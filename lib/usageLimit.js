@@ -0,0 +1,91 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as utils from './utils.js';
+import {CAPABILITY_VOCAB_URL} from './constants.js';
+
+const USAGE_LIMIT_CAVEAT_TYPE = 'UsageLimitCaveat';
+
+/**
+ * @typedef CaveatHandler
+ */
+
+/**
+ * Creates a caveat handler for `UsageLimitCaveat` caveats, which limit the
+ * number of times a capability may be invoked, e.g.,
+ * `{type: 'UsageLimitCaveat', limit: 1}` for a one-time capability.
+ *
+ * Every capability in an invoked chain that has a usage limit has its own
+ * counter that is incremented for each invocation that is otherwise
+ * authorized; the invocation is rejected once any counter has reached its
+ * capability's limit. Every limit in the chain is checked before any counter
+ * is incremented. A delegated capability must have a limit that is no
+ * greater than its parent's.
+ *
+ * @param {object} options - The options.
+ * @param {CounterStore} options.store - The store for the usage counters.
+ *
+ * @returns {CaveatHandler} The caveat handler.
+ */
+export function createUsageLimitCaveatHandler({store} = {}) {
+  if(!(store && typeof store.get === 'function' &&
+    typeof store.increment === 'function')) {
+    throw new TypeError(
+      '"store" must be a counter store with "get" and "increment" methods.');
+  }
+  return {
+    type: USAGE_LIMIT_CAVEAT_TYPE,
+    context: {
+      '@protected': true,
+      [USAGE_LIMIT_CAVEAT_TYPE]:
+        `${CAPABILITY_VOCAB_URL}${USAGE_LIMIT_CAVEAT_TYPE}`,
+      limit: `${CAPABILITY_VOCAB_URL}usageLimit`
+    },
+    isValidAttenuation({caveat, parentCaveat}) {
+      return _isValidLimit(caveat.limit) && caveat.limit <= parentCaveat.limit;
+    },
+    async evaluate({caveat, capability}) {
+      const {limit} = caveat;
+      if(!_isValidLimit(limit)) {
+        return {
+          valid: false,
+          error: new Error(
+            'The "limit" of a usage limit caveat must be a positive integer.')
+        };
+      }
+      const count = await store.get(utils.getCapabilityKey({capability}));
+      return count < limit ? {valid: true} : _createLimitReached({limit});
+    },
+    async commit({caveat, capability}) {
+      // another invocation may have been counted since `evaluate()`
+      const count = await store.increment(
+        utils.getCapabilityKey({capability}));
+      return count <= caveat.limit ?
+        {valid: true} : _createLimitReached({limit: caveat.limit});
+    }
+  };
+}
+
+function _createLimitReached({limit}) {
+  return {
+    valid: false,
+    error: new Error(`The capability has reached its usage limit of ${limit}.`)
+  };
+}
+
+function _isValidLimit(limit) {
+  return Number.isSafeInteger(limit) && limit > 0;
+}
+
+/**
+ * A store for usage counters.
+ *
+ * @typedef {object} CounterStore
+ * @property {Function} get - An async function that takes
+ *   `{capabilityId, parentCapability, verificationMethod}`, i.e., the IDs of
+ *   the capability, its parent, and the verification method that signed its
+ *   delegation proof, and returns the capability's count.
+ * @property {Function} increment - An async function that takes the same
+ *   options as `get`, atomically increments the capability's counter, and
+ *   returns the incremented count.
+ */
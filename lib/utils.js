@@ -4,6 +4,7 @@
 import {
   MAX_CHAIN_LENGTH, ZCAP_CONTEXT_URL, ZCAP_ROOT_PREFIX
 } from './constants.js';
+import {ZcapAuthorizationError, ZcapValidationError} from './errors.js';
 
 /**
  * Creates a root capability from a root controller and a root invocation
@@ -57,6 +58,25 @@ export function isController({capability, verificationMethod}) {
     controllers.includes(verificationMethod.id);
 }
 
+/**
+ * Retrieves the caveats from a capability.
+ *
+ * @param {object} options - The options.
+ * @param {object} options.capability - The authorization capability (zcap).
+ *
+ * @returns {Array} Caveats.
+ */
+export function getCaveats({capability}) {
+  const {caveat} = capability;
+  if(!caveat) {
+    return [];
+  }
+  if(Array.isArray(caveat)) {
+    return caveat;
+  }
+  return [caveat];
+}
+
 /**
  * Retrieves the allowed actions from a capability.
  *
@@ -113,6 +133,30 @@ export function getDelegationProofs({capability}) {
   return proof.filter(p => p && p.proofPurpose === 'capabilityDelegation');
 }
 
+/**
+ * Gets the values that identify a capability in a store, e.g., of
+ * revocation records or usage counters. A capability ID is chosen by its
+ * delegator, so any delegatee can delegate a capability that reuses the ID
+ * of a capability in another chain; the ID of the parent capability and of
+ * the verification method that signed the delegation proof can only be
+ * used by a controller of that parent.
+ *
+ * @param {object} options - The options.
+ * @param {object} options.capability - The authorization capability.
+ *
+ * @returns {object} An object with `capabilityId`, `parentCapability`, and
+ *   `verificationMethod`; the last two are `null` for a root capability.
+ */
+export function getCapabilityKey({capability}) {
+  const [proof] = getDelegationProofs({capability});
+  const {verificationMethod = null} = proof ?? {};
+  return {
+    capabilityId: capability.id,
+    parentCapability: capability.parentCapability ?? null,
+    verificationMethod: verificationMethod?.id ?? verificationMethod
+  };
+}
+
 /**
  * Gets the `capabilityChain` associated with the given capability.
  *
@@ -130,16 +174,22 @@ export function getCapabilityChain({capability}) {
 
   const proofs = getDelegationProofs({capability});
   if(proofs.length !== 1) {
-    throw new Error(
+    throw new ZcapValidationError(
       'Cannot get capability chain; capability is invalid; it is not the ' +
-      'root capability yet it does not have exactly one delegation proof.');
+      'root capability yet it does not have exactly one delegation proof.', {
+        code: 'ERR_ZCAP_INVALID',
+        details: {capabilityId: capability.id}
+      });
   }
 
   const {capabilityChain} = proofs[0];
   if(!(capabilityChain && Array.isArray(capabilityChain))) {
-    throw new Error(
+    throw new ZcapValidationError(
       'Cannot get capability chain; capability is invalid; it does not have ' +
-      'a "capabilityChain" array in its delegation proof.');
+      'a "capabilityChain" array in its delegation proof.', {
+        code: 'ERR_ZCAP_INVALID',
+        details: {capabilityId: capability.id}
+      });
   }
 
   return capabilityChain.slice();
@@ -162,16 +212,43 @@ export function getCapabilityChain({capability}) {
  * @param {string} options.baseInvocationTarget - The base invocation target.
  * @param {boolean} options.allowTargetAttenuation - `true` to allow target
  *   attenuation.
+ * @param {string} [options.targetAttenuationMode='prefix'] - How to check
+ *   target attenuation: `prefix` to compare the targets as strings,
+ *   `normalized` to parse them as URLs and compare their parts, or
+ *   `structured` to also treat query parameters as a set of constraints.
+ * @param {boolean} [options.allowTargetPatterns=false] - `true` to allow
+ *   `baseInvocationTarget` to be a pattern, in which case `invocationTarget`
+ *   may be any target or pattern that matches a subset of it; the origin,
+ *   literal path segments, and query are compared using the rules of
+ *   `targetAttenuationMode`.
  *
  * @returns {boolean} `true` if the target is valid, `false` if not.
  */
 export function isValidTarget({
-  invocationTarget, baseInvocationTarget, allowTargetAttenuation
+  invocationTarget, baseInvocationTarget, allowTargetAttenuation,
+  targetAttenuationMode = 'prefix', allowTargetPatterns = false
 }) {
-  // direct match, valid
-  if(baseInvocationTarget === invocationTarget) {
+  // direct match, valid; an origin and its root path are the same target,
+  // e.g., `https://example.com` and `https://example.com/`, since a URL
+  // parser (and so a request URL) always adds the root path
+  if(baseInvocationTarget === invocationTarget ||
+    _addRootPath({target: baseInvocationTarget}) ===
+    _addRootPath({target: invocationTarget})) {
     return true;
   }
+  if(allowTargetPatterns && isTargetPattern({target: baseInvocationTarget})) {
+    return _isValidPatternTarget({
+      invocationTarget, baseInvocationTarget, allowTargetAttenuation,
+      targetAttenuationMode
+    });
+  }
+  if(allowTargetAttenuation && (targetAttenuationMode === 'normalized' ||
+    targetAttenuationMode === 'structured')) {
+    return _isValidNormalizedTarget({
+      invocationTarget, baseInvocationTarget,
+      structured: targetAttenuationMode === 'structured'
+    });
+  }
   if(allowTargetAttenuation) {
     /* Note: When `allowTargetAttenuation=true`, a zcap can be invoked with
     a more narrow target and delegated zcap can have a different invocation
@@ -199,6 +276,154 @@ export function isValidTarget({
   return false;
 }
 
+/**
+ * Returns true if the given invocation target is a pattern.
+ *
+ * A target pattern is an absolute URL with one or more path segments that
+ * are wildcards: `{name}` (a URI template variable) or `*` match exactly one
+ * path segment and `**` matches any number of path segments. Wildcards must
+ * be whole path segments; they cannot appear in the scheme, host, or query.
+ *
+ * @param {object} options - The options.
+ * @param {string} options.target - The invocation target to check.
+ *
+ * @returns {boolean} `true` if the target is a pattern, `false` if not.
+ */
+export function isTargetPattern({target}) {
+  return typeof target === 'string' && /[{}*]/.test(target.split('?')[0]);
+}
+
+/**
+ * Returns true if the given action is implied by any of the given allowed
+ * actions, i.e., if it is one of them, if it matches one of them that is a
+ * wildcard pattern or, when an action hierarchy is given, if it is
+ * (transitively) implied by one of them.
+ *
+ * A wildcard pattern is a namespace followed by `:*`, e.g., `documents:*`,
+ * and it matches every action in that namespace, e.g., `documents:read` or
+ * `documents:drafts:write`, as well as every narrower pattern, e.g.,
+ * `documents:drafts:*`. So, `action` may itself be a pattern, in which case
+ * it is allowed only if every action it matches is allowed.
+ *
+ * @param {object} options - The options.
+ * @param {string} options.action - The action (or action pattern) to check.
+ * @param {Array} options.allowedActions - The allowed actions.
+ * @param {object} [options.actionHierarchy] - A map of each action to the
+ *   actions it directly implies, e.g., `{write: ['read']}`.
+ *
+ * @returns {boolean} `true` if the action is allowed, `false` if not.
+ */
+export function isActionAllowed({action, allowedActions, actionHierarchy}) {
+  if(allowedActions.some(allowed => _matchesAction({allowed, action}))) {
+    return true;
+  }
+  if(!actionHierarchy) {
+    return false;
+  }
+  // walk the hierarchy from the allowed actions (guarding against cycles)
+  const seen = new Set(allowedActions);
+  const queue = [...allowedActions];
+  while(queue.length > 0) {
+    const implied = actionHierarchy[queue.shift()];
+    if(!Array.isArray(implied)) {
+      continue;
+    }
+    for(const a of implied) {
+      if(_matchesAction({allowed: a, action})) {
+        return true;
+      }
+      if(!seen.has(a)) {
+        seen.add(a);
+        queue.push(a);
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * Ensures that the given capability action is allowed by the given
+ * capability. If the capability restricts actions via `allowedAction` then
+ * `capabilityAction` must be in its set or be implied by one of them
+ * according to `actionHierarchy`.
+ *
+ * @param {object} options - The options.
+ * @param {object} options.capability - The authorization capability (zcap).
+ * @param {string} options.capabilityAction - The capability action to check.
+ * @param {object} [options.actionHierarchy] - A map of each action to the
+ *   actions it directly implies, e.g., `{write: ['read']}`.
+ */
+export function checkAllowedAction({
+  capability, capabilityAction, actionHierarchy
+}) {
+  const allowedActions = getAllowedActions({capability});
+  if(allowedActions.length > 0 && !isActionAllowed(
+    {action: capabilityAction, allowedActions, actionHierarchy})) {
+    throw new ZcapAuthorizationError(
+      `Capability action "${capabilityAction}" is not allowed by the ` +
+      'capability; allowed actions are: ' +
+      allowedActions.map(x => `"${x}"`).join(', '), {
+        code: 'ERR_ZCAP_ACTION_NOT_ALLOWED',
+        details: {
+          ..._getErrorLocation({capability}),
+          capabilityAction,
+          allowedActions
+        }
+      });
+  }
+}
+
+/**
+ * Ensures that the given invocation target is an absolute URI that matches
+ * (or follows acceptable target attenuation rules for) the invocation target
+ * of the given capability.
+ *
+ * @param {object} options - The options.
+ * @param {object} options.capability - The authorization capability (zcap).
+ * @param {string} options.invocationTarget - The invocation target to check.
+ * @param {boolean} options.allowTargetAttenuation - `true` to allow target
+ *   attenuation.
+ * @param {string} [options.targetAttenuationMode='prefix'] - How to check
+ *   target attenuation, see `isValidTarget`.
+ * @param {boolean} [options.allowTargetPatterns=false] - `true` to allow
+ *   the capability's target to be a pattern that `invocationTarget` matches.
+ */
+export function checkInvocationTarget({
+  capability, invocationTarget, allowTargetAttenuation, targetAttenuationMode,
+  allowTargetPatterns
+}) {
+  const capabilityTarget = getTarget({capability});
+  // a pattern can be delegated but a specific target must be invoked
+  if(!(typeof invocationTarget === 'string' &&
+    invocationTarget.includes(':')) ||
+    (allowTargetPatterns && isTargetPattern({target: invocationTarget}))) {
+    throw new ZcapValidationError(
+      `Invocation target (${invocationTarget}) must be a string that ` +
+      'expresses an absolute URI.', {
+        code: 'ERR_ZCAP_INVOCATION_INVALID',
+        details: {..._getErrorLocation({capability}), invocationTarget}
+      });
+  }
+  if(!isValidTarget({
+    invocationTarget,
+    baseInvocationTarget: capabilityTarget,
+    allowTargetAttenuation,
+    targetAttenuationMode,
+    allowTargetPatterns
+  })) {
+    throw new ZcapAuthorizationError(
+      `Invocation target (${invocationTarget}) does not match ` +
+      `capability target (${capabilityTarget}).`, {
+        code: 'ERR_ZCAP_TARGET_MISMATCH',
+        details: {
+          ..._getErrorLocation({capability}),
+          invocationTarget,
+          capabilityTarget
+        }
+      });
+  }
+}
+
 /**
  * Creates a capability chain for delegating a capability from the
  * given `parentCapability`.
@@ -329,9 +554,15 @@ export async function dereferenceCapabilityChain({
     const {rootCapability} = await getRootCapability({id});
     checkCapability({capability: rootCapability, expectRoot: true});
     if(rootCapability.id !== id) {
-      throw new Error(
+      throw new ZcapAuthorizationError(
         `Dereferenced root capability ID "${rootCapability.id}" does not ` +
-        `match reference ID "${id}".`);
+        `match reference ID "${id}".`, {
+          code: 'ERR_ZCAP_ROOT_MISMATCH',
+          details: {
+            capabilityId: id, index: 0,
+            actual: rootCapability.id, expected: id
+          }
+        });
     }
     capability = rootCapability;
   } else {
@@ -351,9 +582,16 @@ export async function dereferenceCapabilityChain({
   // zcap could go over the limit but this will be caught via a congruency
   // check on the length instead
   if((capabilityChain.length + 1) > maxChainLength) {
-    throw new Error(
+    throw new ZcapValidationError(
       'The capability chain exceeds the maximum allowed length ' +
-      `of ${maxChainLength}.`);
+      `of ${maxChainLength}.`, {
+        code: 'ERR_ZCAP_CHAIN_TOO_LONG',
+        details: {
+          capabilityId: capability.id,
+          index: capabilityChain.length,
+          maxChainLength
+        }
+      });
   }
 
   // subtract one from the max chain length to start to account for
@@ -364,7 +602,11 @@ export async function dereferenceCapabilityChain({
   let currentCapabilityChain = capabilityChain;
   while(currentCapabilityChain.length > 0) {
     if(currentCapabilityChain.length !== requiredLength) {
-      throw new Error('The capability chain length is incongruent.');
+      throw new ZcapValidationError(
+        'The capability chain length is incongruent.', {
+          code: 'ERR_ZCAP_CHAIN_INVALID',
+          details: {capabilityId: currentCapability.id, index: requiredLength}
+        });
     }
 
     // if `next.length > 1`, then its last entry is a delegated
@@ -384,27 +626,39 @@ export async function dereferenceCapabilityChain({
       // is a string
       if(!(entryType === requiredType &&
         (entryIsString || typeof entry.id === 'string'))) {
-        throw new TypeError(
+        throw new ZcapValidationError(
           'Capability chain is invalid; it must consist of strings ' +
           'of capability IDs except the last capability if it is ' +
           'delegated, in which case it must be an object with an "id" ' +
-          'property that is a string.');
+          'property that is a string.', {
+            code: 'ERR_ZCAP_CHAIN_INVALID',
+            details: {
+              capabilityId: entryIsString ? entry : entry?.id,
+              index: i
+            }
+          });
       }
 
       // ensure capability ID expresses an absolute URI (i.e., it has `:`)
       const id = entryIsString ? entry : entry.id;
       if(!id.includes(':')) {
-        throw new Error(
+        throw new ZcapValidationError(
           'Capability chain is invalid; it contains a capability ID ' +
-          'that is not an absolute URI.');
+          'that is not an absolute URI.', {
+            code: 'ERR_ZCAP_CHAIN_INVALID',
+            details: {capabilityId: id, index: i}
+          });
       }
 
       // ensure last entry in chain matches parent capability
       if(i === lastIndex && currentCapability.parentCapability &&
         currentCapability.parentCapability !== id) {
-        throw new Error(
+        throw new ZcapValidationError(
           'Capability chain is invalid; the last entry does not ' +
-          'match the parent capability.');
+          'match the parent capability.', {
+            code: 'ERR_ZCAP_CHAIN_INVALID',
+            details: {capabilityId: id, index: i}
+          });
       }
 
       if(!entryIsString) {
@@ -416,7 +670,11 @@ export async function dereferenceCapabilityChain({
       if(firstPass) {
         // on the first pass, the zcap must not have been seen yet
         if(id === capability.id || dereferencedChainMap.has(id)) {
-          throw new Error('The capability chain contains a cycle.');
+          throw new ZcapValidationError(
+            'The capability chain contains a cycle.', {
+              code: 'ERR_ZCAP_CHAIN_CYCLE',
+              details: {capabilityId: id, index: i}
+            });
         }
         // add zcap to the map whether it is only a reference (an ID) or
         // a fully embedded zcap; this will be used to ensure no additional
@@ -428,11 +686,19 @@ export async function dereferenceCapabilityChain({
         const existing = dereferencedChainMap.get(id);
         if(!existing) {
           // the chain is inconsistent across delegated zcaps
-          throw new Error('The capability chain is inconsistent.');
+          throw new ZcapValidationError(
+            'The capability chain is inconsistent.', {
+              code: 'ERR_ZCAP_CHAIN_INVALID',
+              details: {capabilityId: id, index: i}
+            });
         }
         if(id === capability.id || typeof existing === 'object') {
           // the zcap has been deferenced before, there's a cycle
-          throw new Error('The capability chain contains a cycle.');
+          throw new ZcapValidationError(
+            'The capability chain contains a cycle.', {
+              code: 'ERR_ZCAP_CHAIN_CYCLE',
+              details: {capabilityId: id, index: i}
+            });
         }
 
         // only update the zcaps map using a fully embedded zcap
@@ -465,9 +731,15 @@ export async function dereferenceCapabilityChain({
     const {rootCapability} = await getRootCapability({id});
     checkCapability({capability: rootCapability, expectRoot: true});
     if(rootCapability.id !== id) {
-      throw new Error(
+      throw new ZcapAuthorizationError(
         `Dereferenced root capability ID "${rootCapability.id}" does not ` +
-        `match reference ID "${id}" from capability chain.`);
+        `match reference ID "${id}" from capability chain.`, {
+          code: 'ERR_ZCAP_ROOT_MISMATCH',
+          details: {
+            capabilityId: id, index: 0,
+            actual: rootCapability.id, expected: id
+          }
+        });
     }
     dereferencedChainMap.set(id, rootCapability);
   }
@@ -489,23 +761,23 @@ export function checkProofContext({proof}) {
   }
 }
 
-export function hasValidAllowedAction({allowedAction, parentAllowedAction}) {
+export function hasValidAllowedAction({
+  allowedAction, parentAllowedAction, actionHierarchy
+}) {
   // if the parent's `allowedAction` is `undefined`, then any more restrictive
   // action is allowed in the child
   if(!parentAllowedAction) {
     return true;
   }
 
-  if(Array.isArray(parentAllowedAction)) {
-    // parent's `allowedAction` must include every one from child's
-    if(Array.isArray(allowedAction)) {
-      return allowedAction.every(a => parentAllowedAction.includes(a));
-    }
-    return parentAllowedAction.includes(allowedAction);
-  }
-
-  // require exact match
-  return (parentAllowedAction === allowedAction);
+  // every action (or action pattern) in the child must be allowed by the
+  // parent's actions
+  const allowedActions = getAllowedActions({capability: {allowedAction}});
+  const parentAllowedActions = getAllowedActions(
+    {capability: {allowedAction: parentAllowedAction}});
+  return allowedActions.length > 0 && allowedActions.every(
+    action => isActionAllowed(
+      {action, allowedActions: parentAllowedActions, actionHierarchy}));
 }
 
 export function checkCapability({capability, expectRoot}) {
@@ -517,65 +789,122 @@ export function checkCapability({capability, expectRoot}) {
   const isRoot = parentCapability === undefined;
   if(isRoot) {
     if(context !== ZCAP_CONTEXT_URL) {
-      throw new Error(
+      throw new ZcapValidationError(
         'Root capability must have an "@context" value of ' +
-        `"${ZCAP_CONTEXT_URL}".`);
+        `"${ZCAP_CONTEXT_URL}".`, {
+          code: 'ERR_ZCAP_INVALID',
+          details: _getErrorLocation({capability})
+        });
     }
     if(capability.expires !== undefined) {
-      throw new Error('Root capability must not have an "expires" field.');
+      throw new ZcapValidationError(
+        'Root capability must not have an "expires" field.', {
+          code: 'ERR_ZCAP_INVALID',
+          details: _getErrorLocation({capability})
+        });
+    }
+    if(capability.caveat !== undefined) {
+      throw new ZcapValidationError(
+        'Root capability must not have a "caveat" field.', {
+          code: 'ERR_ZCAP_INVALID',
+          details: _getErrorLocation({capability})
+        });
     }
   } else {
     if(!((Array.isArray(context) && context[0] === ZCAP_CONTEXT_URL))) {
-      throw new Error(
+      throw new ZcapValidationError(
         'Delegated capability must have an "@context" array ' +
-        `with "${ZCAP_CONTEXT_URL}" in its first position.`);
+        `with "${ZCAP_CONTEXT_URL}" in its first position.`, {
+          code: 'ERR_ZCAP_INVALID',
+          details: _getErrorLocation({capability})
+        });
     }
     if(!(typeof parentCapability === 'string' &&
       parentCapability.includes(':'))) {
-      throw new Error(
+      throw new ZcapValidationError(
         'Delegated capability must have a "parentCapability" with a string ' +
-        'value that expresses an absolute URI.');
+        'value that expresses an absolute URI.', {
+          code: 'ERR_ZCAP_INVALID',
+          details: _getErrorLocation({capability})
+        });
     }
     const [proof] = getDelegationProofs({capability});
     if(!proof) {
-      throw new Error('Delegated capability must have a "proof".');
+      throw new ZcapValidationError(
+        'Delegated capability must have a "proof".', {
+          code: 'ERR_ZCAP_INVALID',
+          details: _getErrorLocation({capability})
+        });
     }
     if(isNaN(Date.parse(proof.created))) {
-      throw new Error(
-        'Delegated capability must have a valid proof "created" date.');
+      throw new ZcapValidationError(
+        'Delegated capability must have a valid proof "created" date.', {
+          code: 'ERR_ZCAP_INVALID',
+          details: _getErrorLocation({capability})
+        });
     }
     if(isNaN(Date.parse(expires))) {
-      throw new Error('Delegated capability must have a valid expires date.');
+      throw new ZcapValidationError(
+        'Delegated capability must have a valid expires date.', {
+          code: 'ERR_ZCAP_INVALID',
+          details: _getErrorLocation({capability})
+        });
     }
   }
 
   if(!(typeof id === 'string' && id.includes(':'))) {
-    throw new Error(
+    throw new ZcapValidationError(
       'Capability must have an "id" with a string value that expresses an ' +
-      'absolute URI.');
+      'absolute URI.', {
+        code: 'ERR_ZCAP_INVALID',
+        details: _getErrorLocation({capability})
+      });
   }
   if(!(typeof invocationTarget === 'string' &&
     invocationTarget.includes(':'))) {
-    throw new Error(
+    throw new ZcapValidationError(
       'Capability must have an "invocationTarget" with a string value that ' +
-      'expresses an absolute URI.');
+      'expresses an absolute URI.', {
+        code: 'ERR_ZCAP_INVALID',
+        details: _getErrorLocation({capability})
+      });
   }
   if(allowedAction !== undefined && !(
     typeof allowedAction === 'string' ||
     (Array.isArray(allowedAction) && allowedAction.length > 0))) {
-    throw new Error(
+    throw new ZcapValidationError(
       'If present on a capability, "allowedAction" must be a string or a ' +
-      'non-empty array.');
+      'non-empty array.', {
+        code: 'ERR_ZCAP_INVALID',
+        details: _getErrorLocation({capability})
+      });
+  }
+
+  if(!getCaveats({capability}).every(
+    c => c && typeof c === 'object' && typeof c.type === 'string')) {
+    throw new ZcapValidationError(
+      'If present on a capability, every "caveat" must be an object with a ' +
+      'string "type".', {
+        code: 'ERR_ZCAP_INVALID',
+        details: _getErrorLocation({capability})
+      });
   }
 
   if(isRoot !== expectRoot) {
     if(expectRoot) {
-      throw new Error(
+      throw new ZcapValidationError(
         `Expected capability "${capability.id}" to be root ` +
-        'but it is delegated.');
+        'but it is delegated.', {
+          code: 'ERR_ZCAP_INVALID',
+          details: _getErrorLocation({capability})
+        });
     }
-    throw new Error(
-      `Expected capability "${capability.id}" to be delegated but it is root.`);
+    throw new ZcapValidationError(
+      `Expected capability "${capability.id}" to be delegated but it is ` +
+      'root.', {
+        code: 'ERR_ZCAP_INVALID',
+        details: _getErrorLocation({capability})
+      });
   }
 }
 
@@ -588,6 +917,322 @@ export function compareTime({t1, t2, maxClockSkew}) {
   return t1 < t2 ? -1 : 1;
 }
 
+function _addRootPath({target}) {
+  if(typeof target !== 'string') {
+    return target;
+  }
+  return target.replace(/^([a-z][a-z0-9+.-]*:\/\/[^/?#]+)(?=[?#]|$)/i, '$1/');
+}
+
+function _isValidPatternTarget({
+  invocationTarget, baseInvocationTarget, allowTargetAttenuation,
+  targetAttenuationMode
+}) {
+  /* Note: Both the target and the base pattern are split into their origin,
+  path segments, and query. The origins must be equal and the target's path
+  segments (which may be wildcards if it is also a pattern) must only match
+  paths that the base pattern's segments match. This check is conservative:
+  it may reject some patterns that only match a subset of the base pattern,
+  but it never accepts one that does not. The origin, literal path segments,
+  and query are compared with the rules of `targetAttenuationMode`. */
+  const normalized = targetAttenuationMode === 'normalized' ||
+    targetAttenuationMode === 'structured';
+  const target = _parsePatternTarget({target: invocationTarget, normalized});
+  const base = _parsePatternTarget({target: baseInvocationTarget, normalized});
+  if(!(target && base) || target.origin !== base.origin) {
+    return false;
+  }
+
+  let {segments: baseSegments} = base;
+  if(allowTargetAttenuation && base.search === '') {
+    // path-based attenuation is allowed after the base pattern
+    baseSegments = [...baseSegments, {many: true}];
+  }
+  if(!_matchesSegments({segments: target.segments, baseSegments})) {
+    return false;
+  }
+
+  if(target.search === base.search) {
+    return true;
+  }
+  if(!allowTargetAttenuation) {
+    return false;
+  }
+  // if the base has no query, the target may have any query
+  if(base.search === '') {
+    return true;
+  }
+  // query already present in base, so only accept the same path
+  if(target.segments.length !== base.segments.length) {
+    return false;
+  }
+  if(targetAttenuationMode === 'structured') {
+    return _isValidQuery({query: target.query, baseQuery: base.query});
+  }
+  // ...with new variables in the query
+  return target.search.startsWith(`${base.search}&`);
+}
+
+function _parsePatternTarget({target, normalized}) {
+  const match = target.match(
+    /^([a-z][a-z0-9+.-]*:\/\/[^/?#{}*]+)(\/[^?#]*)?(\?[^#]*)?$/i);
+  if(!match) {
+    return null;
+  }
+  let [, origin, , search = ''] = match;
+  const [, , path = ''] = match;
+  let query;
+  if(normalized) {
+    // canonicalize the origin and query as in `_parseTarget`
+    if(/[\u0000-\u0020\\]/.test(target)) {
+      return null;
+    }
+    let url;
+    try {
+      url = new URL(`${origin}/${search}`);
+    } catch(e) {
+      return null;
+    }
+    if(!url.host || url.username || url.password) {
+      return null;
+    }
+    origin = `${url.protocol}//${url.host}`;
+    search = url.search;
+    query = _parseQuery({searchParams: url.searchParams});
+  }
+
+  const pathSegments = path.split('/').slice(1);
+  if(normalized) {
+    // a trailing slash is not significant
+    if(pathSegments[pathSegments.length - 1] === '') {
+      pathSegments.pop();
+    }
+    // empty segments, i.e., duplicate slashes, are not allowed
+    if(pathSegments.includes('')) {
+      return null;
+    }
+  }
+  const segments = [];
+  for(const segment of pathSegments) {
+    if(segment === '**') {
+      segments.push({many: true});
+    } else if(segment === '*' || /^\{[A-Za-z0-9_]+\}$/.test(segment)) {
+      segments.push({one: true});
+    } else if(/[{}*]/.test(segment) || /^(\.|%2e){1,2}$/i.test(segment)) {
+      // a partial wildcard or a dot-segment (which could be used to escape
+      // the segment a wildcard matches)
+      return null;
+    } else {
+      segments.push({literal: normalized ?
+        _canonicalizeSegment(_encodeSegment(segment)) : segment});
+    }
+  }
+  return {origin: origin.toLowerCase(), segments, search, query};
+}
+
+function _encodeSegment(segment) {
+  // percent-encode the characters that `URL` encodes in a path
+  return new URL(`/${segment}`, 'https://localhost').pathname.slice(1);
+}
+
+function _matchesSegments({segments, baseSegments}) {
+  // memoized check that every path matched by `segments` (from index `i`)
+  // is also matched by `baseSegments` (from index `j`)
+  const memo = new Map();
+  const matches = (i, j) => {
+    const key = `${i},${j}`;
+    if(!memo.has(key)) {
+      memo.set(key, _matchesSegmentsAt(
+        {segments, baseSegments, i, j, matches}));
+    }
+    return memo.get(key);
+  };
+  return matches(0, 0);
+}
+
+function _matchesSegmentsAt({segments, baseSegments, i, j, matches}) {
+  const segment = segments[i];
+  const baseSegment = baseSegments[j];
+  if(!baseSegment) {
+    return !segment;
+  }
+  if(baseSegment.many) {
+    // match no more segments or consume the next (wildcard) segment
+    return matches(i, j + 1) || (!!segment && matches(i + 1, j));
+  }
+  if(!segment || segment.many) {
+    return false;
+  }
+  if(baseSegment.one) {
+    // only a non-empty literal or another single wildcard fits
+    return (segment.one || segment.literal !== '') && matches(i + 1, j + 1);
+  }
+  return segment.literal === baseSegment.literal && matches(i + 1, j + 1);
+}
+
+function _isValidNormalizedTarget({
+  invocationTarget, baseInvocationTarget, structured
+}) {
+  /* Note: In this mode, both targets are parsed as URLs so that equivalent
+  spellings of the same URL compare equal and so that attenuation is checked
+  against whole path segments instead of characters. Any target that could
+  be interpreted differently by different URL parsers or servers, e.g., one
+  with dot-segments (encoded or not), empty path segments, or a fragment, is
+  rejected. */
+  const target = _parseTarget({target: invocationTarget});
+  const base = _parseTarget({target: baseInvocationTarget});
+  if(!(target && base)) {
+    return false;
+  }
+
+  // URLs without a host, e.g., URNs, have no hierarchy to attenuate
+  if(target.opaque || base.opaque) {
+    return target.opaque && base.opaque && target.href === base.href;
+  }
+
+  if(target.origin !== base.origin) {
+    return false;
+  }
+
+  // the base path must be a prefix of the target path
+  if(!(base.segments.length <= target.segments.length &&
+    base.segments.every((segment, i) => segment === target.segments[i]))) {
+    return false;
+  }
+
+  // if the base has no query, the target may have any query
+  if(base.search === '') {
+    return true;
+  }
+
+  // query already present in base, so only accept the same path
+  if(target.segments.length !== base.segments.length) {
+    return false;
+  }
+
+  if(structured) {
+    return _isValidQuery({query: target.query, baseQuery: base.query});
+  }
+
+  // ...with new variables in the query
+  return target.search === base.search ||
+    target.search.startsWith(`${base.search}&`);
+}
+
+function _parseTarget({target}) {
+  // reject whitespace, control characters, and backslashes as URL parsers
+  // remove or reinterpret them, and reject fragments as they are never
+  // sent to servers
+  if(/[\u0000-\u0020\\#]/.test(target)) {
+    return null;
+  }
+  // dot-segments (including percent-encoded ones) are resolved when parsing,
+  // so they must be checked for beforehand
+  const [path] = target.split('?', 1);
+  if(/(^|\/)(\.|%2e){1,2}(\/|$)/i.test(path)) {
+    return null;
+  }
+
+  let url;
+  try {
+    url = new URL(target);
+  } catch(e) {
+    return null;
+  }
+  if(!url.host) {
+    return {opaque: true, href: url.href};
+  }
+  if(url.username || url.password) {
+    return null;
+  }
+
+  const segments = url.pathname.split('/').slice(1);
+  // a trailing slash is not significant
+  if(segments[segments.length - 1] === '') {
+    segments.pop();
+  }
+  // empty segments, i.e., duplicate slashes, are not allowed
+  if(segments.includes('')) {
+    return null;
+  }
+
+  return {
+    // `URL` lowercases the scheme and host and removes default ports
+    origin: `${url.protocol}//${url.host}`,
+    segments: segments.map(_canonicalizeSegment),
+    search: url.search,
+    query: _parseQuery({searchParams: url.searchParams})
+  };
+}
+
+function _parseQuery({searchParams}) {
+  // map each parameter name to the set of its values
+  const query = new Map();
+  for(const [name, value] of searchParams) {
+    if(!query.has(name)) {
+      query.set(name, new Set());
+    }
+    query.get(name).add(value);
+  }
+  return query;
+}
+
+function _isValidQuery({query, baseQuery}) {
+  /* Note: Each parameter in the base query is a constraint. The target may
+  add parameters, but every base parameter must also be in the target, with
+  a non-empty subset of its values, i.e., a multi-valued parameter may be
+  narrowed but not widened, changed, or dropped. The order of parameters and
+  of their values is not significant. */
+  for(const [name, baseValues] of baseQuery) {
+    const values = query.get(name);
+    if(!values) {
+      return false;
+    }
+    for(const value of values) {
+      if(!baseValues.has(value)) {
+        return false;
+      }
+    }
+  }
+  return true;
+}
+
+function _canonicalizeSegment(segment) {
+  // decode percent-encoded unreserved characters and uppercase the hex
+  // digits of any other percent-encoded characters
+  return segment.replace(/%[0-9a-f]{2}/gi, encoded => {
+    const char = String.fromCharCode(parseInt(encoded.slice(1), 16));
+    return /[A-Za-z0-9\-._~]/.test(char) ? char : encoded.toUpperCase();
+  });
+}
+
+function _matchesAction({allowed, action}) {
+  if(allowed === action) {
+    return true;
+  }
+  // `ns:*` matches any action or pattern with the `ns:` prefix
+  if(typeof allowed === 'string' && allowed.endsWith(':*') &&
+    typeof action === 'string') {
+    return action.startsWith(allowed.slice(0, -1));
+  }
+  return false;
+}
+
+// gets the ID of a capability and its index in its own capability chain for
+// use in error details
+function _getErrorLocation({capability}) {
+  const location = {capabilityId: capability.id};
+  if(capability.parentCapability === undefined) {
+    location.index = 0;
+  } else {
+    const [proof] = getDelegationProofs({capability});
+    if(Array.isArray(proof?.capabilityChain)) {
+      location.index = proof.capabilityChain.length;
+    }
+  }
+  return location;
+}
+
 // documentation typedefs
 
 /**
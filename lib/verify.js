@@ -0,0 +1,232 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as utils from './utils.js';
+import {CapabilityDelegation} from './CapabilityDelegation.js';
+import {CapabilityInvocation} from './CapabilityInvocation.js';
+import {documentLoader as defaultDocumentLoader} from './documentLoader.js';
+import jsigs from 'jsonld-signatures';
+import {ZcapAuthorizationError} from './errors.js';
+
+/**
+ * Verifies a capability invocation proof on the given document and returns
+ * a normalized authorization decision.
+ *
+ * @param {object} options - The options.
+ * @param {object} options.document - The document with the capability
+ *   invocation proof to verify.
+ * @param {string} options.expectedAction - The expected capability action.
+ * @param {string|Array} options.expectedTarget - The expected invocation
+ *   target(s).
+ * @param {string|Array} options.expectedRootCapability - The expected root
+ *   capability ID(s).
+ * @param {object|Array} options.suite - The jsonld-signatures suite(s) to use
+ *   to verify the invocation proof and the capability chain.
+ * @param {Function} [options.documentLoader] - A configured jsonld
+ *   documentLoader; it must be able to load any root capabilities and
+ *   verification methods.
+ * @param {...object} [options.purposeOptions] - Any other options are passed
+ *   to `CapabilityInvocation`, e.g., `allowTargetAttenuation`, `date`,
+ *   `inspectCapabilityChain`, or `trace`.
+ *
+ * @returns {Promise<AuthorizationDecision>} Resolves to the decision.
+ */
+export async function verifyInvocation({
+  document, expectedAction, expectedTarget, expectedRootCapability,
+  suite, documentLoader = defaultDocumentLoader, ...purposeOptions
+} = {}) {
+  const result = await jsigs.verify(document, {
+    documentLoader,
+    suite,
+    purpose: new CapabilityInvocation({
+      ...purposeOptions,
+      expectedAction, expectedTarget, expectedRootCapability, suite
+    })
+  });
+  if(!result.verified) {
+    return _createDecision(
+      {error: _getError({result}), trace: _getTrace({result})});
+  }
+
+  // use the first verified capability invocation proof
+  const {proof, purposeResult} = result.results.find(r => r.verified);
+  return _createDecision({proof, purposeResult});
+}
+
+/**
+ * Verifies a delegated capability, i.e., its capability delegation proof and
+ * its entire capability chain. This is useful for checking a received
+ * capability before storing it.
+ *
+ * @param {object} options - The options.
+ * @param {object} options.capability - The delegated capability to verify.
+ * @param {string|Array} options.expectedRootCapability - The expected root
+ *   capability ID(s).
+ * @param {object|Array} options.suite - The jsonld-signatures suite(s) to use
+ *   to verify the capability chain.
+ * @param {Function} [options.documentLoader] - A configured jsonld
+ *   documentLoader; it must be able to load any root capabilities and
+ *   verification methods.
+ * @param {...object} [options.purposeOptions] - Any other options are passed
+ *   to `CapabilityDelegation`, e.g., `allowTargetAttenuation`, `date`,
+ *   `inspectCapabilityChain`, or `trace`.
+ *
+ * @returns {Promise<DelegationVerifyResult>} Resolves to the result.
+ */
+export async function verifyDelegation({
+  capability, expectedRootCapability,
+  suite, documentLoader = defaultDocumentLoader, ...purposeOptions
+} = {}) {
+  const result = await jsigs.verify(capability, {
+    documentLoader,
+    suite,
+    purpose: new CapabilityDelegation({
+      ...purposeOptions,
+      expectedRootCapability, suite
+    })
+  });
+  if(!result.verified) {
+    return _addTrace(
+      {verified: false, error: _getError({result})}, _getTrace({result}));
+  }
+
+  const {purposeResult} = result.results.find(r => r.verified);
+  const {dereferencedChain, delegators, trace} = purposeResult;
+
+  // the effective expiry is the earliest one in the chain; every delegated
+  // zcap has a valid `expires` date at this point
+  const delegated = dereferencedChain.slice(1);
+  const [{expires}] = delegated.sort(
+    (a, b) => Date.parse(a.expires) - Date.parse(b.expires));
+
+  // unlike ancestors, the tail's expiry is only checked by verifiers when it
+  // is invoked, so check it here to avoid accepting an expired capability
+  const {date, maxClockSkew = 300} = purposeOptions;
+  const currentDate = (date && new Date(date)) || new Date();
+  if(utils.compareTime({
+    t1: currentDate.getTime(),
+    t2: Date.parse(expires),
+    maxClockSkew
+  }) > 0) {
+    const error = new ZcapAuthorizationError(
+      'The delegated capability has expired.', {
+        code: 'ERR_ZCAP_EXPIRED',
+        details: {
+          capabilityId: capability.id,
+          index: dereferencedChain.length - 1,
+          expires,
+          date: currentDate.toISOString()
+        }
+      });
+    return _addTrace({verified: false, error}, trace);
+  }
+
+  return _addTrace({
+    verified: true,
+    capability,
+    rootCapability: dereferencedChain[0],
+    chain: dereferencedChain,
+    delegators: delegators.map(_getId),
+    expires,
+    // verifiers only check the tail's actions when it is invoked and the
+    // tail's actions have been verified to be a subset of its ancestors'
+    allowedActions: utils.getAllowedActions({capability})
+  }, trace);
+}
+
+/**
+ * Creates an authorization decision. This is internal; it is also used by
+ * `verifyHttpInvocation()`.
+ *
+ * @param {object} options - The options.
+ * @param {object} [options.proof] - The valid capability invocation proof.
+ * @param {object} [options.purposeResult] - The result of validating the
+ *   proof with `CapabilityInvocation`.
+ * @param {Error} [options.error] - The reason the invocation is not
+ *   authorized, if it is not.
+ * @param {Array} [options.trace] - The trace, if the invocation is not
+ *   authorized.
+ *
+ * @returns {AuthorizationDecision} The decision.
+ */
+export function _createDecision({proof, purposeResult, error, trace}) {
+  if(error) {
+    return _addTrace({authorized: false, error}, trace);
+  }
+  const {dereferencedChain, delegators, invoker} = purposeResult;
+  return _addTrace({
+    authorized: true,
+    invoker: _getId(invoker),
+    capability: dereferencedChain[dereferencedChain.length - 1],
+    rootCapability: dereferencedChain[0],
+    action: proof.capabilityAction,
+    target: proof.invocationTarget,
+    chain: dereferencedChain,
+    delegators: delegators.map(_getId)
+  }, purposeResult.trace);
+}
+
+function _addTrace(decision, trace) {
+  if(trace) {
+    decision.trace = trace;
+  }
+  return decision;
+}
+
+function _getError({result}) {
+  // unwrap the first error from `VerificationError`, if possible
+  const {error} = result;
+  if(error.name === 'VerificationError' && error.errors.length > 0) {
+    return error.errors[0];
+  }
+  return error;
+}
+
+function _getTrace({result}) {
+  // a trace is only available if proof purpose validation was reached
+  const entry = (result.results || []).find(r => r.purposeResult?.trace);
+  return entry?.purposeResult.trace;
+}
+
+function _getId(controller) {
+  return typeof controller === 'string' ? controller : controller.id;
+}
+
+/**
+ * An authorization decision.
+ *
+ * @typedef {object} AuthorizationDecision
+ * @property {boolean} authorized - `true` if the invocation is authorized.
+ * @property {string} [invoker] - The ID of the invoker.
+ * @property {object} [capability] - The invoked capability.
+ * @property {object} [rootCapability] - The root capability of the chain.
+ * @property {string} [action] - The invoked capability action.
+ * @property {string} [target] - The invocation target.
+ * @property {Array} [chain] - The dereferenced capability chain, from root
+ *   to the invoked capability.
+ * @property {string[]} [delegators] - The IDs of the delegators of every
+ *   delegated capability in the chain, from root to the invoked capability.
+ * @property {Array} [trace] - The log of checks performed on the capability
+ *   chain, if `trace` was enabled.
+ * @property {Error} [error] - The reason the invocation is not authorized.
+ */
+
+/**
+ * The result of verifying a delegated capability.
+ *
+ * @typedef {object} DelegationVerifyResult
+ * @property {boolean} verified - `true` if the capability is valid.
+ * @property {object} [capability] - The verified capability.
+ * @property {object} [rootCapability] - The root capability of the chain.
+ * @property {Array} [chain] - The dereferenced capability chain, from root
+ *   to the verified capability.
+ * @property {string[]} [delegators] - The IDs of the delegators of every
+ *   delegated capability in the chain, from root to the verified capability.
+ * @property {string} [expires] - The effective expiration date of the
+ *   capability, i.e., the earliest `expires` value in the chain.
+ * @property {string[]} [allowedActions] - The effective allowed actions for
+ *   the capability; an empty array means that any action is allowed.
+ * @property {Array} [trace] - The log of checks performed on the capability
+ *   chain, if `trace` was enabled.
+ * @property {Error} [error] - The reason the capability is not valid.
+ */
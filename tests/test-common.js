@@ -2,6 +2,7 @@
  * Copyright (c) 2018-2024 Digital Bazaar, Inc. All rights reserved.
  */
 
+import * as cborg from 'cborg';
 import chai from 'chai';
 
 import {
@@ -2529,7 +2530,8 @@ describe('zcap', () => {
           localError = e;
         }
         expect(localError).to.exist;
-        localError.name.should.equal('Error');
+        localError.name.should.equal('ZcapValidationError');
+        localError.code.should.equal('ERR_ZCAP_INVALID');
         localError.message.should.contain(
           'Delegated capability must have a valid expires date');
 
@@ -4306,133 +4308,4243 @@ describe('zcap', () => {
       });
     }); // end Path-based hierarchical attenuation
   });
-});
 
-function _checkCapabilityChain({capabilityChain}) {
-  for(const c of capabilityChain) {
-    c.should.be.an('object');
-    c.should.have.property('id');
-    c.should.have.property('controller');
-    c.should.have.property('invocationTarget');
-  }
-}
+  describe('delegate()', () => {
+    it('should delegate from a root capability', async () => {
+      const rootCapability = capabilities.root.beta;
+      const delegatedCapability = await zcap.delegate({
+        parentCapability: rootCapability,
+        controller: bob.id(),
+        expires: EXPIRES_3000_DATE,
+        suite: _createSuite({delegator: alice}),
+        documentLoader: testLoader
+      });
+      delegatedCapability.id.should.match(/^urn:uuid:/);
+      delegatedCapability['@context'][0].should.equal(ZCAP_CONTEXT_URL);
+      delegatedCapability.parentCapability.should.equal(rootCapability.id);
+      delegatedCapability.invocationTarget.should.equal(
+        rootCapability.invocationTarget);
+      delegatedCapability.controller.should.equal(bob.id());
+      delegatedCapability.expires.should.equal(EXPIRES_3000_DATE);
+      delegatedCapability.proof.capabilityChain.should.deep.equal(
+        [rootCapability.id]);
 
-function _checkCapabilityChainMeta({capabilityChainMeta}) {
-  for(const [i, m] of capabilityChainMeta.entries()) {
-    m.should.be.an('object');
-    m.should.have.property('verifyResult');
-    if(i === 0) {
-      // root zcap verify result is `null`
-      expect(m.verifyResult).to.be.null;
-      continue;
-    }
-    m.verifyResult.should.have.property('verified');
-    m.verifyResult.verified.should.be.true;
-    m.verifyResult.should.have.property('results');
-    m.verifyResult.results.length.should.equal(1);
-    m.verifyResult.results[0].should.be.an('object');
-    m.verifyResult.results[0].should.have.property('purposeResult');
-    m.verifyResult.results[0].purposeResult.should.be.an('object');
-    m.verifyResult.results[0].purposeResult.should.have.property('delegator');
-  }
-}
+      const result = await _verifyDelegation({
+        delegation: delegatedCapability,
+        expectedRootCapability: rootCapability.id
+      });
+      expect(result).to.exist;
+      expect(result.verified).to.be.true;
+    });
 
-// helper for creating invocations
-// pass `key` OR `controller` (not both)
-// pass `capability` OR `purposeOptions` (not both)
-async function _invoke({
-  doc, key, invoker, date, capability, capabilityAction, purposeOptions
-}) {
-  if(invoker) {
-    key = invoker.get('capabilityInvocation', 0);
-  }
-  let purpose;
-  if(capability) {
-    // common case
-    purpose = new CapabilityInvocation({
-      // MUST pass root zcap as a string, delegated zcap as an object
-      capability: capability.parentCapability ? capability : capability.id,
-      capabilityAction,
-      invocationTarget: capability.invocationTarget
+    it('should delegate using a signer and a suite class', async () => {
+      const key = new Ed25519VerificationKey2020(
+        alice.get('capabilityDelegation', 0));
+      const delegatedCapability = await zcap.delegate({
+        parentCapability: capabilities.root.beta,
+        controller: bob.id(),
+        expires: new Date(EXPIRES_3000_DATE),
+        signer: key.signer(),
+        suite: Ed25519Signature2020,
+        documentLoader: testLoader
+      });
+      delegatedCapability.expires.should.equal(
+        new Date(EXPIRES_3000_DATE).toISOString());
+
+      const result = await _verifyDelegation({
+        delegation: delegatedCapability,
+        expectedRootCapability: capabilities.root.beta.id
+      });
+      expect(result).to.exist;
+      expect(result.verified).to.be.true;
     });
-  } else {
-    // custom case
-    purpose = new CapabilityInvocation(purposeOptions);
-  }
-  return jsigs.sign(doc, {
-    documentLoader: testLoader,
-    suite: new Ed25519Signature2020({
-      key: new Ed25519VerificationKey2020(key),
-      date
-    }),
-    purpose
-  });
-}
 
-async function _verifyInvocation({
-  invocation, rootCapability, expectedAction, inspectCapabilityChain,
-  purposeOptions
-}) {
-  let purpose;
-  if(rootCapability) {
-    // common case
-    purpose = new CapabilityInvocation({
-      expectedTarget: rootCapability.invocationTarget,
-      expectedRootCapability: rootCapability.id,
-      expectedAction,
-      inspectCapabilityChain,
-      suite: new Ed25519Signature2020(),
-      ...purposeOptions
+    it('should inherit values from a delegated parent', async () => {
+      const rootCapability = capabilities.root.beta;
+      const bobZcap = await zcap.delegate({
+        parentCapability: rootCapability,
+        controller: bob.id(),
+        allowedAction: ['read', 'write'],
+        expires: EXPIRES_3000_DATE,
+        suite: _createSuite({delegator: alice}),
+        documentLoader: testLoader
+      });
+      const carolZcap = await zcap.delegate({
+        parentCapability: bobZcap,
+        controller: carol.id(),
+        suite: _createSuite({delegator: bob}),
+        documentLoader: testLoader
+      });
+      carolZcap.allowedAction.should.deep.equal(['read', 'write']);
+      carolZcap.expires.should.equal(EXPIRES_3000_DATE);
+      carolZcap.invocationTarget.should.equal(rootCapability.invocationTarget);
+      carolZcap.proof.capabilityChain.should.deep.equal(
+        [rootCapability.id, bobZcap]);
+
+      const result = await _verifyDelegation({
+        delegation: carolZcap,
+        expectedRootCapability: rootCapability.id
+      });
+      expect(result).to.exist;
+      expect(result.verified).to.be.true;
     });
-  } else {
-    // custom case
-    purpose = new CapabilityInvocation({
-      suite: new Ed25519Signature2020(),
-      ...purposeOptions
+
+    it('should fail when "expires" is missing for a root parent', async () => {
+      let err;
+      try {
+        await zcap.delegate({
+          parentCapability: capabilities.root.beta,
+          controller: bob.id(),
+          suite: _createSuite({delegator: alice}),
+          documentLoader: testLoader
+        });
+      } catch(e) {
+        err = e;
+      }
+      expect(err).to.exist;
+      err.name.should.equal('TypeError');
+      err.message.should.equal(
+        '"expires" is required when the parent capability does not expire.');
+    });
+
+    it('should fail when "invocationTarget" is missing for a root ID',
+      async () => {
+      let err;
+      try {
+        await zcap.delegate({
+          parentCapability: capabilities.root.beta.id,
+          controller: bob.id(),
+          expires: EXPIRES_3000_DATE,
+          suite: _createSuite({delegator: alice}),
+          documentLoader: testLoader
+        });
+      } catch(e) {
+        err = e;
+      }
+      expect(err).to.exist;
+      err.name.should.equal('TypeError');
+      err.message.should.contain('"invocationTarget" must be a string');
+    });
+
+    it('should fail to delegate an attenuated target by default', async () => {
+      let err;
+      try {
+        await zcap.delegate({
+          parentCapability: capabilities.root.beta,
+          controller: bob.id(),
+          invocationTarget: `${capabilities.root.beta.invocationTarget}/sub`,
+          expires: EXPIRES_3000_DATE,
+          suite: _createSuite({delegator: alice}),
+          documentLoader: testLoader
+        });
+      } catch(e) {
+        err = e;
+      }
+      expect(err).to.exist;
+      err.name.should.equal('ZcapAuthorizationError');
+      err.code.should.equal('ERR_ZCAP_TARGET_MISMATCH');
+      err.message.should.equal(
+        'The "invocationTarget" in a delegated capability must be ' +
+        'equivalent to its parent.');
+    });
+
+    it('should fail to delegate a less restrictive target', async () => {
+      let err;
+      try {
+        await zcap.delegate({
+          parentCapability: capabilities.root.beta,
+          controller: bob.id(),
+          invocationTarget: 'https://example.org/alice/targets',
+          allowTargetAttenuation: true,
+          expires: EXPIRES_3000_DATE,
+          suite: _createSuite({delegator: alice}),
+          documentLoader: testLoader
+        });
+      } catch(e) {
+        err = e;
+      }
+      expect(err).to.exist;
+      err.code.should.equal('ERR_ZCAP_TARGET_MISMATCH');
+      err.message.should.contain(
+        'The "invocationTarget" in a delegated capability must not be ' +
+        'less restrictive than its parent.');
+    });
+
+    it('should fail to delegate a less restrictive action', async () => {
+      const bobZcap = await zcap.delegate({
+        parentCapability: capabilities.root.beta,
+        controller: bob.id(),
+        allowedAction: 'read',
+        expires: EXPIRES_3000_DATE,
+        suite: _createSuite({delegator: alice}),
+        documentLoader: testLoader
+      });
+      let err;
+      try {
+        await zcap.delegate({
+          parentCapability: bobZcap,
+          controller: carol.id(),
+          allowedAction: ['read', 'write'],
+          suite: _createSuite({delegator: bob}),
+          documentLoader: testLoader
+        });
+      } catch(e) {
+        err = e;
+      }
+      expect(err).to.exist;
+      err.message.should.equal(
+        'The "allowedAction" in a delegated capability ' +
+        'must not be less restrictive than its parent.');
+    });
+
+    it('should fail to delegate a less restrictive expires', async () => {
+      const bobZcap = await zcap.delegate({
+        parentCapability: capabilities.root.beta,
+        controller: bob.id(),
+        expires: '2999-01-01T00:00:00Z',
+        suite: _createSuite({delegator: alice}),
+        documentLoader: testLoader
+      });
+      let err;
+      try {
+        await zcap.delegate({
+          parentCapability: bobZcap,
+          controller: carol.id(),
+          expires: EXPIRES_3000_DATE,
+          suite: _createSuite({delegator: bob}),
+          documentLoader: testLoader
+        });
+      } catch(e) {
+        err = e;
+      }
+      expect(err).to.exist;
+      err.message.should.equal(
+        'The `expires` property in a delegated capability must not be ' +
+        'less restrictive than its parent.');
     });
-  }
-  return jsigs.verify(invocation, {
-    documentLoader: testLoader,
-    suite: new Ed25519Signature2020(),
-    purpose
   });
-}
 
-async function _delegate({
-  newCapability, parentCapability, controller, key, delegator, date,
-  _capabilityChain, purposeOptions
-}) {
-  if(delegator) {
-    key = delegator.get('capabilityDelegation', 0);
-  }
-  let purpose;
-  if(purposeOptions) {
-    // custom case
-    purpose = new CapabilityDelegation({
-      parentCapability, _capabilityChain, ...purposeOptions
+  describe('invoke()', () => {
+    it('should invoke a root capability', async () => {
+      const rootCapability = capabilities.root.beta;
+      const invocation = await zcap.invoke({
+        document: clone(mock.exampleDoc),
+        capability: rootCapability,
+        capabilityAction: 'read',
+        suite: _createSuite({invoker: alice}),
+        documentLoader: testLoader
+      });
+      invocation.proof.capability.should.equal(rootCapability.id);
+      invocation.proof.capabilityAction.should.equal('read');
+      invocation.proof.invocationTarget.should.equal(
+        rootCapability.invocationTarget);
+
+      const result = await _verifyInvocation({
+        invocation, rootCapability, expectedAction: 'read'
+      });
+      expect(result).to.exist;
+      expect(result.verified).to.be.true;
     });
-  } else {
-    // common case
-    purpose = new CapabilityDelegation({parentCapability, _capabilityChain});
-  }
-  if(!newCapability) {
-    // generate default delegated zcap via `controller` and `parentCapability`
-    newCapability = {
-      '@context': ZCAP_CONTEXT_URL,
-      id: uuid(),
-      controller: typeof controller === 'string' ? controller : controller.id(),
-      parentCapability: parentCapability.id,
-      invocationTarget: parentCapability.invocationTarget,
-      expires: EXPIRES_3000_DATE
-    };
-  }
-  return jsigs.sign(newCapability, {
-    documentLoader: testLoader,
-    suite: new Ed25519Signature2020({
-      key: new Ed25519VerificationKey2020(key),
-      date
-    }),
-    purpose
+
+    it('should invoke a delegated capability', async () => {
+      const rootCapability = capabilities.root.beta;
+      const delegatedCapability = await zcap.delegate({
+        parentCapability: rootCapability,
+        controller: bob.id(),
+        allowedAction: ['read', 'write'],
+        expires: EXPIRES_3000_DATE,
+        suite: _createSuite({delegator: alice}),
+        documentLoader: testLoader
+      });
+      const key = new Ed25519VerificationKey2020(
+        bob.get('capabilityInvocation', 0));
+      const invocation = await zcap.invoke({
+        document: clone(mock.exampleDoc),
+        capability: delegatedCapability,
+        capabilityAction: 'write',
+        signer: key.signer(),
+        suite: Ed25519Signature2020,
+        documentLoader: testLoader
+      });
+      invocation.proof.capability.should.deep.equal(delegatedCapability);
+
+      const result = await _verifyInvocation({
+        invocation, rootCapability, expectedAction: 'write'
+      });
+      expect(result).to.exist;
+      expect(result.verified).to.be.true;
+    });
+
+    it('should invoke w/ an attenuated target', async () => {
+      const rootCapability = capabilities.root.restful;
+      const invocationTarget = `${rootCapability.invocationTarget}/items`;
+      const invocation = await zcap.invoke({
+        document: clone(mock.exampleDoc),
+        capability: rootCapability,
+        capabilityAction: 'read',
+        invocationTarget,
+        allowTargetAttenuation: true,
+        suite: _createSuite({invoker: alice}),
+        documentLoader: testLoader
+      });
+      invocation.proof.invocationTarget.should.equal(invocationTarget);
+
+      const result = await _verifyInvocation({
+        invocation,
+        purposeOptions: {
+          allowTargetAttenuation: true,
+          expectedAction: 'read',
+          expectedRootCapability: rootCapability.id,
+          expectedTarget: invocationTarget
+        }
+      });
+      expect(result).to.exist;
+      expect(result.verified).to.be.true;
+    });
+
+    it('should fail to invoke w/ an action that is not allowed', async () => {
+      const delegatedCapability = await zcap.delegate({
+        parentCapability: capabilities.root.beta,
+        controller: bob.id(),
+        allowedAction: 'read',
+        expires: EXPIRES_3000_DATE,
+        suite: _createSuite({delegator: alice}),
+        documentLoader: testLoader
+      });
+      let err;
+      try {
+        await zcap.invoke({
+          document: clone(mock.exampleDoc),
+          capability: delegatedCapability,
+          capabilityAction: 'write',
+          suite: _createSuite({invoker: bob}),
+          documentLoader: testLoader
+        });
+      } catch(e) {
+        err = e;
+      }
+      expect(err).to.exist;
+      err.message.should.equal(
+        'Capability action "write" is not allowed by the capability; ' +
+        'allowed actions are: "read"');
+    });
+
+    it('should fail to invoke w/ a mismatched target', async () => {
+      const rootCapability = capabilities.root.restful;
+      let err;
+      try {
+        await zcap.invoke({
+          document: clone(mock.exampleDoc),
+          capability: rootCapability,
+          capabilityAction: 'read',
+          invocationTarget: `${rootCapability.invocationTarget}/items`,
+          suite: _createSuite({invoker: alice}),
+          documentLoader: testLoader
+        });
+      } catch(e) {
+        err = e;
+      }
+      expect(err).to.exist;
+      err.message.should.equal(
+        `Invocation target (${rootCapability.invocationTarget}/items) does ` +
+        `not match capability target (${rootCapability.invocationTarget}).`);
+    });
+  });
+
+  describe('verifyInvocation()', () => {
+    it('should authorize an invoked root capability', async () => {
+      const rootCapability = capabilities.root.beta;
+      const decision = await zcap.verifyInvocation({
+        document: mock.exampleDocWithInvocation.beta,
+        expectedAction: 'read',
+        expectedTarget: rootCapability.invocationTarget,
+        expectedRootCapability: rootCapability.id,
+        suite: new Ed25519Signature2020(),
+        documentLoader: testLoader
+      });
+      expect(decision).to.exist;
+      decision.authorized.should.be.true;
+      decision.invoker.should.equal(alice.id());
+      decision.capability.should.deep.equal(rootCapability);
+      decision.rootCapability.should.deep.equal(rootCapability);
+      decision.action.should.equal('read');
+      decision.target.should.equal(rootCapability.invocationTarget);
+      decision.chain.should.deep.equal([rootCapability]);
+      decision.delegators.should.deep.equal([]);
+      should.not.exist(decision.error);
+    });
+
+    it('should authorize invoking a capability chain of depth 3',
+      async () => {
+      const rootCapability = capabilities.root.beta;
+      const bobZcap = await zcap.delegate({
+        parentCapability: rootCapability,
+        controller: bob.id(),
+        expires: EXPIRES_3000_DATE,
+        suite: _createSuite({delegator: alice}),
+        documentLoader: testLoader
+      });
+      const carolZcap = await zcap.delegate({
+        parentCapability: bobZcap,
+        controller: carol.id(),
+        suite: _createSuite({delegator: bob}),
+        documentLoader: testLoader
+      });
+      const invocation = await zcap.invoke({
+        document: clone(mock.exampleDoc),
+        capability: carolZcap,
+        capabilityAction: 'write',
+        suite: _createSuite({invoker: carol}),
+        documentLoader: testLoader
+      });
+      const decision = await zcap.verifyInvocation({
+        document: invocation,
+        expectedAction: 'write',
+        expectedTarget: rootCapability.invocationTarget,
+        expectedRootCapability: rootCapability.id,
+        suite: new Ed25519Signature2020(),
+        documentLoader: testLoader
+      });
+      expect(decision).to.exist;
+      decision.authorized.should.be.true;
+      decision.invoker.should.equal(carol.id());
+      decision.capability.should.deep.equal(carolZcap);
+      decision.rootCapability.should.deep.equal(rootCapability);
+      decision.action.should.equal('write');
+      decision.chain.map(({id}) => id).should.deep.equal(
+        [rootCapability.id, bobZcap.id, carolZcap.id]);
+      decision.delegators.should.deep.equal([alice.id(), bob.id()]);
+    });
+
+    it('should not authorize w/ an unexpected root capability', async () => {
+      const rootCapability = capabilities.root.beta;
+      const decision = await zcap.verifyInvocation({
+        document: mock.exampleDocWithInvocation.beta,
+        expectedAction: 'read',
+        expectedTarget: rootCapability.invocationTarget,
+        expectedRootCapability: 'urn:uuid:fake',
+        suite: new Ed25519Signature2020(),
+        documentLoader: testLoader
+      });
+      expect(decision).to.exist;
+      decision.authorized.should.be.false;
+      should.not.exist(decision.invoker);
+      decision.error.should.be.an('error');
+      decision.error.message.should.contain(
+        'does not match expected root capability');
+      decision.error.details.should.deep.equal({
+        capabilityId: rootCapability.id,
+        index: 0,
+        actual: rootCapability.id,
+        expected: 'urn:uuid:fake'
+      });
+    });
+
+    it('should not authorize w/ an unexpected action', async () => {
+      const rootCapability = capabilities.root.beta;
+      const decision = await zcap.verifyInvocation({
+        document: mock.exampleDocWithInvocation.beta,
+        expectedAction: 'write',
+        expectedTarget: rootCapability.invocationTarget,
+        expectedRootCapability: rootCapability.id,
+        suite: new Ed25519Signature2020(),
+        documentLoader: testLoader
+      });
+      expect(decision).to.exist;
+      decision.authorized.should.be.false;
+      decision.error.name.should.equal('NotFoundError');
+    });
+  });
+
+  describe('verifyDelegation()', () => {
+    it('should verify a capability chain of depth 3', async () => {
+      const rootCapability = capabilities.root.beta;
+      const bobZcap = await zcap.delegate({
+        parentCapability: rootCapability,
+        controller: bob.id(),
+        allowedAction: ['read', 'write'],
+        expires: EXPIRES_3000_DATE,
+        suite: _createSuite({delegator: alice}),
+        documentLoader: testLoader
+      });
+      const carolZcap = await zcap.delegate({
+        parentCapability: bobZcap,
+        controller: carol.id(),
+        allowedAction: 'read',
+        expires: '2999-01-01T00:00:00Z',
+        suite: _createSuite({delegator: bob}),
+        documentLoader: testLoader
+      });
+      const result = await zcap.verifyDelegation({
+        capability: carolZcap,
+        expectedRootCapability: rootCapability.id,
+        suite: new Ed25519Signature2020(),
+        documentLoader: testLoader
+      });
+      expect(result).to.exist;
+      result.verified.should.be.true;
+      result.capability.should.deep.equal(carolZcap);
+      result.rootCapability.should.deep.equal(rootCapability);
+      result.chain.map(({id}) => id).should.deep.equal(
+        [rootCapability.id, bobZcap.id, carolZcap.id]);
+      result.delegators.should.deep.equal([alice.id(), bob.id()]);
+      result.expires.should.equal('2999-01-01T00:00:00Z');
+      result.allowedActions.should.deep.equal(['read']);
+      should.not.exist(result.error);
+    });
+
+    it('should return no allowed actions when unrestricted', async () => {
+      const result = await zcap.verifyDelegation({
+        capability: capabilities.delegated.beta,
+        expectedRootCapability: capabilities.root.beta.id,
+        suite: new Ed25519Signature2020(),
+        documentLoader: testLoader
+      });
+      expect(result).to.exist;
+      result.verified.should.be.true;
+      result.delegators.should.deep.equal([alice.id()]);
+      result.expires.should.equal(EXPIRES_3000_DATE);
+      result.allowedActions.should.deep.equal([]);
+    });
+
+    it('should fail w/ an unexpected root capability', async () => {
+      const result = await zcap.verifyDelegation({
+        capability: capabilities.delegated.beta,
+        expectedRootCapability: 'urn:uuid:fake',
+        suite: new Ed25519Signature2020(),
+        documentLoader: testLoader
+      });
+      expect(result).to.exist;
+      result.verified.should.be.false;
+      should.not.exist(result.delegators);
+      result.error.message.should.contain(
+        'does not match expected root capability');
+    });
+
+    it('should fail w/ an expired capability', async () => {
+      const result = await zcap.verifyDelegation({
+        capability: capabilities.delegated.beta,
+        expectedRootCapability: capabilities.root.beta.id,
+        suite: new Ed25519Signature2020(),
+        documentLoader: testLoader,
+        date: '3001-01-01T00:00:00Z'
+      });
+      expect(result).to.exist;
+      result.verified.should.be.false;
+      result.error.message.should.contain('has expired');
+    });
+  });
+
+  describe('Errors', () => {
+    const {ZcapAuthorizationError, ZcapError, ZcapValidationError} = zcap;
+    const rootCapability = capabilities.root.beta;
+
+    async function _delegateChain({bobExpires, carolExpires} = {}) {
+      const bobZcap = await zcap.delegate({
+        parentCapability: rootCapability,
+        controller: bob.id(),
+        allowedAction: 'read',
+        expires: bobExpires || EXPIRES_3000_DATE,
+        suite: _createSuite({delegator: alice}),
+        documentLoader: testLoader
+      });
+      const carolZcap = await zcap.delegate({
+        parentCapability: bobZcap,
+        controller: carol.id(),
+        expires: carolExpires,
+        suite: _createSuite({delegator: bob}),
+        documentLoader: testLoader
+      });
+      return {bobZcap, carolZcap};
+    }
+
+    it('should have "ERR_ZCAP_EXPIRED" code w/ an expired parent',
+      async () => {
+      const {bobZcap, carolZcap} = await _delegateChain({
+        bobExpires: '2999-01-01T00:00:00Z',
+        carolExpires: '2998-01-01T00:00:00Z'
+      });
+      const result = await zcap.verifyDelegation({
+        capability: carolZcap,
+        expectedRootCapability: rootCapability.id,
+        suite: new Ed25519Signature2020(),
+        documentLoader: testLoader,
+        date: '2999-06-01T00:00:00Z'
+      });
+      result.verified.should.be.false;
+      const {error} = result;
+      error.should.be.instanceof(ZcapAuthorizationError);
+      error.should.be.instanceof(ZcapError);
+      error.name.should.equal('ZcapAuthorizationError');
+      error.code.should.equal('ERR_ZCAP_EXPIRED');
+      error.details.capabilityId.should.equal(bobZcap.id);
+      error.details.index.should.equal(1);
+      error.details.expires.should.equal('2999-01-01T00:00:00Z');
+    });
+
+    it('should have "ERR_ZCAP_TARGET_MISMATCH" code w/ a widened target',
+      async () => {
+      const carolZcap = await _delegate({
+        newCapability: {
+          '@context': ZCAP_CONTEXT_URL,
+          id: uuid(),
+          controller: carol.id(),
+          parentCapability: capabilities.delegated.beta.id,
+          invocationTarget: 'https://example.org/alice/targets',
+          expires: EXPIRES_3000_DATE
+        },
+        parentCapability: capabilities.delegated.beta,
+        delegator: bob
+      });
+      const result = await zcap.verifyDelegation({
+        capability: carolZcap,
+        expectedRootCapability: rootCapability.id,
+        suite: new Ed25519Signature2020(),
+        documentLoader: testLoader
+      });
+      result.verified.should.be.false;
+      const {error} = result;
+      error.should.be.instanceof(ZcapAuthorizationError);
+      error.code.should.equal('ERR_ZCAP_TARGET_MISMATCH');
+      error.details.should.deep.equal({
+        capabilityId: carolZcap.id,
+        index: 2,
+        invocationTarget: 'https://example.org/alice/targets',
+        parentInvocationTarget: rootCapability.invocationTarget
+      });
+    });
+
+    it('should have "ERR_ZCAP_ACTION_NOT_ALLOWED" code w/ a disallowed ' +
+      'action', async () => {
+      const {carolZcap} = await _delegateChain();
+      const invocation = await _invoke({
+        doc: clone(mock.exampleDoc), invoker: carol, capability: carolZcap,
+        capabilityAction: 'write'
+      });
+      const decision = await zcap.verifyInvocation({
+        document: invocation,
+        expectedAction: 'write',
+        expectedTarget: rootCapability.invocationTarget,
+        expectedRootCapability: rootCapability.id,
+        suite: new Ed25519Signature2020(),
+        documentLoader: testLoader
+      });
+      decision.authorized.should.be.false;
+      const {error} = decision;
+      error.should.be.instanceof(ZcapAuthorizationError);
+      error.code.should.equal('ERR_ZCAP_ACTION_NOT_ALLOWED');
+      error.details.should.deep.equal({
+        capabilityId: carolZcap.id,
+        index: 2,
+        capabilityAction: 'write',
+        allowedActions: ['read']
+      });
+    });
+
+    it('should have "ERR_ZCAP_ROOT_MISMATCH" code w/ an unexpected root',
+      async () => {
+      const {carolZcap} = await _delegateChain();
+      const result = await zcap.verifyDelegation({
+        capability: carolZcap,
+        expectedRootCapability: 'urn:uuid:fake',
+        suite: new Ed25519Signature2020(),
+        documentLoader: testLoader
+      });
+      result.verified.should.be.false;
+      const {error} = result;
+      error.should.be.instanceof(ZcapAuthorizationError);
+      error.code.should.equal('ERR_ZCAP_ROOT_MISMATCH');
+      error.details.capabilityId.should.equal(rootCapability.id);
+      error.details.index.should.equal(0);
+    });
+
+    it('should have "ERR_ZCAP_CHAIN_TOO_LONG" code w/ a long chain',
+      async () => {
+      const {carolZcap} = await _delegateChain();
+      const result = await zcap.verifyDelegation({
+        capability: carolZcap,
+        expectedRootCapability: rootCapability.id,
+        suite: new Ed25519Signature2020(),
+        documentLoader: testLoader,
+        maxChainLength: 2
+      });
+      result.verified.should.be.false;
+      const {error} = result;
+      error.should.be.instanceof(ZcapValidationError);
+      error.code.should.equal('ERR_ZCAP_CHAIN_TOO_LONG');
+      error.details.should.deep.equal({
+        capabilityId: carolZcap.id,
+        index: 2,
+        maxChainLength: 2
+      });
+    });
+
+    it('should have "ERR_ZCAP_INVALID" code w/ an invalid zcap', async () => {
+      let err;
+      try {
+        await zcap.invoke({
+          document: clone(mock.exampleDoc),
+          capability: {...capabilities.delegated.beta, expires: 'invalid'},
+          capabilityAction: 'read',
+          suite: _createSuite({invoker: bob}),
+          documentLoader: testLoader
+        });
+      } catch(e) {
+        err = e;
+      }
+      expect(err).to.exist;
+      err.should.be.instanceof(ZcapValidationError);
+      err.code.should.equal('ERR_ZCAP_INVALID');
+      err.details.should.deep.equal({
+        capabilityId: capabilities.delegated.beta.id,
+        index: 1
+      });
+    });
+  });
+
+  describe('Trace', () => {
+    it('should not include a trace by default', async () => {
+      const {rootCapability, invocation} = await _createChain();
+      const result = await _verifyInvocation({
+        invocation,
+        rootCapability,
+        expectedAction: 'read'
+      });
+      expect(result).to.exist;
+      result.verified.should.be.true;
+      should.not.exist(result.results[0].purposeResult.trace);
+    });
+
+    it('should trace every check on a valid chain', async () => {
+      const {rootCapability, bobZcap, carolZcap, invocation} =
+        await _createChain();
+      const result = await _verifyInvocation({
+        invocation,
+        rootCapability,
+        expectedAction: 'read',
+        purposeOptions: {trace: true}
+      });
+      expect(result).to.exist;
+      result.verified.should.be.true;
+      const {trace} = result.results[0].purposeResult;
+      trace.map(({capabilityId, index, check, passed}) =>
+        [capabilityId, index, check, passed]).should.deep.equal([
+        [bobZcap.id, 1, 'proof', true],
+        [bobZcap.id, 1, 'allowedAction', true],
+        [bobZcap.id, 1, 'invocationTarget', true],
+        [carolZcap.id, 2, 'proof', true],
+        [carolZcap.id, 2, 'allowedAction', true],
+        [carolZcap.id, 2, 'invocationTarget', true],
+        [carolZcap.id, 2, 'expires', true],
+        [bobZcap.id, 1, 'expiration', true],
+        [carolZcap.id, 2, 'delegationOrder', true]
+      ]);
+      trace[4].values.should.deep.equal({
+        allowedAction: 'read',
+        parentAllowedAction: ['read', 'write']
+      });
+    });
+
+    it('should trace TTL checks', async () => {
+      const {rootCapability, bobZcap, invocation} = await _createChain({
+        bobOptions: {expires: new Date(Date.now() + 60 * 60 * 1000)}
+      });
+      const result = await _verifyInvocation({
+        invocation,
+        rootCapability,
+        expectedAction: 'read',
+        purposeOptions: {trace: true, maxDelegationTtl: 1000}
+      });
+      expect(result).to.exist;
+      result.verified.should.be.false;
+      const {trace} = result.results[0].purposeResult;
+      const last = trace[trace.length - 1];
+      last.capabilityId.should.equal(bobZcap.id);
+      last.check.should.equal('ttl');
+      last.passed.should.be.false;
+      last.values.maxDelegationTtl.should.equal(1000);
+    });
+
+    it('should identify the expired capability in a chain', async () => {
+      const {rootCapability, bobZcap, invocation} = await _createChain({
+        bobOptions: {expires: '2999-01-01T00:00:00Z'}
+      });
+      const decision = await zcap.verifyInvocation({
+        document: invocation,
+        expectedAction: 'read',
+        expectedTarget: rootCapability.invocationTarget,
+        expectedRootCapability: rootCapability.id,
+        suite: new Ed25519Signature2020(),
+        documentLoader: testLoader,
+        date: '2999-06-01T00:00:00Z',
+        trace: true
+      });
+      expect(decision).to.exist;
+      decision.authorized.should.be.false;
+      decision.error.code.should.equal('ERR_ZCAP_EXPIRED');
+      const last = decision.trace[decision.trace.length - 1];
+      last.should.deep.equal({
+        capabilityId: bobZcap.id,
+        index: 1,
+        check: 'expiration',
+        passed: false,
+        values: {
+          expires: '2999-01-01T00:00:00Z',
+          date: '2999-06-01T00:00:00.000Z',
+          maxClockSkew: 300
+        }
+      });
+    });
+
+    it('should include a trace when verifying a delegation', async () => {
+      const {rootCapability, bobZcap, carolZcap} = await _createChain();
+      const result = await zcap.verifyDelegation({
+        capability: carolZcap,
+        expectedRootCapability: rootCapability.id,
+        suite: new Ed25519Signature2020(),
+        documentLoader: testLoader,
+        trace: true
+      });
+      expect(result).to.exist;
+      result.verified.should.be.true;
+      result.trace.map(({capabilityId, check}) => [capabilityId, check])
+        .should.deep.equal([
+          [bobZcap.id, 'proof'],
+          [bobZcap.id, 'allowedAction'],
+          [bobZcap.id, 'invocationTarget'],
+          // the tail's own proof is verified by `jsigs.verify` directly
+          [carolZcap.id, 'allowedAction'],
+          [carolZcap.id, 'invocationTarget'],
+          [carolZcap.id, 'expires'],
+          [bobZcap.id, 'expiration'],
+          [carolZcap.id, 'delegationOrder']
+        ]);
+    });
+  });
+
+  describe('Revocation', () => {
+    const {
+      createRevocationInspector, revokeCapability,
+      FileRevocationStore, MemoryRevocationStore
+    } = zcap;
+
+    it('should verify an unrevoked capability', async () => {
+      const {rootCapability, carolZcap} = await _createChain();
+      const store = new MemoryRevocationStore();
+      const result = await zcap.verifyDelegation({
+        capability: carolZcap,
+        expectedRootCapability: rootCapability.id,
+        suite: new Ed25519Signature2020(),
+        documentLoader: testLoader,
+        inspectCapabilityChain: createRevocationInspector({store})
+      });
+      expect(result).to.exist;
+      result.verified.should.be.true;
+    });
+
+    it('should fail to verify a chain w/ a revoked capability', async () => {
+      const {rootCapability, bobZcap, carolZcap, capabilityChain} =
+        await _createChain();
+      const store = new MemoryRevocationStore();
+      const record = await revokeCapability({
+        store,
+        capabilityChain: capabilityChain.slice(0, 2),
+        revoker: alice.id(),
+        date: CONSTANT_DATE
+      });
+      record.should.deep.equal({
+        ..._getCapabilityKey(bobZcap),
+        revoker: alice.id(),
+        revoked: '2018-02-13T21:26:08.000Z'
+      });
+      const result = await zcap.verifyDelegation({
+        capability: carolZcap,
+        expectedRootCapability: rootCapability.id,
+        suite: new Ed25519Signature2020(),
+        documentLoader: testLoader,
+        inspectCapabilityChain: createRevocationInspector({store})
+      });
+      expect(result).to.exist;
+      result.verified.should.be.false;
+      result.error.name.should.equal('ZcapAuthorizationError');
+      result.error.code.should.equal('ERR_ZCAP_REVOKED');
+      result.error.details.should.deep.equal(
+        {capabilityId: bobZcap.id, index: 1});
+    });
+
+    it('should allow any delegator in the chain to revoke', async () => {
+      const {carolZcap, capabilityChain} = await _createChain();
+      const store = new MemoryRevocationStore();
+      const record = await revokeCapability({
+        store, capabilityChain, revoker: alice.id()
+      });
+      record.capabilityId.should.equal(carolZcap.id);
+      record.revoker.should.equal(alice.id());
+      (await store.isRevoked(_getCapabilityKey(carolZcap))).should.be.true;
+    });
+
+    it('should not allow a non-delegator to revoke', async () => {
+      const {carolZcap, capabilityChain} = await _createChain();
+      const store = new MemoryRevocationStore();
+      let err;
+      try {
+        await revokeCapability({store, capabilityChain, revoker: carol.id()});
+      } catch(e) {
+        err = e;
+      }
+      expect(err).to.exist;
+      err.name.should.equal('ZcapAuthorizationError');
+      err.code.should.equal('ERR_ZCAP_REVOCATION_NOT_ALLOWED');
+      err.details.should.deep.equal(
+        {capabilityId: carolZcap.id, index: 2, revoker: carol.id()});
+      (await store.isRevoked(_getCapabilityKey(carolZcap))).should.be.false;
+    });
+
+    it('should keep the first revocation record', async () => {
+      const store = new MemoryRevocationStore();
+      const key = {
+        capabilityId: `urn:uuid:${uuid()}`,
+        parentCapability: `urn:uuid:${uuid()}`,
+        verificationMethod: alice.get('capabilityDelegation', 0).id
+      };
+      await store.revoke({
+        ...key, revoker: alice.id(), revoked: CONSTANT_DATE
+      });
+      const record = await store.revoke({
+        ...key, revoker: bob.id(), revoked: EXPIRES_3000_DATE
+      });
+      record.should.deep.equal({
+        ...key, revoker: alice.id(), revoked: CONSTANT_DATE
+      });
+      // a capability w/ the same ID in another chain is not revoked
+      (await store.isRevoked({...key, parentCapability: `urn:uuid:${uuid()}`}))
+        .should.be.false;
+      (await store.isRevoked({capabilityId: key.capabilityId}))
+        .should.be.false;
+    });
+
+    it('should not revoke a capability w/ the same ID in another chain',
+      async () => {
+        // carol holds her own capability from the same root and delegates a
+        // capability to herself that reuses the ID of bob's capability
+        const {rootCapability, bobZcap} = await _createChain();
+        const carolZcap = await zcap.delegate({
+          parentCapability: rootCapability,
+          controller: carol.id(),
+          expires: EXPIRES_3000_DATE,
+          suite: _createSuite({delegator: alice}),
+          documentLoader: testLoader
+        });
+        const forgedZcap = await _delegate({
+          newCapability: {
+            '@context': ZCAP_CONTEXT_URL,
+            id: bobZcap.id,
+            controller: carol.id(),
+            parentCapability: carolZcap.id,
+            invocationTarget: carolZcap.invocationTarget,
+            expires: carolZcap.expires
+          },
+          parentCapability: carolZcap,
+          delegator: carol
+        });
+        const store = new MemoryRevocationStore();
+        await revokeCapability({
+          store,
+          capabilityChain: [rootCapability, carolZcap, forgedZcap],
+          revoker: carol.id()
+        });
+        const result = await zcap.verifyDelegation({
+          capability: bobZcap,
+          expectedRootCapability: rootCapability.id,
+          suite: new Ed25519Signature2020(),
+          documentLoader: testLoader,
+          inspectCapabilityChain: createRevocationInspector({store})
+        });
+        should.not.exist(result.error);
+        result.verified.should.be.true;
+        // the capability that carol revoked is revoked
+        const forgedResult = await zcap.verifyDelegation({
+          capability: forgedZcap,
+          expectedRootCapability: rootCapability.id,
+          suite: new Ed25519Signature2020(),
+          documentLoader: testLoader,
+          inspectCapabilityChain: createRevocationInspector({store})
+        });
+        forgedResult.verified.should.be.false;
+        forgedResult.error.code.should.equal('ERR_ZCAP_REVOKED');
+      });
+
+    it('should fail to create an inspector w/o a store', async () => {
+      expect(() => createRevocationInspector()).to.throw(
+        TypeError, /"store" must be a revocation store/);
+    });
+
+    if(options.nodejs) {
+      describe('FileRevocationStore', () => {
+        const {fs, os} = options;
+        let dir;
+        before(async () => {
+          dir = await fs.mkdtemp(`${os.tmpdir()}/zcap-test-`);
+        });
+        after(async () => {
+          await fs.rm(dir, {recursive: true, force: true});
+        });
+
+        it('should persist revocation records', async () => {
+          const path = `${dir}/${uuid()}.json`;
+          const store = new FileRevocationStore({path});
+          const keys = [0, 1, 2].map(() => ({
+            capabilityId: `urn:uuid:${uuid()}`,
+            parentCapability: `urn:uuid:${uuid()}`,
+            verificationMethod: alice.get('capabilityDelegation', 0).id
+          }));
+          (await store.isRevoked(keys[0])).should.be.false;
+          // concurrent revocations must not overwrite each other
+          await Promise.all(keys.map(key => store.revoke({
+            ...key, revoker: alice.id(), revoked: CONSTANT_DATE
+          })));
+          const other = new FileRevocationStore({path});
+          for(const key of keys) {
+            (await other.isRevoked(key)).should.be.true;
+          }
+          (await other.get(keys[1])).should.deep.equal({
+            ...keys[1], revoker: alice.id(), revoked: CONSTANT_DATE
+          });
+          // no temporary files are left behind
+          (await fs.readdir(dir)).should.include(path.slice(dir.length + 1));
+          (await fs.readdir(dir)).filter(f => f.endsWith('.tmp'))
+            .should.deep.equal([]);
+        });
+
+        it('should not lose records revoked by several stores', async () => {
+          const path = `${dir}/${uuid()}.json`;
+          const stores = [0, 1, 2, 3].map(
+            () => new FileRevocationStore({path}));
+          const keys = stores.map(() => ({
+            capabilityId: `urn:uuid:${uuid()}`,
+            parentCapability: `urn:uuid:${uuid()}`,
+            verificationMethod: alice.get('capabilityDelegation', 0).id
+          }));
+          await Promise.all(stores.map((store, i) => store.revoke({
+            ...keys[i], revoker: alice.id(), revoked: CONSTANT_DATE
+          })));
+          for(const key of keys) {
+            (await stores[0].isRevoked(key)).should.be.true;
+          }
+          // the lock is released
+          (await fs.readdir(dir)).filter(f => f.endsWith('.lock'))
+            .should.deep.equal([]);
+        });
+
+        it('should take over a stale lock', async () => {
+          const path = `${dir}/${uuid()}.json`;
+          // a lock left behind by a crashed process
+          await fs.writeFile(`${path}.lock`, '');
+          const past = new Date(Date.now() - 60000);
+          await fs.utimes(`${path}.lock`, past, past);
+          const store = new FileRevocationStore({path});
+          const key = {capabilityId: `urn:uuid:${uuid()}`};
+          await store.revoke({
+            ...key, revoker: alice.id(), revoked: CONSTANT_DATE
+          });
+          (await store.isRevoked(key)).should.be.true;
+        });
+
+        it('should not treat inherited properties as records', async () => {
+          const path = `${dir}/${uuid()}.json`;
+          const store = new FileRevocationStore({path});
+          for(const capabilityId of ['constructor', '__proto__', 'toString']) {
+            (await store.isRevoked({capabilityId})).should.be.false;
+          }
+          await store.revoke({
+            capabilityId: '__proto__', revoker: alice.id(),
+            revoked: CONSTANT_DATE
+          });
+          (await store.isRevoked({capabilityId: '__proto__'})).should.be.true;
+          (await store.isRevoked({capabilityId: 'constructor'}))
+            .should.be.false;
+          const other = new FileRevocationStore({path});
+          (await other.get({capabilityId: '__proto__'})).should.deep.equal({
+            capabilityId: '__proto__',
+            parentCapability: null,
+            verificationMethod: null,
+            revoker: alice.id(),
+            revoked: CONSTANT_DATE
+          });
+          (await other.isRevoked({capabilityId: 'constructor'}))
+            .should.be.false;
+        });
+
+        it('should be usable w/ a revocation inspector', async () => {
+          const {rootCapability, carolZcap, capabilityChain} =
+            await _createChain();
+          const store = new FileRevocationStore({path: `${dir}/${uuid()}`});
+          await revokeCapability({store, capabilityChain, revoker: bob.id()});
+          const result = await zcap.verifyDelegation({
+            capability: carolZcap,
+            expectedRootCapability: rootCapability.id,
+            suite: new Ed25519Signature2020(),
+            documentLoader: testLoader,
+            inspectCapabilityChain: createRevocationInspector({store})
+          });
+          result.verified.should.be.false;
+          result.error.code.should.equal('ERR_ZCAP_REVOKED');
+          result.error.details.index.should.equal(2);
+        });
+      });
+    }
+  });
+
+  describe('verifyRevocationInvocation()', () => {
+    const {MemoryRevocationStore, verifyRevocationInvocation} = zcap;
+
+    async function _createRevocationRequest({invoker}) {
+      const rootCapability = capabilities.root.beta;
+      const bobZcap = await zcap.delegate({
+        parentCapability: rootCapability,
+        controller: bob.id(),
+        expires: EXPIRES_3000_DATE,
+        suite: _createSuite({delegator: alice}),
+        documentLoader: testLoader
+      });
+      const carolZcap = await zcap.delegate({
+        parentCapability: bobZcap,
+        controller: carol.id(),
+        suite: _createSuite({delegator: bob}),
+        documentLoader: testLoader
+      });
+      // a root zcap for a revocation endpoint that anyone in the chain may
+      // invoke
+      const revocationRootCapability = createRootCapability({
+        controller: [alice.id(), bob.id(), carol.id()],
+        invocationTarget: `https://example.com/revocations/${uuid()}`
+      });
+      addToLoader({doc: revocationRootCapability});
+      const invocation = await zcap.invoke({
+        document: clone(carolZcap),
+        capability: revocationRootCapability,
+        capabilityAction: 'write',
+        suite: _createSuite({invoker}),
+        documentLoader: testLoader
+      });
+      return {rootCapability, revocationRootCapability, carolZcap, invocation};
+    }
+
+    it('should authorize a revocation by a delegator', async () => {
+      const {
+        rootCapability, revocationRootCapability, carolZcap, invocation
+      } = await _createRevocationRequest({invoker: bob});
+      const store = new MemoryRevocationStore();
+      const decision = await verifyRevocationInvocation({
+        invocation,
+        expectedTarget: revocationRootCapability.invocationTarget,
+        expectedRootCapability: revocationRootCapability.id,
+        expectedRevokedRootCapability: rootCapability.id,
+        suite: new Ed25519Signature2020(),
+        documentLoader: testLoader,
+        store,
+        date: CONSTANT_DATE
+      });
+      expect(decision).to.exist;
+      should.not.exist(decision.error);
+      decision.authorized.should.be.true;
+      decision.capability.should.deep.equal(carolZcap);
+      decision.record.should.deep.equal({
+        ..._getCapabilityKey(carolZcap),
+        revoker: bob.id(),
+        revoked: '2018-02-13T21:26:08.000Z'
+      });
+      (await store.isRevoked(_getCapabilityKey(carolZcap))).should.be.true;
+    });
+
+    it('should authorize a revocation by the root controller', async () => {
+      const {
+        rootCapability, revocationRootCapability, carolZcap, invocation
+      } = await _createRevocationRequest({invoker: alice});
+      const decision = await verifyRevocationInvocation({
+        invocation,
+        expectedTarget: revocationRootCapability.invocationTarget,
+        expectedRootCapability: revocationRootCapability.id,
+        expectedRevokedRootCapability: rootCapability.id,
+        suite: new Ed25519Signature2020(),
+        documentLoader: testLoader
+      });
+      expect(decision).to.exist;
+      decision.authorized.should.be.true;
+      decision.record.capabilityId.should.equal(carolZcap.id);
+      decision.record.revoker.should.equal(alice.id());
+    });
+
+    it('should not authorize a revocation by a non-delegator', async () => {
+      const {
+        rootCapability, revocationRootCapability, carolZcap, invocation
+      } = await _createRevocationRequest({invoker: carol});
+      const store = new MemoryRevocationStore();
+      const decision = await verifyRevocationInvocation({
+        invocation,
+        expectedTarget: revocationRootCapability.invocationTarget,
+        expectedRootCapability: revocationRootCapability.id,
+        expectedRevokedRootCapability: rootCapability.id,
+        suite: new Ed25519Signature2020(),
+        documentLoader: testLoader,
+        store
+      });
+      expect(decision).to.exist;
+      decision.authorized.should.be.false;
+      decision.error.code.should.equal('ERR_ZCAP_REVOCATION_NOT_ALLOWED');
+      decision.error.details.revoker.should.equal(carol.id());
+      (await store.isRevoked({capabilityId: carolZcap.id})).should.be.false;
+    });
+
+    it('should not authorize w/ an unexpected revoked root', async () => {
+      const {revocationRootCapability, invocation} =
+        await _createRevocationRequest({invoker: bob});
+      const decision = await verifyRevocationInvocation({
+        invocation,
+        expectedTarget: revocationRootCapability.invocationTarget,
+        expectedRootCapability: revocationRootCapability.id,
+        expectedRevokedRootCapability: 'urn:uuid:fake',
+        suite: new Ed25519Signature2020(),
+        documentLoader: testLoader
+      });
+      expect(decision).to.exist;
+      decision.authorized.should.be.false;
+      decision.error.code.should.equal('ERR_ZCAP_ROOT_MISMATCH');
+    });
+
+    it('should not authorize w/ an unexpected target', async () => {
+      const {rootCapability, revocationRootCapability, invocation} =
+        await _createRevocationRequest({invoker: bob});
+      const decision = await verifyRevocationInvocation({
+        invocation,
+        expectedTarget: 'https://example.com/other',
+        expectedRootCapability: revocationRootCapability.id,
+        expectedRevokedRootCapability: rootCapability.id,
+        suite: new Ed25519Signature2020(),
+        documentLoader: testLoader
+      });
+      expect(decision).to.exist;
+      decision.authorized.should.be.false;
+      should.not.exist(decision.record);
+    });
+  });
+
+  describe('Caveats', () => {
+    const {CaveatRegistry} = zcap;
+
+    // an example caveat that limits the size of invoked documents
+    const maxSizeCaveatHandler = {
+      type: 'ExampleMaxSizeCaveat',
+      context: {
+        '@protected': true,
+        ExampleMaxSizeCaveat: 'urn:example:ExampleMaxSizeCaveat',
+        maxSize: 'urn:example:maxSize'
+      },
+      isValidAttenuation({caveat, parentCaveat}) {
+        return caveat.maxSize <= parentCaveat.maxSize;
+      },
+      async evaluate({caveat, invocationContext}) {
+        if(invocationContext.size <= caveat.maxSize) {
+          return {valid: true};
+        }
+        return {
+          valid: false,
+          error: new Error('The invoked document is too large.')
+        };
+      }
+    };
+    const caveatRegistry = new CaveatRegistry(
+      {handlers: [maxSizeCaveatHandler]});
+
+    async function _createCaveatChain({caveat = [], childCaveat} = {}) {
+      return _createChain({
+        bobOptions: {caveat, caveatRegistry},
+        carolOptions: {caveat: childCaveat, caveatRegistry}
+      });
+    }
+
+    async function _verify({carolZcap, rootCapability, ...options}) {
+      const invocation = await zcap.invoke({
+        document: clone(mock.exampleDoc),
+        capability: carolZcap,
+        capabilityAction: 'read',
+        suite: _createSuite({invoker: carol}),
+        documentLoader: testLoader
+      });
+      return zcap.verifyInvocation({
+        document: invocation,
+        expectedAction: 'read',
+        expectedTarget: rootCapability.invocationTarget,
+        expectedRootCapability: rootCapability.id,
+        suite: new Ed25519Signature2020(),
+        documentLoader: testLoader,
+        ...options
+      });
+    }
+
+    it('should add caveat contexts and inherit caveats', async () => {
+      const {carolZcap} = await _createCaveatChain({
+        caveat: [{type: 'ExampleMaxSizeCaveat', maxSize: 10}]
+      });
+      carolZcap.caveat.should.deep.equal([{
+        '@context': maxSizeCaveatHandler.context,
+        type: 'ExampleMaxSizeCaveat',
+        maxSize: 10
+      }]);
+    });
+
+    it('should authorize an invocation that satisfies caveats', async () => {
+      const {rootCapability, carolZcap} = await _createCaveatChain({
+        caveat: [{type: 'ExampleMaxSizeCaveat', maxSize: 10}],
+        childCaveat: [{type: 'ExampleMaxSizeCaveat', maxSize: 5}]
+      });
+      const decision = await _verify({
+        rootCapability, carolZcap, caveatRegistry,
+        invocationContext: {size: 5}
+      });
+      should.not.exist(decision.error);
+      decision.authorized.should.be.true;
+    });
+
+    it('should not authorize an invocation that fails a caveat', async () => {
+      const {rootCapability, carolZcap} = await _createCaveatChain({
+        caveat: [{type: 'ExampleMaxSizeCaveat', maxSize: 10}],
+        childCaveat: [{type: 'ExampleMaxSizeCaveat', maxSize: 5}]
+      });
+      const decision = await _verify({
+        rootCapability, carolZcap, caveatRegistry,
+        invocationContext: {size: 8}
+      });
+      decision.authorized.should.be.false;
+      decision.error.name.should.equal('ZcapAuthorizationError');
+      decision.error.code.should.equal('ERR_ZCAP_CAVEAT_NOT_SATISFIED');
+      decision.error.message.should.equal(
+        'The invoked document is too large.');
+      decision.error.details.capabilityId.should.equal(carolZcap.id);
+      decision.error.details.index.should.equal(2);
+    });
+
+    it('should not authorize w/o a handler for a caveat', async () => {
+      const {rootCapability, bobZcap, carolZcap} = await _createCaveatChain({
+        caveat: [{type: 'ExampleMaxSizeCaveat', maxSize: 10}]
+      });
+      const decision = await _verify({
+        rootCapability, carolZcap, invocationContext: {size: 1}
+      });
+      decision.authorized.should.be.false;
+      decision.error.name.should.equal('ZcapValidationError');
+      decision.error.code.should.equal('ERR_ZCAP_CAVEAT_UNSUPPORTED');
+      decision.error.details.capabilityId.should.equal(bobZcap.id);
+    });
+
+    it('should fail to delegate w/ a weaker caveat', async () => {
+      let err;
+      try {
+        await _createCaveatChain({
+          caveat: [{type: 'ExampleMaxSizeCaveat', maxSize: 10}],
+          childCaveat: [{type: 'ExampleMaxSizeCaveat', maxSize: 20}]
+        });
+      } catch(e) {
+        err = e;
+      }
+      expect(err).to.exist;
+      err.code.should.equal('ERR_ZCAP_CAVEAT_WEAKENED');
+      err.details.index.should.equal(2);
+    });
+
+    it('should fail to verify a chain w/ a dropped caveat', async () => {
+      const {rootCapability, bobZcap} = await _createCaveatChain({
+        caveat: [{type: 'ExampleMaxSizeCaveat', maxSize: 10}]
+      });
+      // sign without local checks to drop the parent's caveat
+      const carolZcap = await jsigs.sign({
+        '@context': [ZCAP_CONTEXT_URL],
+        id: `urn:uuid:${uuid()}`,
+        controller: carol.id(),
+        parentCapability: bobZcap.id,
+        allowedAction: bobZcap.allowedAction,
+        invocationTarget: bobZcap.invocationTarget,
+        expires: bobZcap.expires
+      }, {
+        documentLoader: testLoader,
+        suite: _createSuite({delegator: bob}),
+        purpose: new CapabilityDelegation({
+          parentCapability: bobZcap,
+          _skipLocalValidationForTesting: true
+        })
+      });
+      const result = await zcap.verifyDelegation({
+        capability: carolZcap,
+        expectedRootCapability: rootCapability.id,
+        suite: new Ed25519Signature2020(),
+        documentLoader: testLoader,
+        caveatRegistry
+      });
+      result.verified.should.be.false;
+      result.error.code.should.equal('ERR_ZCAP_CAVEAT_WEAKENED');
+      result.error.details.capabilityId.should.equal(carolZcap.id);
+    });
+
+    it('should not register a caveat handler twice', async () => {
+      expect(() => caveatRegistry.register(maxSizeCaveatHandler)).to.throw(
+        Error, /already registered/);
+    });
+
+    it('should fail to verify w/ a root capability w/ a caveat', async () => {
+      const capability = {
+        ...capabilities.root.beta,
+        caveat: [{type: 'ExampleMaxSizeCaveat', maxSize: 10}]
+      };
+      const result = await zcap.verifyDelegation({
+        capability: {
+          ...capabilities.delegated.beta,
+          parentCapability: capability.id
+        },
+        expectedRootCapability: capability.id,
+        suite: new Ed25519Signature2020(),
+        documentLoader: async url => url === capability.id ?
+          {contextUrl: null, documentUrl: url, document: capability} :
+          testLoader(url)
+      });
+      result.verified.should.be.false;
+      result.error.code.should.equal('ERR_ZCAP_INVALID');
+    });
+  });
+
+  describe('Usage limit caveats', () => {
+    const {
+      CaveatRegistry, createUsageLimitCaveatHandler, MemoryCounterStore
+    } = zcap;
+
+    function _createRegistry() {
+      const store = new MemoryCounterStore();
+      const caveatRegistry = new CaveatRegistry({
+        handlers: [createUsageLimitCaveatHandler({store})]
+      });
+      return {store, caveatRegistry};
+    }
+
+    async function _invokeAndVerify({
+      capability, caveatRegistry, capabilityAction = 'read', invoker = carol
+    }) {
+      const rootCapability = capabilities.root.beta;
+      const invocation = await zcap.invoke({
+        document: clone(mock.exampleDoc),
+        capability,
+        capabilityAction,
+        suite: _createSuite({invoker}),
+        documentLoader: testLoader
+      });
+      return zcap.verifyInvocation({
+        document: invocation,
+        expectedAction: 'read',
+        expectedTarget: rootCapability.invocationTarget,
+        expectedRootCapability: rootCapability.id,
+        suite: new Ed25519Signature2020(),
+        documentLoader: testLoader,
+        caveatRegistry
+      });
+    }
+
+    it('should only authorize a one-time capability once', async () => {
+      const {store, caveatRegistry} = _createRegistry();
+      const carolZcap = await zcap.delegate({
+        parentCapability: capabilities.root.beta,
+        controller: carol.id(),
+        expires: EXPIRES_3000_DATE,
+        caveat: [{type: 'UsageLimitCaveat', limit: 1}],
+        caveatRegistry,
+        suite: _createSuite({delegator: alice}),
+        documentLoader: testLoader
+      });
+      const first = await _invokeAndVerify(
+        {capability: carolZcap, caveatRegistry});
+      should.not.exist(first.error);
+      first.authorized.should.be.true;
+      const second = await _invokeAndVerify(
+        {capability: carolZcap, caveatRegistry});
+      second.authorized.should.be.false;
+      second.error.code.should.equal('ERR_ZCAP_CAVEAT_NOT_SATISFIED');
+      second.error.message.should.contain('usage limit of 1');
+      (await store.get(_getCapabilityKey(carolZcap))).should.equal(1);
+    });
+
+    it('should count invocations of every capability in a chain', async () => {
+      const {store, caveatRegistry} = _createRegistry();
+      const bobZcap = await zcap.delegate({
+        parentCapability: capabilities.root.beta,
+        controller: bob.id(),
+        expires: EXPIRES_3000_DATE,
+        caveat: [{type: 'UsageLimitCaveat', limit: 3}],
+        caveatRegistry,
+        suite: _createSuite({delegator: alice}),
+        documentLoader: testLoader
+      });
+      const carolZcap = await zcap.delegate({
+        parentCapability: bobZcap,
+        controller: carol.id(),
+        caveat: [{type: 'UsageLimitCaveat', limit: 2}],
+        caveatRegistry,
+        suite: _createSuite({delegator: bob}),
+        documentLoader: testLoader
+      });
+      for(let i = 0; i < 2; ++i) {
+        const decision = await _invokeAndVerify(
+          {capability: carolZcap, caveatRegistry});
+        decision.authorized.should.be.true;
+      }
+      (await store.get(_getCapabilityKey(bobZcap))).should.equal(2);
+      (await store.get(_getCapabilityKey(carolZcap))).should.equal(2);
+      const decision = await _invokeAndVerify(
+        {capability: carolZcap, caveatRegistry});
+      decision.authorized.should.be.false;
+      decision.error.details.capabilityId.should.equal(carolZcap.id);
+    });
+
+    it('should check every limit before counting a usage', async () => {
+      const {store, caveatRegistry} = _createRegistry();
+      const bobZcap = await zcap.delegate({
+        parentCapability: capabilities.root.beta,
+        controller: bob.id(),
+        expires: EXPIRES_3000_DATE,
+        caveat: [{type: 'UsageLimitCaveat', limit: 1}],
+        caveatRegistry,
+        suite: _createSuite({delegator: alice}),
+        documentLoader: testLoader
+      });
+      const [firstZcap, secondZcap] = await Promise.all([0, 1].map(
+        () => zcap.delegate({
+          parentCapability: bobZcap,
+          controller: carol.id(),
+          caveatRegistry,
+          suite: _createSuite({delegator: bob}),
+          documentLoader: testLoader
+        })));
+      const first = await _invokeAndVerify(
+        {capability: firstZcap, caveatRegistry});
+      first.authorized.should.be.true;
+      // bob's limit rejects the invocation, so it is not counted for the
+      // invoked capability
+      const second = await _invokeAndVerify(
+        {capability: secondZcap, caveatRegistry});
+      second.authorized.should.be.false;
+      second.error.details.capabilityId.should.equal(bobZcap.id);
+      (await store.get(_getCapabilityKey(bobZcap))).should.equal(1);
+      (await store.get(_getCapabilityKey(secondZcap))).should.equal(0);
+    });
+
+    it('should not count a capability w/ the same ID in another chain',
+      async () => {
+        const {caveatRegistry} = _createRegistry();
+        const bobZcap = await zcap.delegate({
+          parentCapability: capabilities.root.beta,
+          controller: bob.id(),
+          expires: EXPIRES_3000_DATE,
+          caveat: [{type: 'UsageLimitCaveat', limit: 1}],
+          caveatRegistry,
+          suite: _createSuite({delegator: alice}),
+          documentLoader: testLoader
+        });
+        // carol holds her own capability from the same root and delegates a
+        // one-time capability to herself that reuses the ID of bob's
+        const carolZcap = await zcap.delegate({
+          parentCapability: capabilities.root.beta,
+          controller: carol.id(),
+          expires: EXPIRES_3000_DATE,
+          suite: _createSuite({delegator: alice}),
+          documentLoader: testLoader
+        });
+        const forgedZcap = await _delegate({
+          newCapability: {
+            '@context': ZCAP_CONTEXT_URL,
+            id: bobZcap.id,
+            controller: carol.id(),
+            parentCapability: carolZcap.id,
+            invocationTarget: carolZcap.invocationTarget,
+            expires: carolZcap.expires,
+            caveat: bobZcap.caveat
+          },
+          parentCapability: carolZcap,
+          delegator: carol,
+          purposeOptions: {caveatRegistry}
+        });
+        const forged = await _invokeAndVerify(
+          {capability: forgedZcap, caveatRegistry});
+        should.not.exist(forged.error);
+        forged.authorized.should.be.true;
+        const decision = await _invokeAndVerify(
+          {capability: bobZcap, caveatRegistry, invoker: bob});
+        should.not.exist(decision.error);
+        decision.authorized.should.be.true;
+      });
+
+    it('should not count unauthorized invocations', async () => {
+      const {store, caveatRegistry} = _createRegistry();
+      const carolZcap = await zcap.delegate({
+        parentCapability: capabilities.root.beta,
+        controller: carol.id(),
+        expires: EXPIRES_3000_DATE,
+        caveat: [{type: 'UsageLimitCaveat', limit: 1}],
+        caveatRegistry,
+        suite: _createSuite({delegator: alice}),
+        documentLoader: testLoader
+      });
+      const decision = await _invokeAndVerify(
+        {capability: carolZcap, caveatRegistry, capabilityAction: 'write'});
+      decision.authorized.should.be.false;
+      (await store.get(_getCapabilityKey(carolZcap))).should.equal(0);
+    });
+
+    it('should not delegate w/ a higher limit than the parent', async () => {
+      const {caveatRegistry} = _createRegistry();
+      const bobZcap = await zcap.delegate({
+        parentCapability: capabilities.root.beta,
+        controller: bob.id(),
+        expires: EXPIRES_3000_DATE,
+        caveat: [{type: 'UsageLimitCaveat', limit: 3}],
+        caveatRegistry,
+        suite: _createSuite({delegator: alice}),
+        documentLoader: testLoader
+      });
+      let err;
+      try {
+        await zcap.delegate({
+          parentCapability: bobZcap,
+          controller: carol.id(),
+          caveat: [{type: 'UsageLimitCaveat', limit: 4}],
+          caveatRegistry,
+          suite: _createSuite({delegator: bob}),
+          documentLoader: testLoader
+        });
+      } catch(e) {
+        err = e;
+      }
+      expect(err).to.exist;
+      err.code.should.equal('ERR_ZCAP_CAVEAT_WEAKENED');
+    });
+
+    it('should fail to create a handler w/o a store', async () => {
+      expect(() => createUsageLimitCaveatHandler()).to.throw(
+        TypeError, /"store" must be a counter store/);
+      expect(() => createUsageLimitCaveatHandler({store: {increment() {}}}))
+        .to.throw(TypeError, /"store" must be a counter store/);
+    });
+  });
+
+  describe('Replay protection', () => {
+    const {MemoryNonceStore} = zcap;
+
+    async function _createInvocation({nonce} = {}) {
+      return zcap.invoke({
+        document: clone(mock.exampleDoc),
+        capability: capabilities.root.beta,
+        capabilityAction: 'read',
+        nonce,
+        suite: _createSuite({invoker: alice}),
+        documentLoader: testLoader
+      });
+    }
+
+    function _verify({invocation, nonceStore, expectedAction = 'read'}) {
+      const rootCapability = capabilities.root.beta;
+      return zcap.verifyInvocation({
+        document: invocation,
+        expectedAction,
+        expectedTarget: rootCapability.invocationTarget,
+        expectedRootCapability: rootCapability.id,
+        suite: new Ed25519Signature2020(),
+        documentLoader: testLoader,
+        maxTimestampDelta: 300,
+        nonceStore
+      });
+    }
+
+    it('should add a nonce to invocation proofs', async () => {
+      const first = await _createInvocation();
+      const second = await _createInvocation();
+      first.proof.nonce.should.be.a('string');
+      first.proof.nonce.should.not.equal(second.proof.nonce);
+      const given = await _createInvocation({nonce: 'abc'});
+      given.proof.nonce.should.equal('abc');
+      const none = await _createInvocation({nonce: false});
+      should.not.exist(none.proof.nonce);
+    });
+
+    it('should reject a replayed invocation', async () => {
+      const nonceStore = new MemoryNonceStore();
+      const invocation = await _createInvocation();
+      const first = await _verify({invocation, nonceStore});
+      should.not.exist(first.error);
+      first.authorized.should.be.true;
+      const second = await _verify({invocation, nonceStore});
+      second.authorized.should.be.false;
+      second.error.name.should.equal('ZcapAuthorizationError');
+      second.error.code.should.equal('ERR_ZCAP_REPLAYED');
+      second.error.details.nonce.should.equal(invocation.proof.nonce);
+    });
+
+    it('should not remember the nonce of an invalid invocation', async () => {
+      const nonceStore = new MemoryNonceStore();
+      const invocation = await _createInvocation();
+      const invalid = await _verify(
+        {invocation, nonceStore, expectedAction: 'write'});
+      invalid.authorized.should.be.false;
+      const valid = await _verify({invocation, nonceStore});
+      valid.authorized.should.be.true;
+    });
+
+    it('should reject an invocation w/o a nonce', async () => {
+      const nonceStore = new MemoryNonceStore();
+      const invocation = await _createInvocation({nonce: false});
+      const decision = await _verify({invocation, nonceStore});
+      decision.authorized.should.be.false;
+      decision.error.code.should.equal('ERR_ZCAP_INVOCATION_INVALID');
+    });
+
+    it('should require a finite "maxTimestampDelta"', async () => {
+      const rootCapability = capabilities.root.beta;
+      expect(() => new CapabilityInvocation({
+        expectedAction: 'read',
+        expectedTarget: rootCapability.invocationTarget,
+        expectedRootCapability: rootCapability.id,
+        suite: new Ed25519Signature2020(),
+        nonceStore: new MemoryNonceStore()
+      })).to.throw(TypeError, /"maxTimestampDelta" must be a finite number/);
+    });
+
+    it('should forget expired nonces', async () => {
+      const nonceStore = new MemoryNonceStore({maxSize: 2});
+      const date = new Date(CONSTANT_DATE);
+      const expires = new Date(date.getTime() + 1000);
+      (await nonceStore.add({nonce: 'a', expires, date})).should.be.true;
+      (await nonceStore.add({nonce: 'a', expires, date})).should.be.false;
+      // expired
+      (await nonceStore.add({nonce: 'a', expires, date: expires}))
+        .should.be.true;
+      const later = new Date(expires.getTime() + 1000);
+      (await nonceStore.add({nonce: 'b', expires: later, date}))
+        .should.be.true;
+      // `a` has expired, which makes room for `c`
+      (await nonceStore.add({nonce: 'c', expires: later, date: expires}))
+        .should.be.true;
+      (await nonceStore.add({nonce: 'c', expires: later, date: expires}))
+        .should.be.false;
+    });
+
+    it('should not forget unexpired nonces when full', async () => {
+      const nonceStore = new MemoryNonceStore({maxSize: 2});
+      const date = new Date(CONSTANT_DATE);
+      const soon = new Date(date.getTime() + 1000);
+      const later = new Date(date.getTime() + 2000);
+      // nonces that are not added in order of expiration
+      (await nonceStore.add({nonce: 'a', expires: later, date}))
+        .should.be.true;
+      (await nonceStore.add({nonce: 'b', expires: soon, date}))
+        .should.be.true;
+      let err;
+      try {
+        await nonceStore.add({nonce: 'c', expires: later, date});
+      } catch(e) {
+        err = e;
+      }
+      expect(err).to.exist;
+      err.message.should.equal('The nonce store is full.');
+      (await nonceStore.add({nonce: 'a', expires: later, date}))
+        .should.be.false;
+      // `b` has expired, which makes room for `c`
+      (await nonceStore.add({nonce: 'c', expires: later, date: soon}))
+        .should.be.true;
+      (await nonceStore.add({nonce: 'a', expires: later, date: soon}))
+        .should.be.false;
+    });
+
+    it('should not authorize an invocation when the store is full',
+      async () => {
+        const nonceStore = new MemoryNonceStore({maxSize: 1});
+        const first = await _verify(
+          {invocation: await _createInvocation(), nonceStore});
+        first.authorized.should.be.true;
+        const second = await _verify(
+          {invocation: await _createInvocation(), nonceStore});
+        second.authorized.should.be.false;
+        second.error.message.should.equal('The nonce store is full.');
+      });
+  });
+
+  describe('Action hierarchy', () => {
+    const actionHierarchy = {write: ['read'], admin: ['write']};
+
+    async function _delegate({parentCapability, controller, ...options}) {
+      return zcap.delegate({
+        parentCapability,
+        controller: controller.id(),
+        expires: EXPIRES_3000_DATE,
+        suite: _createSuite({
+          delegator: parentCapability.controller === alice.id() ? alice : bob
+        }),
+        documentLoader: testLoader,
+        ...options
+      });
+    }
+
+    async function _invokeAndVerify({
+      capability, invoker, capabilityAction, ...options
+    }) {
+      const rootCapability = capabilities.root.beta;
+      const invocation = await zcap.invoke({
+        document: clone(mock.exampleDoc),
+        capability,
+        capabilityAction,
+        actionHierarchy,
+        suite: _createSuite({invoker}),
+        documentLoader: testLoader
+      });
+      return zcap.verifyInvocation({
+        document: invocation,
+        expectedAction: capabilityAction,
+        expectedTarget: rootCapability.invocationTarget,
+        expectedRootCapability: rootCapability.id,
+        suite: new Ed25519Signature2020(),
+        documentLoader: testLoader,
+        ...options
+      });
+    }
+
+    it('should authorize an implied action', async () => {
+      const bobZcap = await _delegate({
+        parentCapability: capabilities.root.beta,
+        controller: bob,
+        allowedAction: 'admin'
+      });
+      const decision = await _invokeAndVerify({
+        capability: bobZcap, invoker: bob, capabilityAction: 'read',
+        actionHierarchy
+      });
+      should.not.exist(decision.error);
+      decision.authorized.should.be.true;
+      decision.action.should.equal('read');
+    });
+
+    it('should not authorize an implied action w/o a hierarchy', async () => {
+      const bobZcap = await _delegate({
+        parentCapability: capabilities.root.beta,
+        controller: bob,
+        allowedAction: 'write'
+      });
+      const decision = await _invokeAndVerify({
+        capability: bobZcap, invoker: bob, capabilityAction: 'read'
+      });
+      decision.authorized.should.be.false;
+      decision.error.code.should.equal('ERR_ZCAP_ACTION_NOT_ALLOWED');
+    });
+
+    it('should delegate and verify an implied action', async () => {
+      const bobZcap = await _delegate({
+        parentCapability: capabilities.root.beta,
+        controller: bob,
+        allowedAction: ['write']
+      });
+      const carolZcap = await _delegate({
+        parentCapability: bobZcap,
+        controller: carol,
+        allowedAction: 'read',
+        actionHierarchy
+      });
+      const decision = await _invokeAndVerify({
+        capability: carolZcap, invoker: carol, capabilityAction: 'read',
+        actionHierarchy
+      });
+      should.not.exist(decision.error);
+      decision.authorized.should.be.true;
+
+      // a verifier w/o the hierarchy rejects the chain
+      const result = await zcap.verifyDelegation({
+        capability: carolZcap,
+        expectedRootCapability: capabilities.root.beta.id,
+        suite: new Ed25519Signature2020(),
+        documentLoader: testLoader
+      });
+      result.verified.should.be.false;
+      result.error.code.should.equal('ERR_ZCAP_ACTION_NOT_ALLOWED');
+      result.error.details.index.should.equal(2);
+    });
+
+    it('should not delegate an implying action', async () => {
+      const bobZcap = await _delegate({
+        parentCapability: capabilities.root.beta,
+        controller: bob,
+        allowedAction: 'read'
+      });
+      let err;
+      try {
+        await _delegate({
+          parentCapability: bobZcap,
+          controller: carol,
+          allowedAction: ['read', 'write'],
+          actionHierarchy
+        });
+      } catch(e) {
+        err = e;
+      }
+      expect(err).to.exist;
+      err.message.should.contain('must not be less restrictive');
+    });
+
+    it('should reject an invalid action hierarchy', async () => {
+      expect(() => new CapabilityDelegation({
+        parentCapability: capabilities.root.beta,
+        actionHierarchy: {write: 'read'}
+      })).to.throw(TypeError, /"actionHierarchy" must be an object/);
+    });
+  });
+
+  describe('Action patterns', () => {
+    async function _delegate({parentCapability, delegator, allowedAction}) {
+      return zcap.delegate({
+        parentCapability,
+        controller: delegator === alice ? bob.id() : carol.id(),
+        allowedAction,
+        expires: EXPIRES_3000_DATE,
+        suite: _createSuite({delegator}),
+        documentLoader: testLoader
+      });
+    }
+
+    async function _invokeAndVerify({capability, invoker, capabilityAction}) {
+      const rootCapability = capabilities.root.beta;
+      const invocation = await zcap.invoke({
+        document: clone(mock.exampleDoc),
+        capability,
+        capabilityAction,
+        suite: _createSuite({invoker}),
+        documentLoader: testLoader
+      });
+      return zcap.verifyInvocation({
+        document: invocation,
+        expectedAction: capabilityAction,
+        expectedTarget: rootCapability.invocationTarget,
+        expectedRootCapability: rootCapability.id,
+        suite: new Ed25519Signature2020(),
+        documentLoader: testLoader
+      });
+    }
+
+    it('should authorize a namespaced action w/ a wildcard', async () => {
+      const bobZcap = await _delegate({
+        parentCapability: capabilities.root.beta,
+        delegator: alice,
+        allowedAction: 'documents:*'
+      });
+      for(const capabilityAction of [
+        'documents:read', 'documents:drafts:write'
+      ]) {
+        const decision = await _invokeAndVerify(
+          {capability: bobZcap, invoker: bob, capabilityAction});
+        should.not.exist(decision.error);
+        decision.authorized.should.be.true;
+      }
+    });
+
+    it('should not allow an action in another namespace', async () => {
+      const bobZcap = await _delegate({
+        parentCapability: capabilities.root.beta,
+        delegator: alice,
+        allowedAction: 'documents:*'
+      });
+      for(const capabilityAction of ['photos:read', 'documents']) {
+        let err;
+        try {
+          await _invokeAndVerify(
+            {capability: bobZcap, invoker: bob, capabilityAction});
+        } catch(e) {
+          err = e;
+        }
+        // `invoke()` rejects the action locally
+        expect(err).to.exist;
+        err.code.should.equal('ERR_ZCAP_ACTION_NOT_ALLOWED');
+      }
+    });
+
+    it('should delegate and verify narrower actions', async () => {
+      const bobZcap = await _delegate({
+        parentCapability: capabilities.root.beta,
+        delegator: alice,
+        allowedAction: ['documents:*', 'photos:read']
+      });
+      const carolZcap = await _delegate({
+        parentCapability: bobZcap,
+        delegator: bob,
+        allowedAction: ['documents:drafts:*', 'documents:read', 'photos:read']
+      });
+      const decision = await _invokeAndVerify({
+        capability: carolZcap, invoker: carol,
+        capabilityAction: 'documents:drafts:read'
+      });
+      should.not.exist(decision.error);
+      decision.authorized.should.be.true;
+    });
+
+    it('should not delegate a wildcard from a narrower action', async () => {
+      for(const [parentAllowedAction, allowedAction] of [
+        ['documents:read', 'documents:*'],
+        ['documents:drafts:*', 'documents:*'],
+        ['documents:*', 'photos:*']
+      ]) {
+        const bobZcap = await _delegate({
+          parentCapability: capabilities.root.beta,
+          delegator: alice,
+          allowedAction: parentAllowedAction
+        });
+        let err;
+        try {
+          await _delegate({
+            parentCapability: bobZcap, delegator: bob, allowedAction
+          });
+        } catch(e) {
+          err = e;
+        }
+        expect(err).to.exist;
+        err.message.should.contain('must not be less restrictive');
+      }
+    });
+  });
+
+  describe('Normalized target attenuation', () => {
+    const baseTarget = capabilities.root.beta.invocationTarget;
+
+    async function _delegate({invocationTarget, targetAttenuationMode}) {
+      return zcap.delegate({
+        parentCapability: capabilities.root.beta,
+        controller: bob.id(),
+        invocationTarget,
+        allowTargetAttenuation: true,
+        targetAttenuationMode,
+        expires: EXPIRES_3000_DATE,
+        suite: _createSuite({delegator: alice}),
+        documentLoader: testLoader
+      });
+    }
+
+    async function _verify({capability, targetAttenuationMode}) {
+      return zcap.verifyDelegation({
+        capability,
+        expectedRootCapability: capabilities.root.beta.id,
+        allowTargetAttenuation: true,
+        targetAttenuationMode,
+        suite: new Ed25519Signature2020(),
+        documentLoader: testLoader
+      });
+    }
+
+    it('should verify equivalent and attenuated targets', async () => {
+      for(const invocationTarget of [
+        `${baseTarget}/`,
+        `${baseTarget}/items/1`,
+        `${baseTarget}/items/%7Ebob`,
+        `${baseTarget}?view=full`,
+        'HTTPS://EXAMPLE.org:443/alice/targets/beta/items'
+      ]) {
+        const capability = await _delegate(
+          {invocationTarget, targetAttenuationMode: 'normalized'});
+        const result = await _verify(
+          {capability, targetAttenuationMode: 'normalized'});
+        should.not.exist(result.error, invocationTarget);
+        result.verified.should.be.true;
+      }
+    });
+
+    it('should reject path traversal tricks', async () => {
+      for(const invocationTarget of [
+        `${baseTarget}/../gamma`,
+        `${baseTarget}/%2e%2e/gamma`,
+        `${baseTarget}/.%2E/gamma`,
+        `${baseTarget}/./items`,
+        `${baseTarget}//items`,
+        `${baseTarget}/items#fragment`,
+        `${baseTarget}/items\\..\\..\\gamma`
+      ]) {
+        // the legacy `prefix` mode accepts these targets...
+        const capability = await _delegate({invocationTarget});
+        const prefixResult = await _verify({capability});
+        prefixResult.verified.should.be.true;
+
+        // ...but the `normalized` mode rejects them
+        const result = await _verify(
+          {capability, targetAttenuationMode: 'normalized'});
+        result.verified.should.be.false;
+        expect(result.error, invocationTarget).to.exist;
+        result.error.code.should.equal('ERR_ZCAP_TARGET_MISMATCH');
+
+        let err;
+        try {
+          await _delegate(
+            {invocationTarget, targetAttenuationMode: 'normalized'});
+        } catch(e) {
+          err = e;
+        }
+        expect(err, invocationTarget).to.exist;
+        err.message.should.contain('must not be less restrictive');
+      }
+    });
+
+    it('should compare whole path segments and origins', async () => {
+      for(const invocationTarget of [
+        'https://example.org/alice/targets/beta2',
+        'https://example.org:8443/alice/targets/beta/items',
+        'http://example.org/alice/targets/beta/items',
+        'https://bob@example.org/alice/targets/beta/items'
+      ]) {
+        let err;
+        try {
+          await _delegate(
+            {invocationTarget, targetAttenuationMode: 'normalized'});
+        } catch(e) {
+          err = e;
+        }
+        expect(err, invocationTarget).to.exist;
+      }
+    });
+
+    it('should verify an invocation w/ a normalized target', async () => {
+      const rootCapability = capabilities.root.beta;
+      const invocationTarget = `${baseTarget}/items/1`;
+      const invocation = await zcap.invoke({
+        document: clone(mock.exampleDoc),
+        capability: rootCapability,
+        capabilityAction: 'read',
+        invocationTarget,
+        allowTargetAttenuation: true,
+        targetAttenuationMode: 'normalized',
+        suite: _createSuite({invoker: alice}),
+        documentLoader: testLoader
+      });
+      const decision = await zcap.verifyInvocation({
+        document: invocation,
+        expectedAction: 'read',
+        expectedTarget: invocationTarget,
+        expectedRootCapability: rootCapability.id,
+        allowTargetAttenuation: true,
+        targetAttenuationMode: 'normalized',
+        suite: new Ed25519Signature2020(),
+        documentLoader: testLoader
+      });
+      should.not.exist(decision.error);
+      decision.authorized.should.be.true;
+    });
+
+    it('should reject an invalid "targetAttenuationMode"', async () => {
+      let err;
+      try {
+        new CapabilityDelegation({
+          suite: new Ed25519Signature2020(),
+          expectedRootCapability: capabilities.root.beta.id,
+          targetAttenuationMode: 'loose'
+        });
+      } catch(e) {
+        err = e;
+      }
+      expect(err).to.exist;
+      err.name.should.equal('TypeError');
+    });
+  });
+
+  describe('Structured target attenuation', () => {
+    const baseTarget = capabilities.root.beta.invocationTarget;
+
+    async function _delegate({
+      parentCapability = capabilities.root.beta, delegator = alice,
+      invocationTarget, targetAttenuationMode = 'structured'
+    }) {
+      return zcap.delegate({
+        parentCapability,
+        controller: delegator === alice ? bob.id() : carol.id(),
+        invocationTarget,
+        allowTargetAttenuation: true,
+        targetAttenuationMode,
+        expires: EXPIRES_3000_DATE,
+        suite: _createSuite({delegator}),
+        documentLoader: testLoader
+      });
+    }
+
+    it('should allow adding and narrowing query parameters', async () => {
+      const bobZcap = await _delegate({
+        invocationTarget: `${baseTarget}?owner=bob&tag=a&tag=b`
+      });
+      for(const invocationTarget of [
+        `${baseTarget}?owner=bob&tag=a&tag=b`,
+        `${baseTarget}?tag=b&owner=bob&tag=a`,
+        `${baseTarget}?owner=bob&tag=a`,
+        `${baseTarget}?tag=b&owner=bob&limit=10`
+      ]) {
+        const carolZcap = await _delegate({
+          parentCapability: bobZcap, delegator: bob, invocationTarget
+        });
+        const result = await zcap.verifyDelegation({
+          capability: carolZcap,
+          expectedRootCapability: capabilities.root.beta.id,
+          allowTargetAttenuation: true,
+          targetAttenuationMode: 'structured',
+          suite: new Ed25519Signature2020(),
+          documentLoader: testLoader
+        });
+        should.not.exist(result.error, invocationTarget);
+        result.verified.should.be.true;
+      }
+    });
+
+    it('should not allow dropping or changing query parameters', async () => {
+      const bobZcap = await _delegate({
+        invocationTarget: `${baseTarget}?owner=bob&tag=a&tag=b`
+      });
+      for(const invocationTarget of [
+        `${baseTarget}?owner=bob`,
+        `${baseTarget}?tag=a`,
+        `${baseTarget}?owner=carol&tag=a`,
+        `${baseTarget}?owner=bob&tag=a&tag=c`,
+        `${baseTarget}?owner=bob&owner=carol&tag=a`,
+        // a query only constrains the path it is on
+        `${baseTarget}/items?owner=bob&tag=a`,
+        baseTarget
+      ]) {
+        let err;
+        try {
+          await _delegate({
+            parentCapability: bobZcap, delegator: bob, invocationTarget
+          });
+        } catch(e) {
+          err = e;
+        }
+        expect(err, invocationTarget).to.exist;
+        err.message.should.contain('must not be less restrictive');
+      }
+    });
+
+    it('should verify an invocation w/ reordered parameters', async () => {
+      const bobZcap = await _delegate({
+        invocationTarget: `${baseTarget}/items?owner=bob`
+      });
+      const carolZcap = await _delegate({
+        parentCapability: bobZcap, delegator: bob,
+        invocationTarget: `${baseTarget}/items?owner=bob&tag=a`,
+        targetAttenuationMode: 'prefix'
+      });
+      const invocationTarget = `${baseTarget}/items?tag=a&owner=bob`;
+      const invocation = await zcap.invoke({
+        document: clone(mock.exampleDoc),
+        capability: carolZcap,
+        capabilityAction: 'read',
+        invocationTarget,
+        allowTargetAttenuation: true,
+        targetAttenuationMode: 'structured',
+        suite: _createSuite({invoker: carol}),
+        documentLoader: testLoader
+      });
+      const options = {
+        document: invocation,
+        expectedAction: 'read',
+        expectedTarget: invocationTarget,
+        expectedRootCapability: capabilities.root.beta.id,
+        allowTargetAttenuation: true,
+        targetAttenuationMode: 'structured',
+        suite: new Ed25519Signature2020(),
+        documentLoader: testLoader
+      };
+      const decision = await zcap.verifyInvocation(options);
+      should.not.exist(decision.error);
+      decision.authorized.should.be.true;
+
+      // reordered query parameters are not accepted in `prefix` mode
+      const prefixDecision = await zcap.verifyInvocation(
+        {...options, targetAttenuationMode: 'prefix'});
+      prefixDecision.authorized.should.be.false;
+      prefixDecision.error.code.should.equal('ERR_ZCAP_TARGET_MISMATCH');
+    });
+  });
+
+  describe('Target patterns', () => {
+    const baseTarget = capabilities.root.beta.invocationTarget;
+
+    async function _delegate({
+      parentCapability = capabilities.root.beta, delegator = alice,
+      invocationTarget, targetAttenuationMode
+    }) {
+      return zcap.delegate({
+        parentCapability,
+        controller: delegator === alice ? bob.id() : carol.id(),
+        invocationTarget,
+        allowTargetAttenuation: true,
+        targetAttenuationMode,
+        allowTargetPatterns: true,
+        expires: EXPIRES_3000_DATE,
+        suite: _createSuite({delegator}),
+        documentLoader: testLoader
+      });
+    }
+
+    async function _invokeAndVerify({
+      capability, invoker, invocationTarget, allowTargetAttenuation = false,
+      targetAttenuationMode, verifyOptions = {allowTargetPatterns: true}
+    }) {
+      const invocation = await zcap.invoke({
+        document: clone(mock.exampleDoc),
+        capability,
+        capabilityAction: 'read',
+        invocationTarget,
+        allowTargetAttenuation,
+        targetAttenuationMode,
+        allowTargetPatterns: true,
+        suite: _createSuite({invoker}),
+        documentLoader: testLoader
+      });
+      // delegated patterns extend the root capability's target, so the
+      // verifier must also allow target attenuation
+      return zcap.verifyInvocation({
+        document: invocation,
+        expectedAction: 'read',
+        expectedTarget: invocationTarget,
+        expectedRootCapability: capabilities.root.beta.id,
+        allowTargetAttenuation: true,
+        suite: new Ed25519Signature2020(),
+        documentLoader: testLoader,
+        ...verifyOptions
+      });
+    }
+
+    it('should invoke a pattern w/ a matching target', async () => {
+      const bobZcap = await _delegate(
+        {invocationTarget: `${baseTarget}/users/{id}/photos`});
+      for(const invocationTarget of [
+        `${baseTarget}/users/alice/photos`,
+        `${baseTarget}/users/bob/photos`
+      ]) {
+        const decision = await _invokeAndVerify(
+          {capability: bobZcap, invoker: bob, invocationTarget});
+        should.not.exist(decision.error, invocationTarget);
+        decision.authorized.should.be.true;
+      }
+      // path-based attenuation may follow the pattern
+      const decision = await _invokeAndVerify({
+        capability: bobZcap, invoker: bob,
+        invocationTarget: `${baseTarget}/users/alice/photos/1`,
+        allowTargetAttenuation: true
+      });
+      should.not.exist(decision.error);
+      decision.authorized.should.be.true;
+    });
+
+    it('should not invoke a pattern w/ a non-matching target', async () => {
+      const bobZcap = await _delegate(
+        {invocationTarget: `${baseTarget}/users/{id}/photos`});
+      for(const invocationTarget of [
+        `${baseTarget}/users/alice/videos`,
+        `${baseTarget}/users/photos`,
+        `${baseTarget}/users/alice/bob/photos`,
+        `${baseTarget}/users/../photos`,
+        `${baseTarget}/users/%2E%2E/photos`,
+        `${baseTarget}/users/alice/photos/1`
+      ]) {
+        let err;
+        try {
+          await _invokeAndVerify(
+            {capability: bobZcap, invoker: bob, invocationTarget});
+        } catch(e) {
+          err = e;
+        }
+        // `invoke()` rejects the target locally
+        expect(err, invocationTarget).to.exist;
+        err.code.should.equal('ERR_ZCAP_TARGET_MISMATCH');
+      }
+    });
+
+    it('should not invoke a pattern as a target', async () => {
+      const invocationTarget = `${baseTarget}/users/{id}/photos`;
+      const bobZcap = await _delegate({invocationTarget});
+      let err;
+      try {
+        await _invokeAndVerify(
+          {capability: bobZcap, invoker: bob, invocationTarget});
+      } catch(e) {
+        err = e;
+      }
+      expect(err).to.exist;
+      err.code.should.equal('ERR_ZCAP_INVOCATION_INVALID');
+    });
+
+    it('should fail to verify if patterns are not allowed', async () => {
+      const bobZcap = await _delegate(
+        {invocationTarget: `${baseTarget}/users/{id}/photos`});
+      const decision = await _invokeAndVerify({
+        capability: bobZcap, invoker: bob,
+        invocationTarget: `${baseTarget}/users/alice/photos`,
+        verifyOptions: {}
+      });
+      decision.authorized.should.be.false;
+      decision.error.code.should.equal('ERR_ZCAP_TARGET_MISMATCH');
+    });
+
+    it('should delegate and verify narrower patterns', async () => {
+      const bobZcap = await _delegate(
+        {invocationTarget: `${baseTarget}/files/**`});
+      const carolZcap = await _delegate({
+        parentCapability: bobZcap, delegator: bob,
+        invocationTarget: `${baseTarget}/files/*/docs/**`
+      });
+      const decision = await _invokeAndVerify({
+        capability: carolZcap, invoker: carol,
+        invocationTarget: `${baseTarget}/files/a/docs/b/c`
+      });
+      should.not.exist(decision.error);
+      decision.authorized.should.be.true;
+      // the chain is rejected by verifiers that do not allow patterns
+      const result = await zcap.verifyDelegation({
+        capability: carolZcap,
+        expectedRootCapability: capabilities.root.beta.id,
+        allowTargetAttenuation: true,
+        suite: new Ed25519Signature2020(),
+        documentLoader: testLoader
+      });
+      result.verified.should.be.false;
+      result.error.code.should.equal('ERR_ZCAP_TARGET_MISMATCH');
+    });
+
+    it('should not delegate a less restrictive pattern', async () => {
+      const bobZcap = await _delegate(
+        {invocationTarget: `${baseTarget}/users/{id}/photos`});
+      for(const invocationTarget of [
+        `${baseTarget}/users/**`,
+        `${baseTarget}/users/{id}/{kind}`,
+        `${baseTarget}/*/{id}/photos`,
+        `${baseTarget}/users/{id}/photos-*`,
+        'https://example.com/users/{id}/photos'
+      ]) {
+        let err;
+        try {
+          await _delegate({
+            parentCapability: bobZcap, delegator: bob, invocationTarget
+          });
+        } catch(e) {
+          err = e;
+        }
+        expect(err, invocationTarget).to.exist;
+        err.message.should.contain('must not be less restrictive');
+      }
+    });
+
+    it('should narrow a pattern\'s query in structured mode', async () => {
+      const bobZcap = await _delegate(
+        {invocationTarget: `${baseTarget}/users/{id}/photos?a=1&a=2`});
+      const invocationTarget = `${baseTarget}/users/alice/photos?a=1`;
+      const decision = await _invokeAndVerify({
+        capability: bobZcap, invoker: bob, invocationTarget,
+        allowTargetAttenuation: true,
+        targetAttenuationMode: 'structured',
+        verifyOptions: {
+          allowTargetPatterns: true, targetAttenuationMode: 'structured'
+        }
+      });
+      should.not.exist(decision.error);
+      decision.authorized.should.be.true;
+      // `prefix` mode only accepts added query parameters
+      let err;
+      try {
+        await _invokeAndVerify({
+          capability: bobZcap, invoker: bob, invocationTarget,
+          allowTargetAttenuation: true
+        });
+      } catch(e) {
+        err = e;
+      }
+      expect(err).to.exist;
+      err.code.should.equal('ERR_ZCAP_TARGET_MISMATCH');
+    });
+
+    it('should normalize a pattern\'s origin in normalized mode', async () => {
+      const bobZcap = await _delegate({
+        invocationTarget:
+          'https://EXAMPLE.org:443/alice/targets/beta/users/{id}/photos/',
+        targetAttenuationMode: 'normalized'
+      });
+      const decision = await _invokeAndVerify({
+        capability: bobZcap, invoker: bob,
+        invocationTarget: `${baseTarget}/users/alice/photos`,
+        targetAttenuationMode: 'normalized',
+        verifyOptions: {
+          allowTargetPatterns: true, targetAttenuationMode: 'normalized'
+        }
+      });
+      should.not.exist(decision.error);
+      decision.authorized.should.be.true;
+    });
+  });
+
+  describe('Chain cache', () => {
+    const {createRevocationInspector, MemoryChainCache} = zcap;
+
+    async function _verify({document, chainCache, ...options}) {
+      return zcap.verifyInvocation({
+        document,
+        expectedAction: 'read',
+        expectedTarget: capabilities.root.beta.invocationTarget,
+        expectedRootCapability: capabilities.root.beta.id,
+        chainCache,
+        trace: true,
+        suite: new Ed25519Signature2020(),
+        documentLoader: testLoader,
+        ...options
+      });
+    }
+
+    function _getProofEntries({trace}) {
+      return trace.filter(({check}) => check === 'proof');
+    }
+
+    it('should reuse verified delegation proofs', async () => {
+      const {bobZcap, carolZcap, invocation} = await _createChain(
+        {carolOptions: {expires: '2999-01-01T00:00:00Z'}});
+      const chainCache = new MemoryChainCache();
+      const entries = [];
+      const set = chainCache.set.bind(chainCache);
+      chainCache.set = async options => {
+        entries.push(options);
+        return set(options);
+      };
+
+      const first = await _verify({document: invocation, chainCache});
+      should.not.exist(first.error);
+      first.authorized.should.be.true;
+      _getProofEntries(first).map(({values}) => values.cached)
+        .should.deep.equal([false, false]);
+      // entries are keyed on the zcap ID and a digest of the chain prefix
+      entries[0].key.should.match(new RegExp(`^${bobZcap.id}:[0-9a-f]{64}$`));
+      entries[1].key.should.match(
+        new RegExp(`^${carolZcap.id}:[0-9a-f]{64}$`));
+      // entries expire at the earliest `expires` in the chain prefix
+      entries.map(({expires}) => expires.toISOString()).should.deep.equal([
+        new Date(bobZcap.expires).toISOString(),
+        new Date(carolZcap.expires).toISOString()
+      ]);
+
+      const second = await _verify({document: invocation, chainCache});
+      should.not.exist(second.error);
+      second.authorized.should.be.true;
+      _getProofEntries(second).map(({values}) => values.cached)
+        .should.deep.equal([true, true]);
+      second.delegators.should.deep.equal(first.delegators);
+      entries.length.should.equal(2);
+    });
+
+    it('should still inspect the chain when it is cached', async () => {
+      const {bobZcap, invocation} = await _createChain(
+        {carolOptions: {expires: '2999-01-01T00:00:00Z'}});
+      const chainCache = new MemoryChainCache();
+      const store = new zcap.MemoryRevocationStore();
+      const inspectCapabilityChain = createRevocationInspector({store});
+
+      const first = await _verify(
+        {document: invocation, chainCache, inspectCapabilityChain});
+      first.authorized.should.be.true;
+
+      await store.revoke({
+        capabilityId: bobZcap.id,
+        parentCapability: bobZcap.parentCapability,
+        verificationMethod: bobZcap.proof.verificationMethod,
+        revoker: alice.id(),
+        revoked: new Date().toISOString()
+      });
+      const second = await _verify(
+        {document: invocation, chainCache, inspectCapabilityChain});
+      second.authorized.should.be.false;
+      second.error.code.should.equal('ERR_ZCAP_REVOKED');
+      _getProofEntries(second).map(({values}) => values.cached)
+        .should.deep.equal([true, true]);
+    });
+
+    it('should not reuse a proof for a changed capability', async () => {
+      const {carolZcap} = await _createChain(
+        {carolOptions: {expires: '2999-01-01T00:00:00Z'}});
+      const chainCache = new MemoryChainCache();
+      const invoke = async capability => zcap.invoke({
+        document: clone(mock.exampleDoc),
+        capability,
+        capabilityAction: 'read',
+        suite: _createSuite({invoker: carol}),
+        documentLoader: testLoader
+      });
+      const first = await _verify(
+        {document: await invoke(carolZcap), chainCache});
+      first.authorized.should.be.true;
+
+      // same ID, different (unsigned) content
+      const tampered = clone(carolZcap);
+      tampered.allowedAction = ['read', 'write'];
+      const second = await _verify(
+        {document: await invoke(tampered), chainCache});
+      second.authorized.should.be.false;
+      _getProofEntries(second).map(({values}) => values.cached)
+        .should.deep.equal([true, false]);
+    });
+
+    it('should forget expired and least recently used entries', async () => {
+      const chainCache = new MemoryChainCache({maxSize: 2});
+      const expires = new Date('2030-01-01T00:00:00Z');
+      await chainCache.set({key: 'a', value: 1, expires});
+      await chainCache.set({key: 'b', value: 2, expires});
+      should.equal(await chainCache.get({key: 'a'}), 1);
+      await chainCache.set({key: 'c', value: 3, expires});
+      should.not.exist(await chainCache.get({key: 'b'}));
+      should.equal(await chainCache.get({key: 'a'}), 1);
+      should.equal(await chainCache.get({key: 'c'}), 3);
+      should.not.exist(await chainCache.get(
+        {key: 'c', date: new Date('2030-01-01T00:00:00Z')}));
+    });
+
+    it('should reject an invalid "chainCache"', async () => {
+      let err;
+      try {
+        new CapabilityInvocation({
+          suite: new Ed25519Signature2020(),
+          expectedRootCapability: capabilities.root.beta.id,
+          chainCache: {}
+        });
+      } catch(e) {
+        err = e;
+      }
+      expect(err).to.exist;
+      err.name.should.equal('TypeError');
+    });
+  });
+
+  describe('Parallel proof verification', () => {
+    async function _invokeLongChain({invalid = false} = {}) {
+      let capability = capabilities.root.beta;
+      const delegations = [[alice, bob], [bob, carol], [carol, bob]];
+      for(const [i, [delegator, delegatee]] of delegations.entries()) {
+        capability = await zcap.delegate({
+          parentCapability: capability,
+          controller: delegatee.id(),
+          // make the second zcap less restrictive than its parent
+          allowedAction: (invalid && i === 1) ? ['read', 'write'] : 'read',
+          expires: EXPIRES_3000_DATE,
+          suite: _createSuite({delegator}),
+          documentLoader: testLoader,
+          ...(invalid && i === 1 ? {actionHierarchy: {read: ['write']}} : {})
+        });
+      }
+      return zcap.invoke({
+        document: clone(mock.exampleDoc),
+        capability,
+        capabilityAction: 'read',
+        suite: _createSuite({invoker: bob}),
+        documentLoader: testLoader
+      });
+    }
+
+    // use the same date so that traces can be compared
+    const date = new Date();
+
+    async function _verify({document, parallelProofVerification}) {
+      // track how many documents are loaded concurrently
+      const loads = {inFlight: 0, max: 0};
+      const documentLoader = async url => {
+        loads.max = Math.max(loads.max, ++loads.inFlight);
+        try {
+          await new Promise(resolve => setTimeout(resolve, 1));
+          return await testLoader(url);
+        } finally {
+          loads.inFlight--;
+        }
+      };
+      const decision = await zcap.verifyInvocation({
+        document,
+        expectedAction: 'read',
+        expectedTarget: capabilities.root.beta.invocationTarget,
+        expectedRootCapability: capabilities.root.beta.id,
+        parallelProofVerification,
+        date,
+        trace: true,
+        suite: new Ed25519Signature2020(),
+        documentLoader
+      });
+      return {decision, loads};
+    }
+
+    it('should verify a chain the same way as sequentially', async () => {
+      const document = await _invokeLongChain();
+      const sequential = await _verify(
+        {document, parallelProofVerification: false});
+      const parallel = await _verify(
+        {document, parallelProofVerification: true});
+      should.not.exist(parallel.decision.error);
+      parallel.decision.authorized.should.be.true;
+      parallel.decision.delegators.should.deep.equal(
+        sequential.decision.delegators);
+      parallel.decision.trace.should.deep.equal(sequential.decision.trace);
+      // documents for multiple proofs are loaded at the same time
+      parallel.loads.max.should.be.above(sequential.loads.max);
+    });
+
+    it('should reject an invalid chain the same way', async () => {
+      const document = await _invokeLongChain({invalid: true});
+      const sequential = await _verify(
+        {document, parallelProofVerification: false});
+      const parallel = await _verify(
+        {document, parallelProofVerification: true});
+      parallel.decision.authorized.should.be.false;
+      parallel.decision.error.code.should.equal('ERR_ZCAP_ACTION_NOT_ALLOWED');
+      parallel.decision.error.details.index.should.equal(2);
+      parallel.decision.error.message.should.equal(
+        sequential.decision.error.message);
+      parallel.decision.trace.should.deep.equal(sequential.decision.trace);
+    });
+  });
+
+  describe('CBOR encoding', () => {
+    const {decodeCapability, encodeCapability} = zcap;
+
+    it('should round-trip a capability w/ an embedded chain', async () => {
+      const {carolZcap} = await _createChain(
+        {carolOptions: {allowedAction: ['read']}});
+      const data = encodeCapability({capability: carolZcap});
+      data.should.be.an.instanceof(Uint8Array);
+      data.length.should.be.below(JSON.stringify(carolZcap).length);
+
+      const decoded = decodeCapability({data});
+      // exactly the same JSON, including the order of keys
+      JSON.stringify(decoded).should.equal(JSON.stringify(carolZcap));
+
+      const result = await zcap.verifyDelegation({
+        capability: decoded,
+        expectedRootCapability: capabilities.root.beta.id,
+        suite: new Ed25519Signature2020(),
+        documentLoader: testLoader
+      });
+      should.not.exist(result.error);
+      result.verified.should.be.true;
+    });
+
+    it('should round-trip unregistered keys and JSON values', async () => {
+      const capability = JSON.parse(
+        '{"id":"urn:uuid:1","__proto__":{"polluted":true},' +
+        '"extra":[1,1.5,-2,true,false,null,{"nested":"value"}]}');
+      const decoded = decodeCapability(
+        {data: encodeCapability({capability})});
+      JSON.stringify(decoded).should.equal(JSON.stringify(capability));
+      should.not.exist({}.polluted);
+      should.not.exist(decoded.polluted);
+    });
+
+    it('should reject invalid encodings', async () => {
+      for(const data of [
+        new Uint8Array([0xff, 0x00]),
+        cborg.encode({id: 'urn:uuid:1'}),
+        cborg.encode([2, new Map([[1, 'urn:uuid:1']])]),
+        cborg.encode([1, new Map([[1000, 'urn:uuid:1']])]),
+        cborg.encode([1, new Map([['id', 'urn:uuid:1']])])
+      ]) {
+        let err;
+        try {
+          decodeCapability({data});
+        } catch(e) {
+          err = e;
+        }
+        expect(err).to.exist;
+        err.name.should.equal('ZcapValidationError');
+        err.code.should.equal('ERR_ZCAP_ENCODING_INVALID');
+      }
+    });
+  });
+
+  describe('String encoding', () => {
+    const {parseCapability, stringifyCapability} = zcap;
+
+    async function _stringify(capability) {
+      // compress arbitrary JSON the same way `stringifyCapability` does
+      const stream = new Blob([JSON.stringify(capability)]).stream()
+        .pipeThrough(new CompressionStream('gzip'));
+      const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+      let binary = '';
+      for(const byte of bytes) {
+        binary += String.fromCharCode(byte);
+      }
+      return 'zcap1.' + btoa(binary)
+        .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    async function _parseError(options) {
+      try {
+        await parseCapability(options);
+      } catch(e) {
+        return e;
+      }
+    }
+
+    it('should round-trip a delegated capability', async () => {
+      const bobZcap = await zcap.delegate({
+        parentCapability: capabilities.root.beta,
+        controller: bob.id(),
+        expires: EXPIRES_3000_DATE,
+        suite: _createSuite({delegator: alice}),
+        documentLoader: testLoader
+      });
+      const carolZcap = await zcap.delegate({
+        parentCapability: bobZcap,
+        controller: carol.id(),
+        suite: _createSuite({delegator: bob}),
+        documentLoader: testLoader
+      });
+      const value = await stringifyCapability({capability: carolZcap});
+      value.should.match(/^zcap1\.[A-Za-z0-9_-]+$/);
+      value.length.should.be.below(JSON.stringify(carolZcap).length);
+      // interoperable with any gzip + base64url implementation
+      value.should.equal(await _stringify(carolZcap));
+
+      const parsed = await parseCapability({value});
+      parsed.should.deep.equal(carolZcap);
+      const result = await zcap.verifyDelegation({
+        capability: parsed,
+        expectedRootCapability: capabilities.root.beta.id,
+        suite: new Ed25519Signature2020(),
+        documentLoader: testLoader
+      });
+      should.not.exist(result.error);
+      result.verified.should.be.true;
+    });
+
+    it('should enforce size limits', async () => {
+      const capability = clone(capabilities.delegated.beta);
+      const value = await stringifyCapability({capability});
+      let err = await _parseError({value, maxLength: value.length - 1});
+      expect(err).to.exist;
+      err.code.should.equal('ERR_ZCAP_ENCODING_TOO_LARGE');
+
+      // highly compressible content that decompresses to a large size
+      capability.padding = 'a'.repeat(100000);
+      const bomb = await stringifyCapability({capability});
+      bomb.length.should.be.below(8192);
+      err = await _parseError({value: bomb});
+      expect(err).to.exist;
+      err.code.should.equal('ERR_ZCAP_ENCODING_TOO_LARGE');
+    });
+
+    it('should reject invalid values', async () => {
+      for(const value of [
+        'zcap2.H4sIAAAAAAAAA',
+        'zcap1.not+base64url',
+        'zcap1.bm90IGd6aXA',
+        await _stringify([1, 2]),
+        await _stringify('capability')
+      ]) {
+        const err = await _parseError({value});
+        expect(err, value).to.exist;
+        err.code.should.equal('ERR_ZCAP_ENCODING_INVALID');
+      }
+    });
+
+    it('should check the parsed capability', async () => {
+      const capability = clone(capabilities.delegated.beta);
+      delete capability.expires;
+      const err = await _parseError({value: await _stringify(capability)});
+      expect(err).to.exist;
+      err.code.should.equal('ERR_ZCAP_INVALID');
+    });
+  });
+
+  if(options.nodejs) {
+    describe('HTTP invocations', () => {
+      const {http} = options;
+      const {getHttpAction, signHttpInvocation, verifyHttpInvocation} = zcap;
+      let server;
+      let baseUrl;
+      let rootCapability;
+      let verifyOptions;
+
+      async function _getVerifier({keyId, documentLoader}) {
+        const {document} = await documentLoader(keyId);
+        const key = await Ed25519VerificationKey2020.from(document);
+        return {verifier: key.verifier(), verificationMethod: document};
+      }
+
+      function _getSigner(invoker) {
+        return new Ed25519VerificationKey2020(
+          invoker.get('capabilityInvocation', 0)).signer();
+      }
+
+      async function _request({
+        path = '/documents', method = 'GET', body, headers: extraHeaders,
+        ...signOptions
+      }) {
+        const url = `${baseUrl}${path}`;
+        const headers = await signHttpInvocation(
+          {url, method, body, ...signOptions});
+        const response = await fetch(url, {
+          method, body, headers: {...headers, ...extraHeaders}
+        });
+        return {status: response.status, decision: await response.json()};
+      }
+
+      before(async () => {
+        server = http.createServer(async (req, res) => {
+          const chunks = [];
+          for await (const chunk of req) {
+            chunks.push(chunk);
+          }
+          const decision = await verifyHttpInvocation({
+            url: `${baseUrl}${req.url}`,
+            method: req.method,
+            headers: req.headers,
+            body: new Uint8Array(Buffer.concat(chunks)),
+            expectedRootCapability: rootCapability.id,
+            getVerifier: _getVerifier,
+            suite: new Ed25519Signature2020(),
+            documentLoader: testLoader,
+            ...verifyOptions
+          });
+          const {error} = decision;
+          res.writeHead(decision.authorized ? 200 : 403, {
+            'content-type': 'application/json'
+          });
+          res.end(JSON.stringify({
+            ...decision,
+            error: error && {code: error.code, message: error.message}
+          }));
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        rootCapability = createRootCapability({
+          controller: alice.id(),
+          invocationTarget: `${baseUrl}/documents`
+        });
+        addToLoader({doc: rootCapability});
+      });
+      after(async () => {
+        await new Promise(resolve => server.close(resolve));
+      });
+      beforeEach(() => {
+        verifyOptions = {};
+      });
+
+      it('should map HTTP methods to actions', async () => {
+        getHttpAction({method: 'GET'}).should.equal('read');
+        getHttpAction({method: 'head'}).should.equal('read');
+        getHttpAction({method: 'POST'}).should.equal('write');
+        getHttpAction({method: 'DELETE'}).should.equal('write');
+      });
+
+      it('should invoke a root capability', async () => {
+        const {status, decision} = await _request({
+          capability: rootCapability,
+          invocationSigner: _getSigner(alice)
+        });
+        should.not.exist(decision.error);
+        status.should.equal(200);
+        decision.invoker.should.equal(alice.id());
+        decision.action.should.equal('read');
+        decision.target.should.equal(`${baseUrl}/documents`);
+      });
+
+      it('should invoke a delegated capability w/ a body', async () => {
+        const bobZcap = await zcap.delegate({
+          parentCapability: rootCapability,
+          controller: bob.id(),
+          allowedAction: 'write',
+          expires: EXPIRES_3000_DATE,
+          suite: _createSuite({delegator: alice}),
+          documentLoader: testLoader
+        });
+        verifyOptions = {allowTargetAttenuation: true};
+        const {status, decision} = await _request({
+          path: '/documents/1',
+          method: 'POST',
+          body: JSON.stringify({title: 'example'}),
+          capability: bobZcap,
+          invocationSigner: _getSigner(bob),
+          allowTargetAttenuation: true
+        });
+        should.not.exist(decision.error);
+        status.should.equal(200);
+        decision.invoker.should.equal(bob.id());
+        decision.action.should.equal('write');
+        decision.delegators.should.deep.equal([alice.id()]);
+        decision.chain.map(({id}) => id).should.deep.equal(
+          [rootCapability.id, bobZcap.id]);
+      });
+
+      it('should reject a request w/ a changed body', async () => {
+        const url = `${baseUrl}/documents`;
+        const headers = await signHttpInvocation({
+          url, method: 'POST', body: 'original',
+          capability: rootCapability, invocationSigner: _getSigner(alice)
+        });
+        const response = await fetch(url, {
+          method: 'POST', body: 'changed', headers
+        });
+        const decision = await response.json();
+        decision.authorized.should.be.false;
+        decision.error.code.should.equal('ERR_ZCAP_INVOCATION_INVALID');
+        decision.error.message.should.contain('content-digest');
+      });
+
+      it('should reject a request w/ a changed method', async () => {
+        const url = `${baseUrl}/documents`;
+        const headers = await signHttpInvocation({
+          url, method: 'GET', capabilityAction: 'write',
+          capability: rootCapability, invocationSigner: _getSigner(alice)
+        });
+        const response = await fetch(url, {method: 'POST', headers});
+        const decision = await response.json();
+        decision.authorized.should.be.false;
+        decision.error.message.should.contain('Invalid HTTP signature');
+      });
+
+      it('should reject an action that does not match the method', async () => {
+        const {decision} = await _request({
+          method: 'GET', capabilityAction: 'write',
+          capability: rootCapability, invocationSigner: _getSigner(alice)
+        });
+        decision.authorized.should.be.false;
+        decision.error.code.should.equal('ERR_ZCAP_ACTION_MISMATCH');
+      });
+
+      it('should reject an invoker that is not a controller', async () => {
+        const {decision} = await _request({
+          capability: rootCapability, invocationSigner: _getSigner(bob)
+        });
+        decision.authorized.should.be.false;
+        decision.error.code.should.equal('ERR_ZCAP_CONTROLLER_MISMATCH');
+      });
+
+      it('should reject a target outside of the capability', async () => {
+        const {decision} = await _request({
+          path: '/documents/1',
+          capability: rootCapability.id,
+          invocationSigner: _getSigner(alice)
+        });
+        decision.authorized.should.be.false;
+        decision.error.code.should.equal('ERR_ZCAP_TARGET_MISMATCH');
+      });
+
+      it('should reject a replayed request', async () => {
+        verifyOptions = {
+          nonceStore: new zcap.MemoryNonceStore(),
+          maxTimestampDelta: 300
+        };
+        const url = `${baseUrl}/documents`;
+        const headers = await signHttpInvocation({
+          url, method: 'GET',
+          capability: rootCapability, invocationSigner: _getSigner(alice)
+        });
+        const first = await (await fetch(url, {headers})).json();
+        should.not.exist(first.error);
+        const second = await (await fetch(url, {headers})).json();
+        second.authorized.should.be.false;
+        second.error.code.should.equal('ERR_ZCAP_REPLAYED');
+      });
+
+      it('should reject a request signed too long ago', async () => {
+        // `maxTimestampDelta` defaults to 300 seconds
+        const {status, decision} = await _request({
+          capability: rootCapability,
+          invocationSigner: _getSigner(alice),
+          date: new Date(Date.now() - 3600 * 1000)
+        });
+        status.should.equal(403);
+        decision.authorized.should.be.false;
+        decision.error.code.should.equal('ERR_ZCAP_PROOF_INVALID');
+      });
+
+      it('should accept a request signed at any time if allowed', async () => {
+        verifyOptions = {maxTimestampDelta: Infinity};
+        const {status, decision} = await _request({
+          capability: rootCapability,
+          invocationSigner: _getSigner(alice),
+          date: new Date(Date.now() - 3600 * 1000)
+        });
+        should.not.exist(decision.error);
+        status.should.equal(200);
+      });
+
+      it('should throw an error from a store', async () => {
+        const url = `${baseUrl}/documents`;
+        const headers = await signHttpInvocation({
+          url, method: 'GET',
+          capability: rootCapability, invocationSigner: _getSigner(alice)
+        });
+        let error;
+        try {
+          await verifyHttpInvocation({
+            url, method: 'GET', headers,
+            expectedRootCapability: rootCapability.id,
+            getVerifier: _getVerifier,
+            suite: new Ed25519Signature2020(),
+            documentLoader: testLoader,
+            nonceStore: {
+              async add() {
+                throw new Error('The nonce store is unavailable.');
+              }
+            },
+            maxTimestampDelta: 300
+          });
+        } catch(e) {
+          error = e;
+        }
+        should.exist(error);
+        error.message.should.equal('The nonce store is unavailable.');
+      });
+
+      it('should throw an error from retrieving a controller', async () => {
+        const url = `${baseUrl}/documents`;
+        const headers = await signHttpInvocation({
+          url, method: 'GET',
+          capability: rootCapability, invocationSigner: _getSigner(alice)
+        });
+        let error;
+        try {
+          await verifyHttpInvocation({
+            url, method: 'GET', headers,
+            expectedRootCapability: rootCapability.id,
+            getVerifier: _getVerifier,
+            suite: new Ed25519Signature2020(),
+            documentLoader: async url => {
+              if(url === alice.id()) {
+                throw new Error('The DID resolver is unavailable.');
+              }
+              return testLoader(url);
+            }
+          });
+        } catch(e) {
+          error = e;
+        }
+        should.exist(error);
+        error.message.should.equal('The DID resolver is unavailable.');
+      });
+
+      it('should reject a capability w/ an invalid delegation proof',
+        async () => {
+          const bobZcap = await zcap.delegate({
+            parentCapability: rootCapability,
+            controller: bob.id(),
+            allowedAction: 'read',
+            expires: EXPIRES_3000_DATE,
+            suite: _createSuite({delegator: alice}),
+            documentLoader: testLoader
+          });
+          // widen the actions after the capability was signed
+          bobZcap.allowedAction = ['read', 'write'];
+          const {status, decision} = await _request({
+            method: 'POST',
+            capability: bobZcap,
+            invocationSigner: _getSigner(bob)
+          });
+          status.should.equal(403);
+          decision.authorized.should.be.false;
+          decision.error.message.should.equal('Verification error(s).');
+        });
+
+      it('should throw an error from verifying a delegation proof',
+        async () => {
+          const bobZcap = await zcap.delegate({
+            parentCapability: rootCapability,
+            controller: bob.id(),
+            expires: EXPIRES_3000_DATE,
+            suite: _createSuite({delegator: alice}),
+            documentLoader: testLoader
+          });
+          const url = `${baseUrl}/documents`;
+          const headers = await signHttpInvocation({
+            url, method: 'GET',
+            capability: bobZcap, invocationSigner: _getSigner(bob)
+          });
+          let error;
+          try {
+            await verifyHttpInvocation({
+              url, method: 'GET', headers,
+              expectedRootCapability: rootCapability.id,
+              getVerifier: _getVerifier,
+              suite: new Ed25519Signature2020(),
+              documentLoader: async url => {
+                if(url === alice.get('capabilityDelegation', 0).id) {
+                  throw new Error('The DID resolver is unavailable.');
+                }
+                return testLoader(url);
+              }
+            });
+          } catch(e) {
+            error = e;
+          }
+          should.exist(error);
+          error.name.should.equal('VerificationError');
+          error.errors[0].message.should.equal(
+            'The DID resolver is unavailable.');
+        });
+
+      it('should reject an unsigned request', async () => {
+        const response = await fetch(`${baseUrl}/documents`);
+        const decision = await response.json();
+        decision.authorized.should.be.false;
+        decision.error.code.should.equal('ERR_ZCAP_INVOCATION_INVALID');
+      });
+
+      describe('middleware', () => {
+        const {createZcapMiddleware} = zcap;
+        let middlewareServer;
+        let serverUrl;
+        let serverRootCapability;
+        let authorize;
+
+        function _createMiddleware(options) {
+          return createZcapMiddleware({
+            baseUrl: serverUrl,
+            getExpectedRootCapability: () => serverRootCapability.id,
+            getVerifier: _getVerifier,
+            suite: new Ed25519Signature2020(),
+            documentLoader: testLoader,
+            ...options
+          });
+        }
+
+        async function _send({
+          path = '/documents', method = 'GET', body, headers, ...signOptions
+        }) {
+          const url = `${serverUrl}${path}`;
+          if(signOptions.capability) {
+            headers = await signHttpInvocation(
+              {url, method, body, ...signOptions});
+          }
+          const response = await fetch(url, {method, body, headers});
+          return {status: response.status, result: await response.json()};
+        }
+
+        before(async () => {
+          middlewareServer = http.createServer((req, res) => {
+            authorize(req, res, error => {
+              res.setHeader('content-type', 'application/json');
+              if(error) {
+                res.statusCode = 500;
+                res.end(JSON.stringify({message: error.message}));
+                return;
+              }
+              const {invoker, delegators, chain, action} = req.zcap;
+              res.end(JSON.stringify({
+                invoker, delegators, action,
+                chain: chain.map(({id}) => id),
+                body: new TextDecoder().decode(req.rawBody)
+              }));
+            });
+          });
+          await new Promise(resolve => middlewareServer.listen(
+            0, '127.0.0.1', resolve));
+          serverUrl = `http://127.0.0.1:${middlewareServer.address().port}`;
+          serverRootCapability = createRootCapability({
+            controller: alice.id(),
+            invocationTarget: `${serverUrl}/documents`
+          });
+          addToLoader({doc: serverRootCapability});
+        });
+        after(async () => {
+          await new Promise(resolve => middlewareServer.close(resolve));
+        });
+        beforeEach(() => {
+          authorize = _createMiddleware();
+        });
+
+        it('should attach an authorized invocation to the request',
+          async () => {
+            const {status, result} = await _send({
+              capability: serverRootCapability,
+              invocationSigner: _getSigner(alice)
+            });
+            status.should.equal(200);
+            result.should.deep.equal({
+              invoker: alice.id(),
+              delegators: [],
+              action: 'read',
+              chain: [serverRootCapability.id],
+              body: ''
+            });
+          });
+
+        it('should authorize a delegated capability w/ a body', async () => {
+          const bobZcap = await zcap.delegate({
+            parentCapability: serverRootCapability,
+            controller: bob.id(),
+            allowedAction: 'write',
+            expires: EXPIRES_3000_DATE,
+            suite: _createSuite({delegator: alice}),
+            documentLoader: testLoader
+          });
+          const body = JSON.stringify({title: 'example'});
+          const {status, result} = await _send({
+            method: 'POST',
+            body,
+            capability: bobZcap,
+            invocationSigner: _getSigner(bob)
+          });
+          status.should.equal(200);
+          result.invoker.should.equal(bob.id());
+          result.delegators.should.deep.equal([alice.id()]);
+          result.chain.should.deep.equal(
+            [serverRootCapability.id, bobZcap.id]);
+          result.action.should.equal('write');
+          result.body.should.equal(body);
+        });
+
+        it('should authorize a root capability for an origin', async () => {
+          const originCapability = createRootCapability({
+            controller: alice.id(),
+            invocationTarget: serverUrl
+          });
+          addToLoader({doc: originCapability});
+          authorize = _createMiddleware({
+            getExpectedRootCapability: () => originCapability.id
+          });
+          const {status, result} = await _send({
+            path: '/',
+            capability: originCapability,
+            invocationSigner: _getSigner(alice)
+          });
+          status.should.equal(200);
+          result.invoker.should.equal(alice.id());
+          result.chain.should.deep.equal([originCapability.id]);
+        });
+
+        it('should use a route\'s expected target', async () => {
+          const targets = [];
+          authorize = _createMiddleware({
+            expectedTarget: ({req, url}) => {
+              targets.push(url);
+              return `${serverUrl}${req.url.split('?')[0]}`;
+            }
+          });
+          const {status, result} = await _send({
+            path: '/documents?q=1',
+            capability: serverRootCapability,
+            invocationSigner: _getSigner(alice),
+            allowTargetAttenuation: true
+          });
+          targets.should.deep.equal([`${serverUrl}/documents?q=1`]);
+          status.should.equal(403);
+          result.code.should.equal('ERR_ZCAP_TARGET_MISMATCH');
+        });
+
+        it('should use a route\'s expected action', async () => {
+          authorize = _createMiddleware({expectedAction: 'write'});
+          const {status, result} = await _send({
+            capability: serverRootCapability,
+            invocationSigner: _getSigner(alice)
+          });
+          status.should.equal(403);
+          result.code.should.equal('ERR_ZCAP_ACTION_MISMATCH');
+        });
+
+        it('should respond 401 to an unsigned request', async () => {
+          const {status, result} = await _send({});
+          status.should.equal(401);
+          result.name.should.equal('ZcapValidationError');
+          result.code.should.equal('ERR_ZCAP_INVOCATION_INVALID');
+        });
+
+        it('should respond 403 to an unauthorized invoker', async () => {
+          const {status, result} = await _send({
+            capability: serverRootCapability,
+            invocationSigner: _getSigner(bob)
+          });
+          status.should.equal(403);
+          result.name.should.equal('ZcapAuthorizationError');
+          result.code.should.equal('ERR_ZCAP_CONTROLLER_MISMATCH');
+        });
+
+        it('should respond 403 to an unexpected root capability',
+          async () => {
+            authorize = _createMiddleware({
+              getExpectedRootCapability: async () =>
+                capabilities.root.beta.id
+            });
+            const {status, result} = await _send({
+              capability: serverRootCapability,
+              invocationSigner: _getSigner(alice)
+            });
+            status.should.equal(403);
+            result.code.should.equal('ERR_ZCAP_ROOT_MISMATCH');
+          });
+
+        it('should respond 413 to a body that is too large', async () => {
+          authorize = _createMiddleware({maxBodySize: 4});
+          const {status} = await _send({
+            method: 'POST',
+            body: 'too large',
+            capability: serverRootCapability,
+            invocationSigner: _getSigner(alice)
+          });
+          status.should.equal(413);
+        });
+
+        it('should pass other errors to "next"', async () => {
+          authorize = _createMiddleware({
+            getExpectedRootCapability() {
+              throw new Error('Unknown route.');
+            }
+          });
+          const {status, result} = await _send({
+            capability: serverRootCapability,
+            invocationSigner: _getSigner(alice)
+          });
+          status.should.equal(500);
+          result.message.should.equal('Unknown route.');
+        });
+
+        it('should pass a store error to "next"', async () => {
+          authorize = _createMiddleware({
+            nonceStore: {
+              async add() {
+                throw new Error('The nonce store is unavailable.');
+              }
+            },
+            maxTimestampDelta: 300
+          });
+          const {status, result} = await _send({
+            capability: serverRootCapability,
+            invocationSigner: _getSigner(alice)
+          });
+          status.should.equal(500);
+          result.message.should.equal('The nonce store is unavailable.');
+        });
+
+        it('should respond 500 to a store error w/o "next"', async () => {
+          const middleware = _createMiddleware({
+            nonceStore: {
+              async add() {
+                throw new Error('The nonce store is unavailable.');
+              }
+            },
+            maxTimestampDelta: 300
+          });
+          authorize = (req, res) => middleware(req, res);
+          const {status, result} = await _send({
+            capability: serverRootCapability,
+            invocationSigner: _getSigner(alice)
+          });
+          status.should.equal(500);
+          should.not.exist(result.code);
+          result.message.should.equal(
+            'An error occurred while authorizing the request.');
+        });
+
+        it('should resolve to whether a request is authorized w/o "next"',
+          async () => {
+            const middleware = _createMiddleware();
+            const results = [];
+            authorize = async (req, res, next) => {
+              const authorized = await middleware(req, res);
+              results.push(authorized);
+              if(authorized) {
+                next();
+              }
+            };
+            const {status} = await _send({
+              capability: serverRootCapability,
+              invocationSigner: _getSigner(alice)
+            });
+            status.should.equal(200);
+            await _send({
+              capability: serverRootCapability,
+              invocationSigner: _getSigner(bob)
+            });
+            results.should.deep.equal([true, false]);
+          });
+      });
+
+      describe('fetch', () => {
+        const {createZcapFetch} = zcap;
+
+        async function _delegate({allowedAction}) {
+          return zcap.delegate({
+            parentCapability: rootCapability,
+            controller: bob.id(),
+            allowedAction,
+            expires: EXPIRES_3000_DATE,
+            suite: _createSuite({delegator: alice}),
+            documentLoader: testLoader
+          });
+        }
+
+        it('should invoke a root capability', async () => {
+          const zcapFetch = createZcapFetch({
+            capability: rootCapability,
+            invocationSigner: _getSigner(alice)
+          });
+          const response = await zcapFetch(`${baseUrl}/documents`);
+          response.status.should.equal(200);
+          const decision = await response.json();
+          decision.invoker.should.equal(alice.id());
+          decision.action.should.equal('read');
+        });
+
+        it('should invoke a delegated capability w/ a request body',
+          async () => {
+            const bobZcap = await _delegate({allowedAction: 'write'});
+            const zcapFetch = createZcapFetch({
+              capability: bobZcap,
+              invocationSigner: _getSigner(bob),
+              allowTargetAttenuation: true
+            });
+            verifyOptions = {allowTargetAttenuation: true};
+            const request = new Request(`${baseUrl}/documents/1`, {
+              method: 'POST',
+              headers: {'content-type': 'application/json'},
+              body: JSON.stringify({title: 'example'})
+            });
+            const response = await zcapFetch(request);
+            response.status.should.equal(200);
+            const decision = await response.json();
+            decision.invoker.should.equal(bob.id());
+            decision.action.should.equal('write');
+            decision.target.should.equal(`${baseUrl}/documents/1`);
+          });
+
+        it('should invoke a root capability for an origin', async () => {
+          // the request URL for an origin is its root path, `${baseUrl}/`
+          const originCapability = createRootCapability({
+            controller: alice.id(),
+            invocationTarget: baseUrl
+          });
+          addToLoader({doc: originCapability});
+          verifyOptions = {expectedRootCapability: originCapability.id};
+          const zcapFetch = createZcapFetch({
+            capability: originCapability,
+            invocationSigner: _getSigner(alice)
+          });
+          const response = await zcapFetch(baseUrl);
+          response.status.should.equal(200);
+          const decision = await response.json();
+          should.not.exist(decision.error);
+          decision.invoker.should.equal(alice.id());
+          decision.target.should.equal(`${baseUrl}/`);
+        });
+
+        it('should sign the request passed to "fetch"', async () => {
+          const requests = [];
+          const zcapFetch = createZcapFetch({
+            capability: rootCapability,
+            invocationSigner: _getSigner(alice),
+            fetch: async request => {
+              requests.push(request);
+              return new Response(null, {status: 204});
+            }
+          });
+          const response = await zcapFetch(`${baseUrl}/documents`, {
+            headers: {accept: 'application/json'}
+          });
+          response.status.should.equal(204);
+          requests.should.have.length(1);
+          const [request] = requests;
+          request.method.should.equal('GET');
+          request.headers.get('accept').should.equal('application/json');
+          request.headers.get('capability-invocation').should.equal(
+            `zcap id="${rootCapability.id}",action="read"`);
+          should.exist(request.headers.get('signature-input'));
+          should.exist(request.headers.get('signature'));
+        });
+
+        it('should not send a request for an action that is not allowed',
+          async () => {
+            const bobZcap = await _delegate({allowedAction: 'read'});
+            let sent = false;
+            const zcapFetch = createZcapFetch({
+              capability: bobZcap,
+              invocationSigner: _getSigner(bob),
+              fetch: async () => {
+                sent = true;
+              }
+            });
+            let err;
+            try {
+              await zcapFetch(`${baseUrl}/documents`, {
+                method: 'DELETE'
+              });
+            } catch(e) {
+              err = e;
+            }
+            should.exist(err);
+            err.code.should.equal('ERR_ZCAP_ACTION_NOT_ALLOWED');
+            sent.should.be.false;
+          });
+
+        it('should not send a request for a target that is not allowed',
+          async () => {
+            let sent = false;
+            const zcapFetch = createZcapFetch({
+              capability: rootCapability,
+              invocationSigner: _getSigner(alice),
+              fetch: async () => {
+                sent = true;
+              }
+            });
+            let err;
+            try {
+              await zcapFetch(`${baseUrl}/documents/1`);
+            } catch(e) {
+              err = e;
+            }
+            should.exist(err);
+            err.code.should.equal('ERR_ZCAP_TARGET_MISMATCH');
+            sent.should.be.false;
+          });
+      });
+    });
+  }
+
+  describe('Capability wallet', () => {
+    const {CapabilityWallet, FileCapabilityStore} = zcap;
+    const rootCapability = capabilities.root.beta;
+    const target = rootCapability.invocationTarget;
+
+    async function _delegate({
+      parentCapability = rootCapability, delegator = alice,
+      controller = carol, allowedAction = ['read', 'write'],
+      expires = EXPIRES_3000_DATE, invocationTarget
+    }) {
+      return zcap.delegate({
+        parentCapability,
+        controller: controller.id(),
+        allowedAction,
+        expires,
+        invocationTarget,
+        allowTargetAttenuation: true,
+        suite: _createSuite({delegator}),
+        documentLoader: testLoader
+      });
+    }
+
+    async function _createZcaps() {
+      const bobZcap = await _delegate({controller: bob});
+      return {
+        bobZcap,
+        // depth 2, expires first, read only
+        soonZcap: await _delegate({
+          allowedAction: 'read', expires: '2999-01-01T00:00:00Z'
+        }),
+        // depth 2, expires last
+        lateZcap: await _delegate({}),
+        // depth 3, expires last
+        deepZcap: await _delegate(
+          {parentCapability: bobZcap, delegator: bob})
+      };
+    }
+
+    it('should rank by chain length and remaining lifetime', async () => {
+      const {bobZcap, soonZcap, lateZcap, deepZcap} = await _createZcaps();
+      const wallet = new CapabilityWallet();
+      for(const capability of [deepZcap, soonZcap, bobZcap, lateZcap]) {
+        await wallet.add({capability});
+      }
+      const found = await wallet.find({
+        invocationTarget: target, action: 'read', controller: carol.id()
+      });
+      found.map(({id}) => id).should.deep.equal(
+        [lateZcap.id, soonZcap.id, deepZcap.id]);
+      (await wallet.select({
+        invocationTarget: target, action: 'read', controller: bob.id()
+      })).should.deep.equal(bobZcap);
+      should.not.exist(await wallet.select({
+        invocationTarget: target, action: 'read', controller: alice.id()
+      }));
+    });
+
+    it('should only find zcaps that allow the action', async () => {
+      const {soonZcap, lateZcap} = await _createZcaps();
+      const wallet = new CapabilityWallet(
+        {actionHierarchy: {admin: ['write']}});
+      await wallet.add({capability: soonZcap});
+      await wallet.add({capability: lateZcap});
+      (await wallet.find({invocationTarget: target, action: 'write'}))
+        .map(({id}) => id).should.deep.equal([lateZcap.id]);
+      (await wallet.find({invocationTarget: target, action: 'delete'}))
+        .should.deep.equal([]);
+      const adminZcap = await _delegate({allowedAction: 'admin'});
+      await wallet.add({capability: adminZcap});
+      (await wallet.find({invocationTarget: target, action: 'write'}))
+        .map(({id}) => id).should.have.members([lateZcap.id, adminZcap.id]);
+    });
+
+    it('should only find zcaps that cover the target', async () => {
+      const {lateZcap} = await _createZcaps();
+      const attenuatedZcap = await _delegate({
+        invocationTarget: `${target}/documents`
+      });
+      const invocationTarget = `${target}/documents/1`;
+      const wallet = new CapabilityWallet();
+      await wallet.add({capability: lateZcap});
+      await wallet.add({capability: attenuatedZcap});
+      (await wallet.find({invocationTarget: target, action: 'read'}))
+        .map(({id}) => id).should.deep.equal([lateZcap.id]);
+      (await wallet.find({invocationTarget, action: 'read'}))
+        .should.deep.equal([]);
+
+      const attenuatingWallet = new CapabilityWallet({
+        store: wallet.store, allowTargetAttenuation: true
+      });
+      (await attenuatingWallet.find({invocationTarget, action: 'read'}))
+        .map(({id}) => id).should.have.members(
+          [lateZcap.id, attenuatedZcap.id]);
+      (await attenuatingWallet.find(
+        {invocationTarget: 'https://example.org/other', action: 'read'}))
+        .should.deep.equal([]);
+    });
+
+    it('should not find expired zcaps', async () => {
+      const {soonZcap, lateZcap} = await _createZcaps();
+      const wallet = new CapabilityWallet();
+      await wallet.add({capability: soonZcap});
+      await wallet.add({capability: lateZcap});
+      // within the clock skew of the earliest expiration
+      let found = await wallet.find({
+        invocationTarget: target, action: 'read',
+        date: '2999-01-01T00:04:00Z'
+      });
+      found.should.have.length(2);
+      const date = '2999-01-01T00:06:00Z';
+      found = await wallet.find(
+        {invocationTarget: target, action: 'read', date});
+      found.map(({id}) => id).should.deep.equal([lateZcap.id]);
+      (await wallet.removeExpired({date})).should.deep.equal([soonZcap.id]);
+      should.not.exist(await wallet.get({id: soonZcap.id}));
+      (await wallet.get({id: lateZcap.id})).should.deep.equal(lateZcap);
+    });
+
+    it('should select a zcap that the verifier accepts', async () => {
+      const {soonZcap, lateZcap, deepZcap} = await _createZcaps();
+      const wallet = new CapabilityWallet();
+      for(const capability of [soonZcap, lateZcap, deepZcap]) {
+        await wallet.add({capability});
+      }
+      const capability = await wallet.select({
+        invocationTarget: target, action: 'write', controller: carol.id()
+      });
+      capability.should.deep.equal(lateZcap);
+      const invocation = await zcap.invoke({
+        document: clone(mock.exampleDoc),
+        capability,
+        capabilityAction: 'write',
+        invocationTarget: target,
+        suite: _createSuite({invoker: carol}),
+        documentLoader: testLoader
+      });
+      const decision = await zcap.verifyInvocation({
+        document: invocation,
+        expectedAction: 'write',
+        expectedTarget: target,
+        expectedRootCapability: rootCapability.id,
+        suite: new Ed25519Signature2020(),
+        documentLoader: testLoader
+      });
+      should.not.exist(decision.error);
+      decision.authorized.should.be.true;
+    });
+
+    it('should reject an invalid capability', async () => {
+      const wallet = new CapabilityWallet();
+      let err;
+      try {
+        await wallet.add({capability: {id: 'urn:zcap:invalid'}});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.code.should.equal('ERR_ZCAP_INVALID');
+      (await wallet.store.getAll()).should.deep.equal([]);
+    });
+
+    it('should fail to construct w/ an invalid store', async () => {
+      expect(() => new CapabilityWallet({store: {}})).to.throw(
+        TypeError, /"store" must be a capability store/);
+    });
+
+    if(options.nodejs) {
+      describe('FileCapabilityStore', () => {
+        const {fs, os} = options;
+        let dir;
+        before(async () => {
+          dir = await fs.mkdtemp(`${os.tmpdir()}/zcap-test-`);
+        });
+        after(async () => {
+          await fs.rm(dir, {recursive: true, force: true});
+        });
+
+        it('should persist capabilities', async () => {
+          const {bobZcap, soonZcap, lateZcap} = await _createZcaps();
+          const path = `${dir}/${uuid()}.json`;
+          const wallet = new CapabilityWallet(
+            {store: new FileCapabilityStore({path})});
+          (await wallet.find({invocationTarget: target, action: 'read'}))
+            .should.deep.equal([]);
+          // concurrent writes must not overwrite each other
+          await Promise.all([bobZcap, soonZcap, lateZcap].map(
+            capability => wallet.add({capability})));
+          const other = new CapabilityWallet(
+            {store: new FileCapabilityStore({path})});
+          (await other.find({
+            invocationTarget: target, action: 'read', controller: carol.id()
+          })).should.deep.equal([lateZcap, soonZcap]);
+          (await other.remove({id: soonZcap.id})).should.be.true;
+          (await other.remove({id: soonZcap.id})).should.be.false;
+          should.not.exist(await wallet.get({id: soonZcap.id}));
+          (await wallet.get({id: bobZcap.id})).should.deep.equal(bobZcap);
+          // no temporary files are left behind
+          (await fs.readdir(dir)).filter(f => f.endsWith('.tmp'))
+            .should.deep.equal([]);
+        });
+
+        it('should not lose capabilities added by several stores', async () => {
+          const {bobZcap, soonZcap, lateZcap} = await _createZcaps();
+          const path = `${dir}/${uuid()}.json`;
+          const capabilities = [bobZcap, soonZcap, lateZcap];
+          await Promise.all(capabilities.map(
+            capability => new FileCapabilityStore({path}).put({capability})));
+          const store = new FileCapabilityStore({path});
+          for(const capability of capabilities) {
+            (await store.get({id: capability.id}))
+              .should.deep.equal(capability);
+          }
+        });
+      });
+    }
+  });
+
+  if(options.nodejs) {
+    describe('CLI', () => {
+      const {childProcess, fs, os, url} = options;
+      const cliPath = url.fileURLToPath(
+        new URL('../bin/zcap.js', import.meta.url));
+      const target = 'https://example.com/cli/documents';
+      let dir;
+      let rootCapability;
+      let documentArgs;
+
+      async function _run(args, {input} = {}) {
+        return new Promise(resolve => {
+          const child = childProcess.execFile(
+            process.execPath, [cliPath, ...args], {cwd: dir},
+            (error, stdout, stderr) => resolve(
+              {code: error ? error.code : 0, stdout, stderr}));
+          child.stdin.end(input);
+        });
+      }
+
+      async function _writeJson(name, data) {
+        await fs.writeFile(`${dir}/${name}`, JSON.stringify(data));
+        return name;
+      }
+
+      async function _delegateToBob({
+        invocationTarget = target, args = []
+      } = {}) {
+        const {code, stdout, stderr} = await _run([
+          'delegate',
+          '--key', 'alice-key.json',
+          '--parent', rootCapability.id,
+          '--controller', bob.id(),
+          '--target', invocationTarget,
+          '--action', 'read',
+          '--expires', EXPIRES_3000_DATE,
+          ...args
+        ]);
+        stderr.should.equal('');
+        code.should.equal(0);
+        return JSON.parse(stdout);
+      }
+
+      before(async () => {
+        dir = await fs.mkdtemp(`${os.tmpdir()}/zcap-test-`);
+        await _writeJson('alice-key.json', {
+          '@context': controllers.alice['@context'],
+          ...alice.get('capabilityDelegation', 0)
+        });
+        await _writeJson('bob-key.json', {
+          '@context': controllers.bob['@context'],
+          ...bob.get('capabilityInvocation', 0)
+        });
+        await _writeJson('bob-delegation-key.json', {
+          '@context': controllers.bob['@context'],
+          ...bob.get('capabilityDelegation', 0)
+        });
+        // the CLI does not load private keys from documents
+        await _writeJson('alice.json', controllers.alice);
+        await _writeJson('bob.json', controllers.bob);
+        await _writeJson('doc.json', mock.exampleDoc);
+        rootCapability = createRootCapability(
+          {controller: alice.id(), invocationTarget: target});
+        await _writeJson('root.json', rootCapability);
+        documentArgs = [
+          '--document', 'root.json',
+          '--document', 'alice.json',
+          '--document', 'bob.json'
+        ];
+      });
+      after(async () => {
+        await fs.rm(dir, {recursive: true, force: true});
+      });
+
+      it('should create a root capability', async () => {
+        const {code, stdout} = await _run([
+          'create-root', '--controller', alice.id(), '--target', target
+        ]);
+        code.should.equal(0);
+        JSON.parse(stdout).should.deep.equal(rootCapability);
+      });
+
+      it('should delegate, invoke, and verify a capability', async () => {
+        const bobZcap = await _delegateToBob();
+        bobZcap.parentCapability.should.equal(rootCapability.id);
+        bobZcap.controller.should.equal(bob.id());
+        bobZcap.allowedAction.should.equal('read');
+        bobZcap.expires.should.equal(EXPIRES_3000_DATE);
+        await _writeJson('bob-zcap.json', bobZcap);
+
+        let result = await _run([
+          'verify', '--root', rootCapability.id, ...documentArgs,
+          'bob-zcap.json'
+        ]);
+        result.code.should.equal(0);
+        JSON.parse(result.stdout).verified.should.be.true;
+
+        // the document to invoke is read from stdin
+        result = await _run([
+          'invoke',
+          '--key', 'bob-key.json',
+          '--capability', 'bob-zcap.json',
+          '--action', 'read'
+        ], {input: JSON.stringify(mock.exampleDoc)});
+        result.code.should.equal(0);
+        const invocation = JSON.parse(result.stdout);
+        invocation.proof.proofPurpose.should.equal('capabilityInvocation');
+        invocation.proof.capability.should.deep.equal(bobZcap);
+        await _writeJson('invocation.json', invocation);
+
+        result = await _run([
+          'verify', '--root', rootCapability.id,
+          '--action', 'read', '--target', target, ...documentArgs,
+          'invocation.json'
+        ]);
+        result.code.should.equal(0);
+        const decision = JSON.parse(result.stdout);
+        decision.authorized.should.be.true;
+        decision.invoker.should.equal(bob.id());
+        decision.delegators.should.deep.equal([alice.id()]);
+      });
+
+      it('should fail to verify an unexpected invocation', async () => {
+        await _writeJson('bob-zcap.json', await _delegateToBob());
+        let result = await _run([
+          'invoke',
+          '--key', 'bob-key.json',
+          '--capability', 'bob-zcap.json',
+          '--action', 'read',
+          'doc.json'
+        ]);
+        result.code.should.equal(0);
+        await _writeJson('invocation.json', JSON.parse(result.stdout));
+
+        result = await _run([
+          'verify', '--root', capabilities.root.beta.id,
+          '--action', 'read', '--target', target, ...documentArgs,
+          'invocation.json'
+        ]);
+        result.code.should.equal(1);
+        const decision = JSON.parse(result.stdout);
+        decision.authorized.should.be.false;
+        decision.error.code.should.equal('ERR_ZCAP_ROOT_MISMATCH');
+      });
+
+      it('should not invoke an action that is not allowed', async () => {
+        await _writeJson('bob-zcap.json', await _delegateToBob());
+        const {code, stdout, stderr} = await _run([
+          'invoke',
+          '--key', 'bob-key.json',
+          '--capability', 'bob-zcap.json',
+          '--action', 'write',
+          'doc.json'
+        ]);
+        code.should.equal(1);
+        stdout.should.equal('');
+        stderr.should.contain('ERR_ZCAP_ACTION_NOT_ALLOWED');
+      });
+
+      it('should delegate an attenuated target if allowed', async () => {
+        const parentPath = await _writeJson(
+          'bob-zcap.json', await _delegateToBob());
+        const args = [
+          'delegate',
+          '--key', 'bob-delegation-key.json',
+          '--parent', parentPath,
+          '--controller', carol.id(),
+          '--target', `${target}/1`
+        ];
+        let result = await _run(args);
+        result.code.should.equal(1);
+        result.stderr.should.contain('ERR_ZCAP_TARGET_MISMATCH');
+        result = await _run([...args, '--allow-target-attenuation']);
+        result.code.should.equal(0);
+        JSON.parse(result.stdout).invocationTarget.should.equal(`${target}/1`);
+      });
+
+      it('should invoke and verify an attenuated target if allowed',
+        async () => {
+          await _writeJson('bob-zcap.json', await _delegateToBob({
+            invocationTarget: `${target}/1`,
+            args: ['--allow-target-attenuation']
+          }));
+          const verifyArgs = [
+            'verify', '--root', rootCapability.id, ...documentArgs
+          ];
+          let result = await _run([...verifyArgs, 'bob-zcap.json']);
+          result.code.should.equal(1);
+          JSON.parse(result.stdout).error.code.should.equal(
+            'ERR_ZCAP_TARGET_MISMATCH');
+          result = await _run(
+            [...verifyArgs, '--allow-target-attenuation', 'bob-zcap.json']);
+          result.code.should.equal(0);
+          JSON.parse(result.stdout).verified.should.be.true;
+
+          const invokeArgs = [
+            'invoke',
+            '--key', 'bob-key.json',
+            '--capability', 'bob-zcap.json',
+            '--action', 'read',
+            '--target', `${target}/1/a`,
+            'doc.json'
+          ];
+          result = await _run(invokeArgs);
+          result.code.should.equal(1);
+          result.stderr.should.contain('ERR_ZCAP_TARGET_MISMATCH');
+          result = await _run([...invokeArgs, '--allow-target-attenuation']);
+          result.code.should.equal(0);
+          await _writeJson('invocation.json', JSON.parse(result.stdout));
+
+          result = await _run([
+            ...verifyArgs, '--action', 'read', '--target', `${target}/1/a`,
+            '--allow-target-attenuation', 'invocation.json'
+          ]);
+          result.code.should.equal(0);
+          const decision = JSON.parse(result.stdout);
+          decision.authorized.should.be.true;
+          decision.target.should.equal(`${target}/1/a`);
+        });
+
+      it('should inspect a capability chain', async () => {
+        const bobZcap = await _delegateToBob();
+        await _writeJson('bob-zcap.json', bobZcap);
+        const {code, stdout} = await _run(
+          ['inspect', '--document', 'root.json', 'bob-zcap.json']);
+        code.should.equal(0);
+        stdout.should.equal([
+          `[0] ${rootCapability.id}`,
+          `    controller: ${alice.id()}`,
+          `    invocationTarget: ${target}`,
+          `[1] ${bobZcap.id}`,
+          `    controller: ${bob.id()}`,
+          `    invocationTarget: ${target}`,
+          '    allowedAction: read',
+          `    expires: ${EXPIRES_3000_DATE}`,
+          `    delegator: ${bobZcap.proof.verificationMethod}`,
+          `    delegated: ${bobZcap.proof.created}`,
+          ''
+        ].join('\n'));
+      });
+
+      it('should exit w/ a usage error', async () => {
+        let result = await _run(['delegate', '--key', 'alice-key.json']);
+        result.code.should.equal(2);
+        result.stderr.should.contain('"--parent" is required.');
+        result = await _run(['unknown']);
+        result.code.should.equal(2);
+        result.stderr.should.contain('Unknown command "unknown".');
+        result = await _run([]);
+        result.code.should.equal(0);
+        result.stdout.should.match(/^Usage: zcap <command>/);
+      });
+    });
+  }
+});
+
+function _checkCapabilityChain({capabilityChain}) {
+  for(const c of capabilityChain) {
+    c.should.be.an('object');
+    c.should.have.property('id');
+    c.should.have.property('controller');
+    c.should.have.property('invocationTarget');
+  }
+}
+
+function _checkCapabilityChainMeta({capabilityChainMeta}) {
+  for(const [i, m] of capabilityChainMeta.entries()) {
+    m.should.be.an('object');
+    m.should.have.property('verifyResult');
+    if(i === 0) {
+      // root zcap verify result is `null`
+      expect(m.verifyResult).to.be.null;
+      continue;
+    }
+    m.verifyResult.should.have.property('verified');
+    m.verifyResult.verified.should.be.true;
+    m.verifyResult.should.have.property('results');
+    m.verifyResult.results.length.should.equal(1);
+    m.verifyResult.results[0].should.be.an('object');
+    m.verifyResult.results[0].should.have.property('purposeResult');
+    m.verifyResult.results[0].purposeResult.should.be.an('object');
+    m.verifyResult.results[0].purposeResult.should.have.property('delegator');
+  }
+}
+
+// helper for creating invocations
+// pass `key` OR `controller` (not both)
+// pass `capability` OR `purposeOptions` (not both)
+async function _invoke({
+  doc, key, invoker, date, capability, capabilityAction, purposeOptions
+}) {
+  if(invoker) {
+    key = invoker.get('capabilityInvocation', 0);
+  }
+  let purpose;
+  if(capability) {
+    // common case
+    purpose = new CapabilityInvocation({
+      // MUST pass root zcap as a string, delegated zcap as an object
+      capability: capability.parentCapability ? capability : capability.id,
+      capabilityAction,
+      invocationTarget: capability.invocationTarget
+    });
+  } else {
+    // custom case
+    purpose = new CapabilityInvocation(purposeOptions);
+  }
+  return jsigs.sign(doc, {
+    documentLoader: testLoader,
+    suite: new Ed25519Signature2020({
+      key: new Ed25519VerificationKey2020(key),
+      date
+    }),
+    purpose
+  });
+}
+
+async function _verifyInvocation({
+  invocation, rootCapability, expectedAction, inspectCapabilityChain,
+  purposeOptions
+}) {
+  let purpose;
+  if(rootCapability) {
+    // common case
+    purpose = new CapabilityInvocation({
+      expectedTarget: rootCapability.invocationTarget,
+      expectedRootCapability: rootCapability.id,
+      expectedAction,
+      inspectCapabilityChain,
+      suite: new Ed25519Signature2020(),
+      ...purposeOptions
+    });
+  } else {
+    // custom case
+    purpose = new CapabilityInvocation({
+      suite: new Ed25519Signature2020(),
+      ...purposeOptions
+    });
+  }
+  return jsigs.verify(invocation, {
+    documentLoader: testLoader,
+    suite: new Ed25519Signature2020(),
+    purpose
+  });
+}
+
+async function _delegate({
+  newCapability, parentCapability, controller, key, delegator, date,
+  _capabilityChain, purposeOptions
+}) {
+  if(delegator) {
+    key = delegator.get('capabilityDelegation', 0);
+  }
+  let purpose;
+  if(purposeOptions) {
+    // custom case
+    purpose = new CapabilityDelegation({
+      parentCapability, _capabilityChain, ...purposeOptions
+    });
+  } else {
+    // common case
+    purpose = new CapabilityDelegation({parentCapability, _capabilityChain});
+  }
+  if(!newCapability) {
+    // generate default delegated zcap via `controller` and `parentCapability`
+    newCapability = {
+      '@context': ZCAP_CONTEXT_URL,
+      id: uuid(),
+      controller: typeof controller === 'string' ? controller : controller.id(),
+      parentCapability: parentCapability.id,
+      invocationTarget: parentCapability.invocationTarget,
+      expires: EXPIRES_3000_DATE
+    };
+  }
+  return jsigs.sign(newCapability, {
+    documentLoader: testLoader,
+    suite: new Ed25519Signature2020({
+      key: new Ed25519VerificationKey2020(key),
+      date
+    }),
+    purpose
+  });
+}
+
+// helper for creating a root -> bob -> carol capability chain and carol's
+// invocation of it; `bobOptions` and `carolOptions` are passed to `delegate()`
+async function _createChain({
+  rootCapability = capabilities.root.beta, bobOptions, carolOptions
+} = {}) {
+  const bobZcap = await zcap.delegate({
+    parentCapability: rootCapability,
+    controller: bob.id(),
+    allowedAction: ['read', 'write'],
+    expires: EXPIRES_3000_DATE,
+    ...bobOptions,
+    suite: _createSuite({delegator: alice}),
+    documentLoader: testLoader
+  });
+  const carolZcap = await zcap.delegate({
+    parentCapability: bobZcap,
+    controller: carol.id(),
+    allowedAction: 'read',
+    ...carolOptions,
+    suite: _createSuite({delegator: bob}),
+    documentLoader: testLoader
+  });
+  const invocation = await zcap.invoke({
+    document: clone(mock.exampleDoc),
+    capability: carolZcap,
+    capabilityAction: 'read',
+    suite: _createSuite({invoker: carol}),
+    documentLoader: testLoader
+  });
+  return {
+    rootCapability, bobZcap, carolZcap, invocation,
+    capabilityChain: [rootCapability, bobZcap, carolZcap]
+  };
+}
+
+function _getCapabilityKey(capability) {
+  return {
+    capabilityId: capability.id,
+    parentCapability: capability.parentCapability,
+    verificationMethod: capability.proof.verificationMethod
+  };
+}
+
+function _createSuite({delegator, invoker, date}) {
+  const key = delegator ?
+    delegator.get('capabilityDelegation', 0) :
+    invoker.get('capabilityInvocation', 0);
+  return new Ed25519Signature2020({
+    key: new Ed25519VerificationKey2020(key),
+    date
   });
 }
 
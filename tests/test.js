@@ -5,8 +5,13 @@
  */
 import * as zcap from '../lib/index.js';
 import chai from 'chai';
+import childProcess from 'node:child_process';
 import common from './test-common.js';
+import fs from 'node:fs/promises';
+import http from 'node:http';
 import jsigs from 'jsonld-signatures';
+import os from 'node:os';
+import url from 'node:url';
 
 import * as helpers from './helpers.js';
 import * as mock from './mock-data.js';
@@ -19,7 +24,13 @@ const options = {
   jsigs,
   mock,
   zcap,
-  nodejs: true
+  nodejs: true,
+  // only available in node.js
+  childProcess,
+  fs,
+  http,
+  os,
+  url
 };
 
 common(options).then(() => {